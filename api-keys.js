@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// Issue, list and revoke API keys, and show their usage (lib/api-keys.js).
+// Run: node api-keys.js <command> [options]   (--help lists the commands)
+// Keys live in minillm.db next to the server's other tables; the server
+// picks up new and revoked keys immediately, no restart needed.
+
+const path = require('path');
+const { parseArgs } = require('util');
+const Database = require('better-sqlite3');
+const { ApiKeyStore, DEFAULT_QUOTAS } = require('./lib/api-keys');
+
+const DB_PATH = path.join(__dirname, 'minillm.db');
+
+// [flag, quota, description]
+const QUOTA_OPTIONS = [
+  ['rpm', 'requestsPerMinute', `requests per minute across /api (default ${DEFAULT_QUOTAS.requestsPerMinute})`],
+  ['trainings-per-day', 'trainingsPerDay', `training jobs per UTC day (default ${DEFAULT_QUOTAS.trainingsPerDay}, 0 for none)`],
+  ['max-length', 'maxLength', `longest generation in characters (default ${DEFAULT_QUOTAS.maxLength})`]
+];
+
+function usage() {
+  console.log(`Usage:
+  node api-keys.js issue <name> [quota options]   create a key (printed once)
+  node api-keys.js list                           every key, with its quotas
+  node api-keys.js revoke <id>                    disable a key
+  node api-keys.js usage <id> [--days <n>]        requests, trainings and characters per day
+
+Quota options:`);
+  for (const [flag, , desc] of QUOTA_OPTIONS) console.log(`  --${flag} <n>`.padEnd(26) + desc);
+}
+
+function parseCount(flag, raw) {
+  const n = Number.parseInt(raw, 10);
+  if (!Number.isFinite(n) || String(n) !== raw.trim()) throw new Error(`--${flag} expects an integer, got "${raw}"`);
+  return n;
+}
+
+const formatQuotas = k => `${k.requestsPerMinute}/min, ${k.trainingsPerDay} trainings/day, max ${k.maxLength} chars`;
+
+function main(argv) {
+  const options = { days: { type: 'string' }, help: { type: 'boolean' } };
+  for (const [flag] of QUOTA_OPTIONS) options[flag] = { type: 'string' };
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+  const [command, arg] = positionals;
+  if (values.help || !command) return usage();
+
+  const keys = new ApiKeyStore(new Database(DB_PATH));
+  switch (command) {
+    case 'issue': {
+      if (!arg) throw new Error('issue needs a name, e.g. node api-keys.js issue notebook');
+      const quotas = {};
+      for (const [flag, quota] of QUOTA_OPTIONS) {
+        if (values[flag] !== undefined) quotas[quota] = parseCount(flag, values[flag]);
+      }
+      const { key, record } = keys.issue({ name: arg, ...quotas });
+      console.log(`Issued key ${record.id} (${record.name}): ${formatQuotas(record)}`);
+      console.log(`\n  ${key}\n`);
+      console.log('This is the only time the key is shown. Send it as: Authorization: Bearer <key>');
+      break;
+    }
+    case 'list': {
+      const all = keys.list();
+      if (!all.length) return console.log('No API keys yet. Create one with: node api-keys.js issue <name>');
+      for (const k of all) {
+        const state = k.revokedAt ? `revoked ${k.revokedAt}` : `last used ${k.lastUsedAt || 'never'}`;
+        console.log(`${k.id}  ${k.name.padEnd(20)} ${formatQuotas(k)}  (created ${k.createdAt}, ${state})`);
+      }
+      break;
+    }
+    case 'revoke': {
+      if (!arg) throw new Error('revoke needs a key id (see node api-keys.js list)');
+      if (!keys.revoke(arg)) throw new Error(`No active key with id ${arg}`);
+      console.log(`Revoked key ${arg}`);
+      break;
+    }
+    case 'usage': {
+      if (!arg || !keys.get(arg)) throw new Error(`No key with id ${arg || '(missing)'}`);
+      const rows = keys.usage(arg, values.days === undefined ? 30 : parseCount('days', values.days));
+      if (!rows.length) return console.log(`Key ${arg} has not been used yet.`);
+      console.log('day         requests  trainings  characters');
+      for (const r of rows) {
+        console.log(`${r.day}  ${String(r.requests).padStart(8)}  ${String(r.trainings).padStart(9)}  ${String(r.characters).padStart(10)}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (expected issue, list, revoke or usage)`);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
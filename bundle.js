@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Pack, inspect and upload model bundles (lib/bundle.js).
+// Run: node bundle.js <command> [options]   (--help lists the commands)
+// To train offline and publish the result:
+//   node train-models.js mytext --corpus my.txt --out /tmp/mytext
+//   node bundle.js pack /tmp/mytext
+//   node bundle.js upload mytext-lstm.tar.gz --server https://example.org
+// The server answers with a modelToken to generate with, as if it had
+// trained the model itself.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const Registry = require('./lib/registry');
+const Bundle = require('./lib/bundle');
+
+const DEFAULT_SERVER = 'http://localhost:3862';
+// Matches the server's chains (MAX_MARKOV_ORDER in server.js)
+const MARKOV_ORDER = 8;
+
+function usage() {
+  console.log(`Usage:
+  node bundle.js pack <model-dir> [--out <file>]           bundle a trained model (train-models.js --out)
+  node bundle.js pack-chain <text-file> [--name <name>] [--out <file>]
+                                                            bundle a Markov chain's text
+  node bundle.js inspect <file>                             check a bundle and print its manifest
+  node bundle.js upload <file> [--server <url>] [--key <key>]
+                                                            register it as a custom model
+
+upload defaults to ${DEFAULT_SERVER}; the key defaults to $MINILLM_API_KEY.`);
+}
+
+function write(file, bundle) {
+  fs.writeFileSync(file, bundle);
+  console.log(`Wrote ${file} (${(bundle.length / 1024).toFixed(1)} KB)`);
+}
+
+function describe({ manifest, files }) {
+  const { hyperparameters: h } = manifest;
+  console.log(`${manifest.name || '(unnamed)'}: ${manifest.architecture}, from ${manifest.source}, exported ${manifest.exportedAt}`);
+  if (manifest.params) console.log(`  ${manifest.params.toLocaleString()} parameters`);
+  if (h) console.log(`  ${Object.entries(h).filter(([, v]) => v !== null).map(([k, v]) => `${k} ${v}`).join(', ')}`);
+  if (manifest.corpus) console.log(`  corpus: ${manifest.corpus.characters.toLocaleString()} characters, sha256 ${manifest.corpus.sha256}`);
+  if (manifest.training && manifest.training.loss !== undefined) {
+    console.log(`  training: ${manifest.training.epochs} epochs, loss ${Number(manifest.training.loss).toFixed(4)}`);
+  }
+  for (const [name, data] of files) console.log(`  ${name.padEnd(14)} ${data.length.toLocaleString()} bytes`);
+}
+
+async function upload(file, server, key) {
+  const headers = { 'Content-Type': 'application/gzip' };
+  if (key) headers.Authorization = `Bearer ${key}`;
+  const resp = await fetch(new URL('/api/import', server), { method: 'POST', headers, body: fs.readFileSync(file) });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(`Upload failed (HTTP ${resp.status}): ${data.error ? data.error.message : resp.statusText}`);
+  if (data.chainToken) {
+    console.log(`Imported a Markov chain (${data.characters.toLocaleString()} characters).`);
+    console.log(`\n  chainToken ${data.chainToken}\n`);
+  } else {
+    console.log(`Imported ${data.name || 'the model'}: ${data.architecture}, ${data.params.toLocaleString()} parameters.`);
+    console.log(`\n  modelToken ${data.modelToken}\n`);
+  }
+  console.log(`It is deleted after ${data.expiresAfterDays} days without use.`);
+}
+
+async function main(argv) {
+  const options = {
+    out: { type: 'string' }, name: { type: 'string' }, server: { type: 'string' }, key: { type: 'string' }, help: { type: 'boolean' }
+  };
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+  const [command, arg] = positionals;
+  if (values.help || !command) return usage();
+  if (!arg) throw new Error(`${command} needs a file or directory (see node bundle.js --help)`);
+
+  switch (command) {
+    case 'pack': {
+      const dir = path.resolve(arg);
+      const entry = Registry.readManifest(dir);
+      if (!entry) throw new Error(`${dir} has no manifest.json; train into it with node train-models.js <name> --out ${arg}`);
+      if (!entry.hasWeights) throw new Error(`${dir} has no model.json yet`);
+      write(values.out || `${entry.name}-${entry.architecture}.tar.gz`, Bundle.entryBundle(entry, 'cli'));
+      break;
+    }
+    case 'pack-chain': {
+      const text = fs.readFileSync(arg, 'utf-8');
+      const name = values.name || path.basename(arg, path.extname(arg));
+      write(values.out || `${name}-markov.tar.gz`, Bundle.markovBundle(text, { name, source: 'cli', maxOrder: MARKOV_ORDER }));
+      break;
+    }
+    case 'inspect': {
+      const bundle = Bundle.unpack(fs.readFileSync(arg));
+      if (bundle.manifest.architecture === 'markov') Bundle.readMarkov(bundle);
+      else Bundle.readNeural(bundle);
+      describe(bundle);
+      console.log('OK');
+      break;
+    }
+    case 'upload':
+      await upload(arg, values.server || DEFAULT_SERVER, values.key || process.env.MINILLM_API_KEY);
+      break;
+    default:
+      throw new Error(`Unknown command: ${command} (expected pack, pack-chain, inspect or upload)`);
+  }
+}
+
+main(process.argv.slice(2)).catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
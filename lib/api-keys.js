@@ -0,0 +1,159 @@
+/**
+ * API keys for scripts and notebooks. A key is shown once when issued
+ * ("mk_<id>_<secret>"); only its SHA-256 is stored, next to the key's
+ * quotas:
+ *   requestsPerMinute  across all /api routes, replacing the per-IP limits
+ *   trainingsPerDay    training jobs started per UTC day
+ *   maxLength          longest generation a request may ask for
+ * Usage (requests, training jobs, generated characters) is counted per key
+ * and UTC day in api_key_usage.
+ *
+ * Used by server.js (bearer-token middleware) and the api-keys.js CLI.
+ * @module ApiKeys
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULT_QUOTAS = { requestsPerMinute: 120, trainingsPerDay: 20, maxLength: 2000 };
+const MIN_QUOTAS = { requestsPerMinute: 1, trainingsPerDay: 0, maxLength: 1 }; // 0 trainings: generation only
+const KEY_PATTERN = /^mk_([0-9a-f]{8})_([0-9a-f]{32})$/;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    requestsPerMinute: row.requests_per_minute,
+    trainingsPerDay: row.trainings_per_day,
+    maxLength: row.max_length,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+class ApiKeyStore {
+  /**
+   * @param {Object} db - better-sqlite3 Database
+   */
+  constructor(db) {
+    this.db = db;
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        requests_per_minute INTEGER NOT NULL,
+        trainings_per_day INTEGER NOT NULL,
+        max_length INTEGER NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        last_used_at TEXT,
+        revoked_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        key_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        trainings INTEGER NOT NULL DEFAULT 0,
+        characters INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (key_id, day)
+      )
+    `);
+    this.addUsage = db.prepare(`INSERT INTO api_key_usage (key_id, day, requests, trainings, characters)
+      VALUES (@id, @day, @requests, @trainings, @characters)
+      ON CONFLICT(key_id, day) DO UPDATE SET
+        requests = requests + excluded.requests,
+        trainings = trainings + excluded.trainings,
+        characters = characters + excluded.characters`);
+  }
+
+  /**
+   * Create a key
+   * @param {Object} opts - { name, requestsPerMinute, trainingsPerDay, maxLength }
+   * @returns {{key: string, record: Object}} the key itself is not stored
+   */
+  issue({ name, ...quotas }) {
+    if (!name) throw new Error('A key needs a name');
+    const q = { ...DEFAULT_QUOTAS };
+    for (const [field, value] of Object.entries(quotas)) {
+      if (value === undefined) continue;
+      if (!(field in DEFAULT_QUOTAS)) throw new Error(`Unknown quota: ${field}`);
+      if (!Number.isInteger(value) || value < MIN_QUOTAS[field]) throw new Error(`${field} must be an integer of at least ${MIN_QUOTAS[field]}`);
+      q[field] = value;
+    }
+    const id = crypto.randomBytes(4).toString('hex');
+    const key = `mk_${id}_${crypto.randomBytes(16).toString('hex')}`;
+    this.db.prepare(`INSERT INTO api_keys (id, name, key_hash, requests_per_minute, trainings_per_day, max_length)
+      VALUES (?, ?, ?, ?, ?, ?)`).run(id, name, hashKey(key), q.requestsPerMinute, q.trainingsPerDay, q.maxLength);
+    return { key, record: this.get(id) };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? fromRow(row) : null;
+  }
+
+  /** Every key, newest first, revoked ones included */
+  list() {
+    return this.db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC, id').all().map(fromRow);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} false if there is no such active key
+   */
+  revoke(id) {
+    return this.db.prepare("UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL").run(id).changes > 0;
+  }
+
+  /**
+   * Look up an active key from the token a client sent
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  verify(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) return null;
+    const row = this.db.prepare('SELECT * FROM api_keys WHERE id = ? AND revoked_at IS NULL').get(match[1]);
+    if (!row) return null;
+    const expected = Buffer.from(row.key_hash, 'hex');
+    const actual = Buffer.from(hashKey(key), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? fromRow(row) : null;
+  }
+
+  /**
+   * Add to today's counters for a key
+   * @param {string} id
+   * @param {Object} counts - { requests, trainings, characters }
+   */
+  record(id, { requests = 0, trainings = 0, characters = 0 }) {
+    this.addUsage.run({ id, day: today(), requests, trainings, characters });
+    if (requests) this.db.prepare("UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?").run(id);
+  }
+
+  /**
+   * Usage counters for a key, one row per day, newest first
+   * @param {string} id
+   * @param {number} [days=30]
+   * @returns {{day: string, requests: number, trainings: number, characters: number}[]}
+   */
+  usage(id, days = 30) {
+    return this.db.prepare(`SELECT day, requests, trainings, characters FROM api_key_usage
+      WHERE key_id = ? ORDER BY day DESC LIMIT ?`).all(id, days);
+  }
+
+  /** Training jobs a key has started today */
+  trainingsToday(id) {
+    const row = this.db.prepare('SELECT trainings FROM api_key_usage WHERE key_id = ? AND day = ?').get(id, today());
+    return row ? row.trainings : 0;
+  }
+}
+
+module.exports = { ApiKeyStore, DEFAULT_QUOTAS };
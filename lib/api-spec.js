@@ -0,0 +1,857 @@
+/**
+ * The OpenAPI 3.1 document for every /api route, served at
+ * /api/openapi.json and rendered by /api.html. server.js also generates its
+ * request validation from it (lib/openapi.js), so a field documented here is
+ * a field checked here: keep the two in step when a route changes.
+ *
+ * Limits come from server.js, so the document never disagrees with what
+ * the handlers enforce.
+ * @module ApiSpec
+ */
+'use strict';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const body = (schema, description) => ({ required: true, ...(description && { description }), content: { 'application/json': { schema } } });
+const errors = (...statuses) => Object.fromEntries(statuses.map(s => [String(s), { $ref: `#/components/responses/${s}` }]));
+const eventStream = description => ({ 'text/event-stream': { schema: { type: 'string' }, description } });
+
+// Sampling controls shared by every generation route (public/js/sampling.js
+// clamps them to their ranges rather than rejecting them)
+const SAMPLING = {
+  temperature: { type: 'number', description: 'Softmax temperature, 0.1–2. Default 0.7 (1 for Markov chains).' },
+  topK: { type: 'integer', minimum: 0, description: 'Keep only the k most likely characters; 0 is off.' },
+  topP: { type: 'number', description: 'Nucleus sampling: keep the most likely characters covering this much probability, 0.01–1.' },
+  repetitionPenalty: { type: 'number', description: 'Divide the logits of recently used characters by this, 1–3.' },
+  frequencyPenalty: { type: 'number', description: 'Subtract this from a logit per recent use, 0–2.' },
+  presencePenalty: { type: 'number', description: 'Subtract this from a logit once if recently used, 0–2.' },
+  greedy: { type: 'boolean', description: 'Always take the most likely character.' },
+  seed: { type: ['string', 'integer', 'null'], maxLength: 64, description: 'Makes sampling reproducible.' }
+};
+
+const LOGPROBS = {
+  type: ['integer', 'boolean'],
+  minimum: 0,
+  maximum: 10,
+  description: 'Return this many alternatives per generated character (true means 5).'
+};
+
+/**
+ * @param {Object} limits - Values the handlers enforce
+ * @param {string} limits.version
+ * @param {number} limits.maxTokenizeLength
+ * @param {number} limits.minChainText
+ * @param {number} limits.maxChainText
+ * @param {number} limits.markovOrder - Default order
+ * @param {number} limits.maxMarkovOrder
+ * @param {number} limits.maxCompleteLength
+ * @param {Object} limits.generateLimits - architecture -> { length, stream }
+ * @param {number} limits.maxSamples
+ * @param {number} limits.minTrainText
+ * @param {number} limits.maxTrainText
+ * @param {number} limits.maxEvalLength
+ * @param {number} limits.maxBundleBytes
+ * @param {Object} limits.importLimits - { maxParams, maxSeqLen, maxVocab }
+ * @param {Object} limits.classifierLimits - { maxCategories, maxExamples, maxExampleLength, maxVocabulary, maxHiddenUnits }
+ * @returns {Object} OpenAPI document
+ */
+function buildSpec(limits) {
+  const { generateLimits: gen } = limits;
+  const markovOrder = {
+    type: 'integer',
+    minimum: 1,
+    maximum: limits.maxMarkovOrder,
+    default: limits.markovOrder,
+    description: 'Characters of context the chain looks at.'
+  };
+
+  const schemas = {
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: {
+        error: {
+          type: 'object',
+          required: ['code', 'message', 'details'],
+          properties: {
+            code: { type: 'string', description: 'Machine-readable reason, e.g. `validation_failed`, `not_found`, `rate_limited`.' },
+            message: { type: 'string', description: 'Human-readable; safe to show to users.' },
+            details: {
+              type: ['array', 'null'],
+              description: 'For `validation_failed`, one entry per problem.',
+              items: {
+                type: 'object',
+                required: ['path', 'message'],
+                properties: { path: { type: 'string', example: 'body.length' }, message: { type: 'string' } }
+              }
+            }
+          }
+        }
+      }
+    },
+    Logprob: {
+      type: 'object',
+      description: 'How one character was chosen.',
+      required: ['token', 'prob', 'logprob', 'top'],
+      properties: {
+        token: { type: 'string' },
+        prob: { type: 'number', description: 'After temperature, top-k/top-p and penalties.' },
+        rawProb: { type: 'number', description: 'Straight from the model.' },
+        logprob: { type: 'number' },
+        top: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['token', 'prob'],
+            properties: { token: { type: 'string' }, prob: { type: 'number' }, rawProb: { type: 'number' } }
+          }
+        }
+      }
+    },
+    Generation: {
+      type: 'object',
+      required: ['text', 'model', 'params'],
+      properties: {
+        text: { type: 'string', description: 'The continuation (without the prompt).' },
+        model: { type: 'string', example: 'lstm-64' },
+        params: { type: 'integer', description: 'Trainable parameters.' },
+        architecture: { type: 'string', enum: ['lstm', 'transformer'] },
+        preset: { type: 'string' },
+        logprobs: { type: 'array', items: ref('Logprob') },
+        samples: {
+          type: 'array',
+          description: 'Every sample when `n` > 1 (the first is also in `text`).',
+          items: { type: 'object', required: ['text'], properties: { text: { type: 'string' }, logprobs: { type: 'array', items: ref('Logprob') } } }
+        }
+      }
+    },
+    TrainingResult: {
+      type: 'object',
+      required: ['success', 'modelToken'],
+      properties: {
+        success: { type: 'boolean' },
+        modelToken: { type: 'string', description: 'Pass to /api/generate-custom and /api/evaluate. Kept for 30 days after last use.' },
+        samples: { type: 'integer', description: 'Training windows.' },
+        vocabSize: { type: 'integer' },
+        totalParams: { type: 'integer' },
+        epochs: { type: 'integer' },
+        finalLoss: { type: 'number' },
+        losses: { type: 'array', items: { type: 'number' } },
+        trainTimeMs: { type: 'number' },
+        architecture: { type: 'string' }
+      }
+    },
+    TrainingEpoch: {
+      type: 'object',
+      required: ['epoch', 'loss'],
+      properties: {
+        epoch: { type: 'integer' },
+        loss: { type: 'number' },
+        elapsedMs: { type: 'number' },
+        prompt: { type: 'string' },
+        sample: { type: 'string', description: 'What the model writes after this epoch.' }
+      }
+    },
+    TrainingJob: {
+      type: 'object',
+      required: ['jobId', 'status', 'epochs', 'createdAt'],
+      properties: {
+        jobId: { type: 'string' },
+        status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+        position: { type: ['integer', 'null'], description: 'Place in the queue while queued.' },
+        totalEpochs: { type: ['integer', 'null'] },
+        epochs: { type: 'array', items: ref('TrainingEpoch') },
+        result: { anyOf: [ref('TrainingResult'), { type: 'null' }] },
+        error: { type: ['string', 'null'], description: 'Why a failed job failed.' },
+        createdAt: { type: 'integer', description: 'Unix milliseconds.' },
+        startedAt: { type: ['integer', 'null'] },
+        finishedAt: { type: ['integer', 'null'] }
+      }
+    },
+    Evaluation: {
+      type: 'object',
+      required: ['type', 'characters', 'crossEntropy', 'bitsPerChar', 'perplexity', 'unknownChars', 'surprisal'],
+      properties: {
+        type: { type: 'string', enum: ['markov', 'lstm', 'transformer', 'custom'] },
+        preset: { type: 'string' },
+        chainToken: { type: 'string' },
+        order: { type: 'integer' },
+        characters: { type: 'integer' },
+        crossEntropy: { type: 'number', description: 'Total bits.' },
+        bitsPerChar: { type: 'number' },
+        perplexity: { type: 'number' },
+        unknownChars: { type: 'integer', description: 'Characters the model had never seen.' },
+        surprisal: {
+          type: 'array',
+          items: { type: 'object', properties: { char: { type: 'string' }, prob: { type: 'number' }, bits: { type: 'number' } } }
+        }
+      }
+    },
+    SharedModel: {
+      type: 'object',
+      description: 'Everything tf.io.fromMemory() needs except the weights, which are at `weightsUrl`.',
+      required: ['id', 'type', 'architecture', 'vocab', 'topology', 'weightSpecs', 'weightsUrl', 'createdAt'],
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string', enum: ['model'] },
+        name: { type: 'string' },
+        preset: { type: 'string', description: '`custom` for a model trained on user text.' },
+        architecture: { type: 'string', enum: ['lstm', 'transformer'] },
+        params: { type: 'integer' },
+        seqLen: { type: 'integer' },
+        vocab: {
+          type: 'object',
+          required: ['charToIdx', 'idxToChar', 'vocabSize', 'seqLen'],
+          description: '`input: "index"` models take character indices; older LSTMs take one-hot vectors.',
+          properties: {
+            charToIdx: { type: 'object' },
+            idxToChar: { type: 'object' },
+            vocabSize: { type: 'integer' },
+            seqLen: { type: 'integer' },
+            input: { type: 'string' },
+            architecture: { type: 'string' }
+          }
+        },
+        topology: { type: 'object', description: "model.json's modelTopology." },
+        weightSpecs: { type: 'array', items: { type: 'object' } },
+        weightsUrl: { type: 'string' },
+        corpus: { type: ['object', 'null'], description: 'Training text: `{ sha256, characters }`.' },
+        training: { type: ['object', 'null'], description: 'Training metrics (epochs, loss, per-epoch `history`) where known.' },
+        prompt: { type: 'string' },
+        sampling: { type: 'object' },
+        createdAt: { type: 'string' }
+      }
+    },
+    SharedClassifier: {
+      type: 'object',
+      description: 'A text classifier: a text is a bag of words over `vocabulary` (1 where the word occurs), '
+        + 'fed to Dense(`hiddenUnits`, relu) and Dense(one per category, softmax). Its weights are at `weightsUrl`.',
+      required: ['id', 'type', 'name', 'categories', 'vocabulary', 'hiddenUnits', 'weightsUrl', 'createdAt'],
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string', enum: ['classifier'] },
+        name: { type: 'string' },
+        preset: { type: 'string', description: 'The builder preset it started from, or `custom`.' },
+        categories: { type: 'array', items: ref('ClassifierCategory') },
+        vocabulary: { type: 'array', items: { type: 'string' } },
+        hiddenUnits: { type: 'integer' },
+        params: { type: 'integer' },
+        weightsUrl: { type: 'string' },
+        createdAt: { type: 'string' }
+      }
+    },
+    ClassifierCategory: {
+      type: 'object',
+      required: ['name', 'examples'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 40 },
+        examples: {
+          type: 'array',
+          maxItems: limits.classifierLimits.maxExamples,
+          items: { type: 'string', minLength: 1, maxLength: limits.classifierLimits.maxExampleLength },
+          description: 'The texts it was trained on.'
+        }
+      }
+    },
+    SharedOutput: {
+      type: 'object',
+      required: ['id', 'type', 'createdAt'],
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string', enum: ['output'] },
+        preset: { type: 'string' },
+        prompt: { type: 'string' },
+        output: { type: 'string' },
+        sampling: { type: 'object' },
+        model: { type: 'object' },
+        createdAt: { type: 'string' }
+      }
+    }
+  };
+
+  const errorResponse = description => json(ref('Error'), description);
+  const responses = {
+    400: errorResponse('Invalid request (`validation_failed` lists every problem in `details`).'),
+    401: errorResponse('Invalid or revoked API key.'),
+    403: errorResponse('Not allowed (failed captcha, or an API key without training quota).'),
+    404: errorResponse('Not found.'),
+    409: errorResponse('The training job was cancelled (`cancelled`).'),
+    413: errorResponse('Too large.'),
+    415: errorResponse('The body\'s charset or `Content-Encoding` is not supported (`unsupported_media_type`).'),
+    429: errorResponse('Rate limited; see the `Retry-After` header.'),
+    500: errorResponse('Server error.'),
+    503: errorResponse('Temporarily unavailable (models not loaded, or the training queue is full).'),
+    504: errorResponse('The job timed out.')
+  };
+
+  const jobId = { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Training job id.' };
+  const savedId = { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Share id.' };
+  const generationFields = (defaultLength, cap) => ({
+    length: {
+      type: 'integer',
+      minimum: 1,
+      default: defaultLength,
+      description: `Characters to generate; capped at ${cap} (or the API key's maxLength).`
+    },
+    stream: { type: 'boolean', default: false, description: 'Send characters as Server-Sent Events instead of one JSON response.' },
+    resume: { type: 'string', description: 'Session id from a finished stream: continue where it stopped (prompt, model and sampling are remembered).' },
+    logprobs: LOGPROBS,
+    ...SAMPLING
+  });
+  const streamDescription = '`token` events ({ text, logprobs? }) as characters are sampled, then `done` ({ text, sessionId }) or `error` (the error envelope).';
+
+  const paths = {
+    '/api/health': {
+      get: {
+        tags: ['Meta'],
+        summary: 'Health check',
+        responses: {
+          200: json({ type: 'object', required: ['status'], properties: { status: { type: 'string' }, name: { type: 'string' }, version: { type: 'string' } } })
+        }
+      }
+    },
+    '/api/openapi.json': {
+      get: { tags: ['Meta'], summary: 'This document', responses: { 200: json({ type: 'object' }) } }
+    },
+    '/api/keys/me': {
+      get: {
+        tags: ['Meta'],
+        summary: "The calling API key's quotas and usage",
+        description: 'Not counted against the key\'s requests per minute or its usage; limited to 30 calls a minute per key instead.',
+        security: [{ apiKey: [] }],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['id', 'name', 'quotas', 'usage'],
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              quotas: {
+                type: 'object',
+                properties: { requestsPerMinute: { type: 'integer' }, trainingsPerDay: { type: 'integer' }, maxLength: { type: 'integer' } }
+              },
+              createdAt: { type: 'string' },
+              usage: {
+                type: 'array',
+                description: 'One entry per UTC day, newest first (last 30 days).',
+                items: {
+                  type: 'object',
+                  properties: { day: { type: 'string' }, requests: { type: 'integer' }, trainings: { type: 'integer' }, characters: { type: 'integer' } }
+                }
+              }
+            }
+          }),
+          ...errors(401, 429)
+        }
+      }
+    },
+    '/api/models': {
+      get: {
+        tags: ['Models'],
+        summary: 'Model registry',
+        description: 'Every model with a manifest under `models/`, whether it loaded, and the presets (corpora) they belong to.',
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['presets', 'models'],
+            properties: {
+              presets: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['name', 'models'],
+                  properties: {
+                    name: { type: 'string' },
+                    displayName: { type: 'string' },
+                    icon: { type: 'string' },
+                    defaultPrompt: { type: 'string' },
+                    corpusUrl: { type: 'string' },
+                    models: { type: 'array', items: { type: 'string' } },
+                    markov: { type: 'boolean', description: 'Whether a Markov chain was built for it.' }
+                  }
+                }
+              },
+              models: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['id', 'name', 'architecture', 'loaded'],
+                  properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string', description: 'Preset.' },
+                    displayName: { type: 'string' },
+                    architecture: { type: 'string', enum: ['lstm', 'transformer'] },
+                    units: { type: 'integer' },
+                    seqLen: { type: 'integer' },
+                    params: { type: 'integer' },
+                    trainedAt: { type: 'string' },
+                    defaultPrompt: { type: 'string' },
+                    loaded: { type: 'boolean' }
+                  }
+                }
+              }
+            }
+          })
+        }
+      }
+    },
+    '/api/model-info': {
+      get: {
+        tags: ['Models'],
+        summary: 'Loaded models (summary of /api/models)',
+        responses: {
+          200: json({
+            type: 'object',
+            properties: {
+              models: { type: 'array', items: { type: 'string' } },
+              transformers: { type: 'array', items: { type: 'string' } },
+              details: { type: 'object' },
+              type: { type: 'string' }
+            }
+          })
+        }
+      }
+    },
+    '/api/complete': {
+      get: {
+        tags: ['Markov chains'],
+        summary: 'Continue text with a Markov chain',
+        description: 'Give `preset` for a preset corpus or `chain` for a chain built with POST /api/chains.',
+        parameters: [
+          { name: 'text', in: 'query', required: true, schema: { type: 'string', minLength: 1 }, description: 'Prompt.' },
+          { name: 'preset', in: 'query', schema: { type: 'string' } },
+          { name: 'chain', in: 'query', schema: { type: 'string' }, description: 'chainToken from POST /api/chains.' },
+          {
+            name: 'length',
+            in: 'query',
+            schema: { type: 'integer', minimum: 1, default: 100 },
+            description: `Characters to generate; capped at ${limits.maxCompleteLength} (or the API key's maxLength).`
+          },
+          { name: 'order', in: 'query', schema: markovOrder },
+          { name: 'logprobs', in: 'query', schema: LOGPROBS },
+          ...Object.entries(SAMPLING).map(([name, schema]) => ({ name, in: 'query', schema: name === 'seed' ? { ...schema, type: ['string', 'integer'] } : schema }))
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['text', 'order'],
+            properties: { text: { type: 'string' }, order: { type: 'integer' }, logprobs: { type: 'array', items: ref('Logprob') } }
+          }),
+          ...errors(400, 404, 429)
+        }
+      }
+    },
+    '/api/chains': {
+      post: {
+        tags: ['Markov chains'],
+        summary: 'Build a Markov chain from your own text',
+        requestBody: body({
+          type: 'object',
+          required: ['text'],
+          properties: {
+            text: {
+              type: 'string',
+              minLength: limits.minChainText,
+              maxLength: limits.maxChainText,
+              'x-message': `Send between ${limits.minChainText} and ${limits.maxChainText.toLocaleString()} characters of text.`
+            }
+          }
+        }),
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['chainToken'],
+            properties: {
+              chainToken: { type: 'string', description: 'Pass as `chain` to /api/complete or `chainToken` to /api/evaluate.' },
+              characters: { type: 'integer' },
+              vocabSize: { type: 'integer' },
+              states: { type: 'array', items: { type: 'integer' }, description: 'Distinct contexts for each order from 1 up.' },
+              buildMs: { type: 'integer' },
+              expiresAfterDays: { type: 'integer', description: 'Unused chains are deleted after this many days.' }
+            }
+          }),
+          ...errors(400, 429, 500)
+        }
+      }
+    },
+    '/api/tokenize': {
+      post: {
+        tags: ['Tokenizer'],
+        summary: 'Split text with the BPE tokenizer',
+        requestBody: body({
+          type: 'object',
+          required: ['text'],
+          properties: {
+            text: { type: 'string', maxLength: limits.maxTokenizeLength },
+            merges: { type: 'integer', minimum: 0, description: 'Use only the first N merges (to watch tokens form).' }
+          }
+        }),
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['tokens', 'ids', 'counts'],
+            properties: {
+              tokens: { type: 'array', items: { type: 'object', properties: { token: { type: 'string' }, id: { type: 'integer' } } } },
+              ids: { type: 'array', items: { type: 'integer' } },
+              vocabSize: { type: 'integer' },
+              merges: { type: 'integer' },
+              counts: {
+                type: 'object',
+                properties: { characters: { type: 'integer' }, words: { type: 'integer' }, tokens: { type: 'integer' } }
+              }
+            }
+          }),
+          ...errors(400, 429, 503)
+        }
+      }
+    },
+    '/api/generate': {
+      post: {
+        tags: ['Generation'],
+        summary: 'Generate text from a preset neural model',
+        requestBody: body({
+          type: 'object',
+          'x-message': 'Missing prompt or preset.',
+          anyOf: [{ required: ['resume'] }, { required: ['prompt', 'preset'] }],
+          properties: {
+            prompt: { type: 'string', minLength: 1 },
+            preset: { type: 'string', description: 'See GET /api/models.' },
+            architecture: { type: 'string', enum: ['lstm', 'transformer'], default: 'lstm' },
+            n: { type: 'integer', minimum: 1, maximum: limits.maxSamples, default: 1, description: 'Independent samples to return (not with `stream`).' },
+            ...generationFields(150, `${gen.lstm.length} for LSTMs and ${gen.transformer.length} for transformers (${gen.lstm.stream} and ${gen.transformer.stream} when streaming)`)
+          }
+        }),
+        responses: {
+          200: { description: 'The generated text, or an event stream with `stream`.', content: { 'application/json': { schema: ref('Generation') }, ...eventStream(streamDescription) } },
+          ...errors(400, 404, 429, 500, 504)
+        }
+      }
+    },
+    '/api/generate-custom': {
+      post: {
+        tags: ['Generation'],
+        summary: 'Generate text from a model you trained',
+        requestBody: body({
+          type: 'object',
+          'x-message': 'Missing prompt or modelToken.',
+          anyOf: [{ required: ['resume'] }, { required: ['prompt', 'modelToken'] }],
+          properties: {
+            prompt: { type: 'string', minLength: 1 },
+            modelToken: { type: 'string', description: 'From a completed training job.' },
+            ...generationFields(100, `${gen.lstm.length} (${gen.lstm.stream} when streaming)`)
+          }
+        }),
+        responses: {
+          200: { description: 'The generated text, or an event stream with `stream`.', content: { 'application/json': { schema: ref('Generation') }, ...eventStream(streamDescription) } },
+          ...errors(400, 404, 429, 500, 504)
+        }
+      }
+    },
+    '/api/train-jobs': {
+      post: {
+        tags: ['Training'],
+        summary: 'Queue a training job on your text',
+        description: 'Answers straight away; follow the job with GET /api/train-jobs/{id} or its event stream. Requests without an API key need a Turnstile token.',
+        requestBody: body({
+          type: 'object',
+          required: ['text'],
+          properties: {
+            text: {
+              type: 'string',
+              minLength: limits.minTrainText,
+              maxLength: limits.maxTrainText,
+              'x-message': `Need between ${limits.minTrainText} and ${limits.maxTrainText.toLocaleString()} characters of text.`
+            },
+            turnstileToken: { type: 'string' }
+          }
+        }),
+        responses: { 202: json(ref('TrainingJob'), 'Queued (or already running).'), ...errors(400, 403, 429, 503) }
+      }
+    },
+    '/api/train-jobs/{id}': {
+      parameters: [jobId],
+      get: {
+        tags: ['Training'],
+        summary: 'Training job status, per-epoch loss and samples',
+        description: 'Finished jobs are kept for 30 minutes.',
+        responses: { 200: json(ref('TrainingJob')), ...errors(404) }
+      },
+      delete: {
+        tags: ['Training'],
+        summary: 'Cancel a queued or running job',
+        responses: { 200: json(ref('TrainingJob')), ...errors(404) }
+      }
+    },
+    '/api/train-jobs/{id}/events': {
+      parameters: [jobId],
+      get: {
+        tags: ['Training'],
+        summary: 'Follow a training job as Server-Sent Events',
+        responses: {
+          200: {
+            description: 'Event stream; closes once the job has finished.',
+            content: eventStream('`status` events (a TrainingJob) now and on every change, `epoch` events (a TrainingEpoch) after each epoch.')
+          },
+          ...errors(404)
+        }
+      }
+    },
+    '/api/train-custom': {
+      post: {
+        tags: ['Training'],
+        summary: 'Train and wait for the result (older clients)',
+        deprecated: true,
+        description: 'Same as POST /api/train-jobs, but answers when training is done. Closing the connection cancels the job; cancelling it through DELETE /api/train-jobs/{id} answers 409 `cancelled`.',
+        requestBody: { $ref: '#/components/requestBodies/Training' },
+        responses: { 200: json(ref('TrainingResult')), ...errors(400, 403, 409, 429, 500, 503, 504) }
+      }
+    },
+    '/api/evaluate': {
+      post: {
+        tags: ['Evaluation'],
+        summary: 'Score how well a model predicts some text',
+        description: 'Cross-entropy, bits per character, perplexity and per-character surprisal; lower is better. Pick the model with `modelToken`, `chainToken`, or `type` and `preset`.',
+        requestBody: body({
+          type: 'object',
+          required: ['text'],
+          'x-message': 'Missing preset, modelToken or chainToken.',
+          anyOf: [{ required: ['preset'] }, { required: ['modelToken'] }, { required: ['chainToken'] }],
+          properties: {
+            text: { type: 'string', minLength: 1, maxLength: limits.maxEvalLength },
+            type: { type: 'string', enum: ['markov', 'lstm', 'transformer'], default: 'markov' },
+            preset: { type: 'string' },
+            order: markovOrder,
+            modelToken: { type: 'string', description: 'A model you trained.' },
+            chainToken: { type: 'string', description: 'A chain you built.' }
+          }
+        }),
+        responses: { 200: json(ref('Evaluation')), ...errors(400, 404, 429, 500, 504) }
+      }
+    },
+    '/api/models/save': {
+      post: {
+        tags: ['Sharing'],
+        summary: 'Share a model, a classifier or generated output',
+        description: 'A `model` share copies the model\'s weights and vocabulary under a new id, for /model.html to run in the browser. '
+          + 'A `classifier` share saves a classifier trained in the browser, with its examples, for /classifier.html. '
+          + 'An `output` share saves generated text for /shared.html. Shares are limited to 5 MB.',
+        requestBody: body({
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['model', 'classifier', 'output', 'lstm-output'],
+              default: 'output',
+              description: '`lstm-output` is the older name of `output`.'
+            },
+            preset: { type: 'string', description: 'Model shares: the preset model to share. Classifier shares: the builder preset it started from. Output shares: what the text came from.' },
+            architecture: { type: 'string', enum: ['lstm', 'transformer'], default: 'lstm', description: 'Of the preset model to share.' },
+            modelToken: { type: 'string', description: 'Model shares: a model you trained, instead of a preset.' },
+            prompt: { type: 'string', maxLength: 1000, description: 'The prompt the share page starts from.' },
+            output: { type: 'string', maxLength: 10000, description: 'Generated text (output shares).' },
+            sampling: { type: 'object', properties: SAMPLING, description: 'Sampling settings the share page starts from.' },
+            temperature: { type: 'number', description: 'Older clients: the same as `sampling: { temperature }`.' },
+            model: { type: 'object', description: 'Output shares: what generated it, e.g. { architecture, params, units }.' },
+            name: { type: 'string', maxLength: 60, description: 'Classifier shares: a title (default: the category names).' },
+            categories: {
+              type: 'array',
+              minItems: 2,
+              maxItems: limits.classifierLimits.maxCategories,
+              items: ref('ClassifierCategory'),
+              description: 'Classifier shares: in the order of the output layer.'
+            },
+            vocabulary: {
+              type: 'array',
+              minItems: 1,
+              maxItems: limits.classifierLimits.maxVocabulary,
+              items: { type: 'string', minLength: 1, maxLength: 40 },
+              description: 'Classifier shares: the words of the bag of words, in input order.'
+            },
+            hiddenUnits: { type: 'integer', minimum: 1, maximum: limits.classifierLimits.maxHiddenUnits, default: 32, description: 'Classifier shares.' },
+            weights: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9+/]*={0,2}$',
+              description: 'Classifier shares: base64 of little-endian float32s, each layer\'s kernel then its bias.'
+            }
+          },
+          anyOf: [
+            { properties: { type: { enum: ['model'] } }, required: ['preset'] },
+            { properties: { type: { enum: ['model'] } }, required: ['modelToken'] },
+            { properties: { type: { enum: ['classifier'] } }, required: ['categories', 'vocabulary', 'weights'] },
+            { properties: { type: { enum: ['output', 'lstm-output'] } }, required: ['output'] }
+          ],
+          'x-message': 'Send a preset or modelToken to share a model, categories, vocabulary and weights to share a classifier, or output to share text.'
+        }),
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['id', 'type', 'url'],
+            properties: {
+              id: { type: 'string' },
+              type: { type: 'string', enum: ['model', 'classifier', 'output'] },
+              url: { type: 'string', description: 'The share page: /model.html?id=…, /classifier.html?id=… or /shared.html?id=…' }
+            }
+          }),
+          ...errors(400, 404, 413, 429, 500)
+        }
+      }
+    },
+    '/api/models/{id}': {
+      parameters: [savedId],
+      get: {
+        tags: ['Sharing'],
+        summary: 'Load a share',
+        responses: {
+          200: json({ anyOf: [ref('SharedModel'), ref('SharedClassifier'), ref('SharedOutput')] }),
+          ...errors(404)
+        }
+      }
+    },
+    '/api/models/{id}/weights.bin': {
+      parameters: [savedId],
+      get: {
+        tags: ['Sharing'],
+        summary: "A shared model's weights",
+        responses: {
+          200: {
+            description: 'Little-endian float32 values in `weightSpecs` order, as tfjs saves them (a classifier\'s: each layer\'s kernel, then its bias).',
+            content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+          },
+          ...errors(404)
+        }
+      }
+    },
+    '/api/models/{id}/info': {
+      parameters: [savedId],
+      get: {
+        tags: ['Sharing'],
+        summary: 'Share metadata',
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['id', 'type', 'createdAt'],
+            properties: {
+              id: { type: 'string' },
+              type: { type: 'string', enum: ['model', 'classifier', 'output'] },
+              preset: { type: ['string', 'null'] },
+              architecture: { type: ['string', 'null'], description: 'Of a shared model.' },
+              createdAt: { type: 'string' },
+              sizeBytes: { type: ['integer', 'null'] }
+            }
+          }),
+          ...errors(404)
+        }
+      }
+    },
+    '/api/export': {
+      get: {
+        tags: ['Bundles'],
+        summary: 'Download a model as a bundle',
+        description: 'Name one model: a `preset` (with `architecture`), a `modelToken`, a `chainToken` or a shared model\'s `shareId`.',
+        parameters: [
+          { name: 'preset', in: 'query', schema: { type: 'string' } },
+          { name: 'architecture', in: 'query', schema: { type: 'string', enum: ['lstm', 'transformer', 'markov'], default: 'lstm' }, description: 'Of the preset.' },
+          { name: 'modelToken', in: 'query', schema: { type: 'string' }, description: 'From a training job.' },
+          { name: 'chainToken', in: 'query', schema: { type: 'string' }, description: 'From POST /api/chains.' },
+          { name: 'shareId', in: 'query', schema: { type: 'string' }, description: 'A shared model (not output or a classifier).' }
+        ],
+        responses: {
+          200: {
+            description: 'A gzipped tar of `manifest.json` plus `model.json`, `weights.bin` and `vocab.json` (or `corpus.txt` for a Markov chain).',
+            content: { 'application/gzip': { schema: { type: 'string', format: 'binary' } } }
+          },
+          ...errors(400, 404, 429)
+        }
+      }
+    },
+    '/api/import': {
+      post: {
+        tags: ['Bundles'],
+        summary: 'Upload a bundle as a custom model',
+        description: `Send the bundle as the raw request body (at most ${(limits.maxBundleBytes / 1024 / 1024).toFixed(0)} MB). `
+          + `Neural models may have up to ${limits.importLimits.maxParams.toLocaleString()} parameters, a window of ${limits.importLimits.maxSeqLen} `
+          + `and ${limits.importLimits.maxVocab} characters, and only the layers MiniLLM trains itself. `
+          + 'Malformed bundles get the code `invalid_bundle`; oversized ones `payload_too_large`. '
+          + 'Neural models are test-run on the server first, except those from the browser trainer (`source=browser`).',
+        parameters: [
+          {
+            name: 'source',
+            in: 'query',
+            schema: { type: 'string', enum: ['browser'] },
+            description: 'A model trained by the browser trainer (its manifest says `source: "browser"`): its own rate limit, no test run, accepted without server-side tfjs.'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/gzip': { schema: { type: 'string', format: 'binary' } } }
+        },
+        responses: {
+          201: json({
+            type: 'object',
+            required: ['architecture', 'expiresAfterDays'],
+            properties: {
+              architecture: { type: 'string', enum: ['lstm', 'transformer', 'markov'] },
+              name: { type: ['string', 'null'] },
+              modelToken: { type: 'string', description: 'For a neural model: use it like a trained model\'s token.' },
+              params: { type: 'integer' },
+              seqLen: { type: 'integer' },
+              chainToken: { type: 'string', description: 'For a Markov chain: use it like one from POST /api/chains.' },
+              characters: { type: 'integer' },
+              vocabSize: { type: 'integer' },
+              expiresAfterDays: { type: 'integer', description: 'Unused models are deleted after this many days.' }
+            }
+          }, 'Created'),
+          ...errors(400, 413, 429, 503)
+        }
+      }
+    }
+  };
+
+  // Every route is behind the API key check, which refuses an unknown key
+  // (401) and enforces the key's requests per minute (429), any path
+  // parameter can be an undecodable %-escape (400) and any body can name a
+  // charset or encoding the parser lacks (415)
+  for (const item of Object.values(paths)) {
+    for (const [method, operation] of Object.entries(item)) {
+      if (method === 'parameters') continue;
+      const hasPathParams = [...(item.parameters || []), ...(operation.parameters || [])].some(p => p.in === 'path');
+      const common = errors(...(hasPathParams ? [400, 401, 429] : [401, 429]), ...(operation.requestBody ? [415] : []));
+      operation.responses = Object.fromEntries(Object.entries({ ...common, ...operation.responses }).sort(([a], [b]) => a.localeCompare(b)));
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'MiniLLM API',
+      version: limits.version,
+      description: 'Character-level language models (Markov chains, LSTMs, small transformers) to generate from, train and evaluate. '
+        + 'Errors always use the envelope `{ "error": { "code", "message", "details" } }`. '
+        + 'Requests may send `Authorization: Bearer <key>` for per-key quotas instead of the per-IP rate limits. '
+        + 'An OpenAI-compatible API is also served under /v1 (see the README).'
+    },
+    tags: [
+      { name: 'Generation' },
+      { name: 'Markov chains' },
+      { name: 'Training' },
+      { name: 'Evaluation' },
+      { name: 'Tokenizer' },
+      { name: 'Models' },
+      { name: 'Sharing', description: 'Links to a model or classifier that runs in the browser, or to generated output.' },
+      { name: 'Bundles', description: 'Models as files: download any model, train offline with `node bundle.js`, upload the result.' },
+      { name: 'Meta' }
+    ],
+    security: [{}, { apiKey: [] }],
+    paths,
+    components: {
+      schemas,
+      responses,
+      requestBodies: { Training: paths['/api/train-jobs'].post.requestBody },
+      securitySchemes: {
+        apiKey: { type: 'http', scheme: 'bearer', description: 'Issued with `node api-keys.js issue <name>`.' }
+      }
+    }
+  };
+}
+
+module.exports = { buildSpec };
@@ -0,0 +1,409 @@
+/**
+ * Model bundles: one portable .tar.gz per model, for downloading what the
+ * server trained and bringing in models trained elsewhere (bundle.js is the
+ * command-line side). A neural bundle holds tfjs's own files:
+ *
+ *   manifest.json  what the model is (below)
+ *   model.json     topology, with weightsManifest pointing at weights.bin
+ *   weights.bin    float32 weights in weightsManifest order
+ *   vocab.json     { charToIdx, idxToChar, vocabSize, seqLen, input?, architecture? }
+ *
+ * A Markov chain bundle holds manifest.json and corpus.txt instead: a chain
+ * is rebuilt from its text in well under a second, and its count tables are
+ * far larger than the text.
+ *
+ * manifest.json:
+ *   format, version   'minillm-bundle', 1
+ *   architecture      'lstm', 'transformer' or 'markov'
+ *   name              label to show
+ *   source            where it was exported from: 'preset', 'custom', 'share', 'chain', 'cli'
+ *                     or 'browser' (trained by public/js/train-worker.js)
+ *   hyperparameters   seqLen, vocabSize, input, units, embedDim, ... or maxOrder
+ *   params            trainable parameters (null for chains)
+ *   corpus            { sha256, characters } of the training text, if known
+ *   training          final metrics and settings, with per-epoch history if recorded
+ *   exportedAt        ISO timestamp
+ *   files             name -> { bytes, sha256 }, checked on import
+ * @module Bundle
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const Registry = require('./registry');
+
+const FORMAT = 'minillm-bundle';
+const VERSION = 1;
+const NEURAL_ARCHITECTURES = ['lstm', 'transformer'];
+const MAX_ENTRIES = 16;
+const DEFAULT_MAX_UNPACKED_BYTES = 20 * 1024 * 1024;
+
+// Layers an imported model may use: those of CharDataset.buildLSTM, the
+// shipped one-hot LSTMs and lib/transformer.js
+const ALLOWED_LAYERS = {
+  lstm: ['InputLayer', 'Embedding', 'LSTM', 'Dropout', 'Dense'],
+  transformer: ['InputLayer', 'Embedding', 'PositionalEncoding', 'LayerNormalization', 'CausalSelfAttention', 'Dropout', 'Add', 'Dense']
+};
+const DTYPE_BYTES = { float32: 4, int32: 4 };
+
+function bundleError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Fingerprint of a training text
+ * @param {string} text
+ * @returns {{sha256: string, characters: number}}
+ */
+function corpusInfo(text) {
+  return { sha256: sha256(text), characters: text.length };
+}
+
+// ===== tar =====
+// Plain ustar with regular files only: every bundle entry is a short name
+// at the top level.
+const BLOCK = 512;
+
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(BLOCK);
+  const field = (value, offset, length) => header.write(value, offset, length, 'utf-8');
+  const octal = (n, length) => n.toString(8).padStart(length - 1, '0') + '\0';
+  field(name, 0, 100);
+  field(octal(0o644, 8), 100, 8);
+  field(octal(0, 8), 108, 8);
+  field(octal(0, 8), 116, 8);
+  field(octal(size, 12), 124, 12);
+  field(octal(mtime, 12), 136, 12);
+  field('        ', 148, 8); // checksum is computed with this field as spaces
+  field('0', 156, 1);
+  field('ustar\0', 257, 6);
+  field('00', 263, 2);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  field(octal(sum, 7) + ' ', 148, 8);
+  return header;
+}
+
+function tar(files) {
+  const mtime = Math.floor(Date.now() / 1000);
+  const parts = [];
+  for (const [name, data] of Object.entries(files)) {
+    parts.push(tarHeader(name, data.length, mtime), data, Buffer.alloc((BLOCK - (data.length % BLOCK)) % BLOCK));
+  }
+  parts.push(Buffer.alloc(2 * BLOCK));
+  return Buffer.concat(parts);
+}
+
+function untar(buffer) {
+  const files = new Map();
+  let offset = 0;
+  while (offset + BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK);
+    if (header.every(b => b === 0)) break;
+    const text = (start, length) => header.toString('utf-8', start, start + length).replace(/\0.*$/s, '');
+    const size = parseInt(text(124, 12).trim(), 8);
+    const type = text(156, 1);
+    const name = (text(345, 155) ? `${text(345, 155)}/` : '') + text(0, 100);
+    if (!Number.isFinite(size) || offset + BLOCK + size > buffer.length) throw bundleError('The bundle is not a valid archive.');
+    offset += BLOCK;
+    if (type === '0' || type === '') {
+      if (files.size >= MAX_ENTRIES) throw bundleError(`A bundle holds at most ${MAX_ENTRIES} files.`);
+      files.set(path.posix.basename(name), buffer.subarray(offset, offset + size));
+    }
+    offset += Math.ceil(size / BLOCK) * BLOCK;
+  }
+  return files;
+}
+
+// ===== Packing =====
+
+/**
+ * Archive a bundle, adding format, version, exportedAt and file checksums
+ * to the manifest
+ * @param {Object} manifest
+ * @param {Object<string, Buffer>} files
+ * @returns {Buffer} .tar.gz
+ */
+function pack(manifest, files) {
+  const full = {
+    format: FORMAT,
+    version: VERSION,
+    ...manifest,
+    exportedAt: new Date().toISOString(),
+    files: Object.fromEntries(Object.entries(files).map(([name, data]) => [name, { bytes: data.length, sha256: sha256(data) }]))
+  };
+  return zlib.gzipSync(tar({ 'manifest.json': Buffer.from(JSON.stringify(full, null, 2) + '\n'), ...files }));
+}
+
+// The layers of a saved topology (Sequential and functional models alike)
+function topologyLayers(modelTopology) {
+  const config = modelTopology && modelTopology.config;
+  return (config && Array.isArray(config.layers)) ? config.layers : [];
+}
+
+function architectureOf(modelTopology, vocab) {
+  const transformer = vocab.architecture === 'transformer'
+    || topologyLayers(modelTopology).some(l => l.class_name === 'CausalSelfAttention');
+  return transformer ? 'transformer' : 'lstm';
+}
+
+function countParams(weightSpecs) {
+  return weightSpecs.reduce((sum, w) => sum + w.shape.reduce((a, b) => a * b, 1), 0);
+}
+
+// What defines the network, read from its vocabulary and topology
+function hyperparameters(modelTopology, vocab) {
+  const layers = topologyLayers(modelTopology);
+  // Saved layer configs use Keras's snake_case keys
+  const layerConfig = className => (layers.find(l => l.class_name === className) || {}).config || {};
+  const fields = {
+    seqLen: vocab.seqLen,
+    vocabSize: vocab.vocabSize,
+    input: vocab.input === 'index' || vocab.architecture === 'transformer' ? 'index' : 'one-hot'
+  };
+  if (architectureOf(modelTopology, vocab) === 'transformer') {
+    const { dModel, numHeads, numLayers, ffUnits } = vocab;
+    return {
+      ...fields,
+      dModel: dModel || layerConfig('Embedding').output_dim,
+      numHeads: numHeads || layerConfig('CausalSelfAttention').num_heads,
+      numLayers: numLayers || layers.filter(l => l.class_name === 'CausalSelfAttention').length,
+      // The feed-forward block's first Dense is the only one with a ReLU
+      ffUnits: ffUnits || (layers.find(l => l.class_name === 'Dense' && l.config.activation === 'relu') || { config: {} }).config.units
+    };
+  }
+  return { ...fields, units: layerConfig('LSTM').units, embedDim: layerConfig('Embedding').output_dim || null };
+}
+
+/**
+ * Bundle a neural model
+ * @param {{modelTopology: Object, weightSpecs: Object[], weightData: Buffer|ArrayBuffer, vocab: Object}} artifacts
+ * @param {Object} meta - { name, source, corpus?, training? }
+ * @returns {Buffer}
+ */
+function neuralBundle({ modelTopology, weightSpecs, weightData, vocab }, { name, source, corpus = null, training = null }) {
+  const modelJson = { modelTopology, format: 'layers-model', generatedBy: 'MiniLLM', weightsManifest: [{ paths: ['weights.bin'], weights: weightSpecs }] };
+  return pack({
+    architecture: architectureOf(modelTopology, vocab),
+    name,
+    source,
+    hyperparameters: hyperparameters(modelTopology, vocab),
+    params: countParams(weightSpecs),
+    corpus,
+    training
+  }, {
+    'model.json': Buffer.from(JSON.stringify(modelJson)),
+    'weights.bin': Buffer.from(weightData),
+    'vocab.json': Buffer.from(JSON.stringify(vocab))
+  });
+}
+
+/**
+ * Bundle a Markov chain's source text
+ * @param {string} text
+ * @param {Object} meta - { name, source, maxOrder }
+ * @returns {Buffer}
+ */
+function markovBundle(text, { name, source, maxOrder }) {
+  return pack({
+    architecture: 'markov',
+    name,
+    source,
+    hyperparameters: { maxOrder },
+    params: null,
+    corpus: corpusInfo(text),
+    training: null
+  }, { 'corpus.txt': Buffer.from(text, 'utf-8') });
+}
+
+/**
+ * Where a registry model came from: its corpus fingerprint and its training
+ * metrics, with the per-epoch history from metrics.jsonl when there is one
+ * @param {Object} entry - Registry entry
+ * @returns {{corpus: Object|null, training: Object|null}}
+ */
+function provenance(entry) {
+  const corpusFile = Registry.corpusPath(entry.corpus);
+  const metricsFile = path.join(entry.dir, 'metrics.jsonl');
+  const history = fs.existsSync(metricsFile)
+    ? fs.readFileSync(metricsFile, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+    : null;
+  return {
+    corpus: fs.existsSync(corpusFile) ? corpusInfo(fs.readFileSync(corpusFile, 'utf-8')) : null,
+    training: entry.training || history ? { ...entry.training, ...(history && { history }) } : null
+  };
+}
+
+/**
+ * Bundle a model directory from the registry (models/<id>/, or wherever
+ * train-models.js --out put it)
+ * @param {Object} entry - Registry entry with weights
+ * @param {string} [source='preset']
+ * @returns {Buffer}
+ */
+function entryBundle(entry, source = 'preset') {
+  return neuralBundle(Registry.readArtifacts(entry), { name: entry.displayName, source, ...provenance(entry) });
+}
+
+/**
+ * Training metrics in the manifest's shape, from a custom model's stats
+ * (see lib/model-worker.js)
+ * @param {Object} stats
+ * @returns {Object|null}
+ */
+function customTraining(stats) {
+  if (stats.training) return stats.training; // imported: kept as it came
+  if (!stats.losses) return null;
+  return {
+    epochs: stats.epochs,
+    loss: stats.finalLoss,
+    windows: stats.samples,
+    wallMs: stats.trainTimeMs,
+    history: stats.losses.map((loss, i) => ({ epoch: i + 1, loss }))
+  };
+}
+
+// ===== Unpacking =====
+
+const parseJson = (files, name) => {
+  try {
+    return JSON.parse(files.get(name).toString('utf-8'));
+  } catch (e) {
+    throw bundleError(`${name} is not valid JSON.`);
+  }
+};
+
+/**
+ * Open a bundle and check it is one: format, version and file checksums
+ * @param {Buffer} buffer - .tar.gz (or plain .tar)
+ * @param {Object} [opts]
+ * @param {number} [opts.maxBytes] - Largest unpacked size
+ * @returns {{manifest: Object, files: Map<string, Buffer>}}
+ * @throws 400-status error saying what is wrong (413 if too large)
+ */
+function unpack(buffer, { maxBytes = DEFAULT_MAX_UNPACKED_BYTES } = {}) {
+  let archive = buffer;
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      archive = zlib.gunzipSync(buffer, { maxOutputLength: maxBytes });
+    } catch (e) {
+      if (e.code === 'ERR_BUFFER_TOO_LARGE') throw bundleError(`The bundle unpacks to more than ${maxBytes / 1024 / 1024} MB.`, 413);
+      throw bundleError('The bundle is not a valid .tar.gz archive.');
+    }
+  }
+  const files = untar(archive);
+  if (!files.size) throw bundleError('The bundle is not a valid archive.');
+  if (!files.has('manifest.json')) throw bundleError('The bundle has no manifest.json.');
+  const manifest = parseJson(files, 'manifest.json');
+  if (manifest.format !== FORMAT) throw bundleError('manifest.json is not a MiniLLM bundle manifest.');
+  if (manifest.version !== VERSION) throw bundleError(`Unsupported bundle version ${manifest.version} (expected ${VERSION}).`);
+  for (const [name, { sha256: expected } = {}] of Object.entries(manifest.files || {})) {
+    if (!files.has(name)) throw bundleError(`${name} is listed in the manifest but missing.`);
+    if (expected && sha256(files.get(name)) !== expected) throw bundleError(`${name} does not match its checksum.`);
+  }
+  return { manifest, files };
+}
+
+/**
+ * The model in a neural bundle, checked against limits before anything
+ * tries to load it
+ * @param {{manifest: Object, files: Map<string, Buffer>}} bundle - From unpack()
+ * @param {Object} [limits] - Unlimited when left out
+ * @param {number} [limits.maxParams]
+ * @param {number} [limits.maxSeqLen]
+ * @param {number} [limits.maxVocab]
+ * @returns {{modelTopology: Object, weightSpecs: Object[], weightData: Buffer, vocab: Object}}
+ */
+function readNeural({ manifest, files }, { maxParams = Infinity, maxSeqLen = Infinity, maxVocab = Infinity } = {}) {
+  for (const name of ['model.json', 'vocab.json']) {
+    if (!files.has(name)) throw bundleError(`The bundle has no ${name}.`);
+  }
+  const modelJson = parseJson(files, 'model.json');
+  const vocab = parseJson(files, 'vocab.json');
+  const { modelTopology } = modelJson;
+  const groups = Array.isArray(modelJson.weightsManifest) ? modelJson.weightsManifest : [];
+  const weightSpecs = groups.flatMap(g => g.weights || []);
+  const layers = topologyLayers(modelTopology);
+  if (!layers.length || !weightSpecs.length) throw bundleError('model.json is not a tfjs layers model with weights.');
+
+  const architecture = architectureOf(modelTopology, vocab);
+  if (manifest.architecture !== architecture) {
+    throw bundleError(`The manifest says ${manifest.architecture}, but the model is a ${architecture}.`);
+  }
+  const unsupported = layers.map(l => l.class_name).filter(c => !ALLOWED_LAYERS[architecture].includes(c));
+  if (unsupported.length) throw bundleError(`Unsupported layer types for ${architecture === 'lstm' ? 'an LSTM' : 'a transformer'}: ${[...new Set(unsupported)].join(', ')}.`);
+
+  const { charToIdx, idxToChar, vocabSize, seqLen } = vocab;
+  if (!charToIdx || !idxToChar || typeof charToIdx !== 'object' || typeof idxToChar !== 'object') {
+    throw bundleError('vocab.json needs charToIdx and idxToChar.');
+  }
+  if (!Number.isInteger(vocabSize) || vocabSize < 2 || vocabSize > maxVocab) throw bundleError(`vocabSize must be between 2 and ${maxVocab}.`);
+  if (!Number.isInteger(seqLen) || seqLen < 1 || seqLen > maxSeqLen) throw bundleError(`seqLen must be between 1 and ${maxSeqLen}.`);
+  const indices = Object.values(charToIdx);
+  if (indices.length !== vocabSize || !indices.every(i => Number.isInteger(i) && i >= 0 && i < vocabSize)
+    || indices.some(i => idxToChar[String(i)] === undefined)) {
+    throw bundleError('charToIdx and idxToChar must map vocabSize characters to indices 0..vocabSize-1.');
+  }
+  // The input layer has to take the windows inference will feed it
+  const inputShape = (layers[0].config || {}).batch_input_shape || (layers[0].config || {}).batchInputShape;
+  const oneHot = architecture === 'lstm' && vocab.input !== 'index';
+  if (inputShape && (inputShape[1] !== seqLen || (oneHot ? inputShape[2] !== vocabSize : inputShape.length !== 2))) {
+    throw bundleError(`The model's input shape [${inputShape.slice(1)}] does not match vocab.json (seqLen ${seqLen}${oneHot ? `, vocabSize ${vocabSize}` : ''}).`);
+  }
+
+  let bytes = 0;
+  for (const w of weightSpecs) {
+    if (!DTYPE_BYTES[w.dtype || 'float32'] || !Array.isArray(w.shape) || !w.shape.every(d => Number.isInteger(d) && d > 0)) {
+      throw bundleError(`Weight ${w.name} has an unsupported dtype or shape.`);
+    }
+    bytes += w.shape.reduce((a, b) => a * b, 1) * DTYPE_BYTES[w.dtype || 'float32'];
+  }
+  const params = countParams(weightSpecs);
+  if (params > maxParams) throw bundleError(`The model has ${params.toLocaleString()} parameters; the limit is ${maxParams.toLocaleString()}.`, 413);
+
+  const paths = groups.flatMap(g => g.paths || []);
+  const missing = paths.filter(p => !files.has(path.posix.basename(p)));
+  if (missing.length) throw bundleError(`The bundle is missing ${missing.join(', ')}.`);
+  const weightData = Buffer.concat(paths.map(p => files.get(path.posix.basename(p))));
+  if (weightData.length !== bytes) {
+    throw bundleError(`The weights are ${weightData.length} bytes, but model.json describes ${bytes}.`);
+  }
+  return { modelTopology, weightSpecs, weightData, vocab: { ...vocab, architecture } };
+}
+
+/**
+ * The text of a Markov chain bundle
+ * @param {{manifest: Object, files: Map<string, Buffer>}} bundle - From unpack()
+ * @param {Object} [limits] - { minText, maxText } in characters
+ * @returns {string}
+ */
+function readMarkov({ files }, { minText = 1, maxText = Infinity } = {}) {
+  if (!files.has('corpus.txt')) throw bundleError('The bundle has no corpus.txt.');
+  const text = files.get('corpus.txt').toString('utf-8');
+  if (text.length < minText || text.length > maxText) {
+    throw bundleError(`A chain needs between ${minText} and ${maxText.toLocaleString()} characters of text; this one has ${text.length.toLocaleString()}.`, text.length > maxText ? 413 : 400);
+  }
+  return text;
+}
+
+module.exports = {
+  FORMAT,
+  VERSION,
+  NEURAL_ARCHITECTURES,
+  corpusInfo,
+  pack,
+  neuralBundle,
+  markovBundle,
+  provenance,
+  entryBundle,
+  customTraining,
+  unpack,
+  readNeural,
+  readMarkov
+};
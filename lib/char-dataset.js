@@ -0,0 +1,225 @@
+/**
+ * Training data for the character-level models, streamed instead of
+ * materialised. The corpus is kept once as an Int32Array of character
+ * indices; each batch of windows is cut from it on demand by a tf.data
+ * generator, in a fresh random order every epoch. Inputs are plain indices
+ * (the models embed them), so memory no longer grows with
+ * windows × seqLen × vocabSize and the whole text can be used.
+ *
+ * Like lib/transformer.js, tfjs is passed in so callers keep control of how
+ * it is loaded, and the server serves this file to the browser as
+ * /js/char-dataset.js: custom models can be trained in a Web Worker
+ * (public/js/train-worker.js) exactly as the server's workers train them.
+ * @module CharDataset
+ */
+'use strict';
+
+(function() {
+
+// The small LSTM trained on a user's own text, on the server or in the browser
+const CUSTOM_MODEL = {
+  seqLen: 20,
+  embedDim: 16,
+  units: 32,
+  epochs: 10,
+  batchSize: 32,
+  learningRate: 0.005,
+  // Long texts are strided so an epoch stays around this many windows
+  windowsPerEpoch: 5000
+};
+
+/**
+ * Character vocabulary of a text, sorted
+ * @param {string} text
+ * @returns {{charToIdx: Object, idxToChar: Object, vocabSize: number}}
+ */
+function buildVocab(text) {
+  const chars = [...new Set(text.split(''))].sort();
+  const charToIdx = {};
+  const idxToChar = {};
+  chars.forEach((c, i) => { charToIdx[c] = i; idxToChar[i] = c; });
+  return { charToIdx, idxToChar, vocabSize: chars.length };
+}
+
+/**
+ * Start offsets of every usable window of seqLen inputs plus the character
+ * after them, taking every `stride`-th one. Windows containing a character
+ * outside the vocabulary are skipped.
+ * @param {string} text
+ * @param {Object} charToIdx
+ * @param {number} seqLen
+ * @param {number} [stride=1]
+ * @returns {{ids: Int32Array, starts: number[]}}
+ */
+function indexWindows(text, charToIdx, seqLen, stride = 1) {
+  const chars = text.split(''); // UTF-16 units, as the vocabulary and inference use
+  const ids = new Int32Array(chars.length);
+  let lastUnknown = -1;
+  const starts = [];
+  for (let i = 0; i < chars.length; i++) {
+    const idx = charToIdx[chars[i]];
+    ids[i] = idx === undefined ? -1 : idx;
+    if (idx === undefined) lastUnknown = i;
+    const start = i - seqLen; // the window ending at i (its target) starts here
+    if (start >= 0 && start > lastUnknown && start % stride === 0) starts.push(start);
+  }
+  return { ids, starts };
+}
+
+/**
+ * Hold out the last `valSplit` of the windows (the end of the text) for
+ * validation. Training windows that overlap the first validation window are
+ * dropped, so no validation character is ever trained on.
+ * @param {number[]} starts
+ * @param {number} seqLen
+ * @param {number} valSplit - 0 for no validation
+ * @returns {{train: number[], val: number[]}}
+ */
+function splitWindows(starts, seqLen, valSplit) {
+  const valCount = valSplit > 0 ? Math.max(1, Math.round(starts.length * valSplit)) : 0;
+  if (!valCount) return { train: starts, val: [] };
+  const val = starts.slice(starts.length - valCount);
+  let trainCount = starts.length - valCount;
+  while (trainCount > 0 && starts[trainCount - 1] + seqLen + 1 > val[0]) trainCount--;
+  return { train: starts.slice(0, trainCount), val };
+}
+
+/**
+ * tf.data dataset of { xs, ys } batches.
+ * xs: int32 [batch, seqLen] character indices.
+ * ys: one-hot next character, [batch, vocabSize] for target 'last' (LSTMs)
+ *     or [batch, seqLen, vocabSize] for target 'sequence' (transformers,
+ *     which predict the next character at every position).
+ * @param {Object} tf - tfjs module
+ * @param {Int32Array} ids - From indexWindows()
+ * @param {number[]} starts - Window offsets to draw from
+ * @param {Object} opts
+ * @param {number} opts.seqLen
+ * @param {number} opts.vocabSize
+ * @param {number} opts.batchSize
+ * @param {string} [opts.target='last'] - 'last' or 'sequence'
+ * @param {boolean} [opts.shuffle=true] - New order on every pass (epoch)
+ * @returns {Object} tf.data.Dataset
+ */
+function windowDataset(tf, ids, starts, { seqLen, vocabSize, batchSize, target = 'last', shuffle = true }) {
+  const perWindow = target === 'sequence' ? seqLen : 1;
+  return tf.data.generator(function* () {
+    const order = starts.slice();
+    if (shuffle) {
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+    for (let b = 0; b < order.length; b += batchSize) {
+      const batch = order.slice(b, b + batchSize);
+      const x = new Int32Array(batch.length * seqLen);
+      const y = new Float32Array(batch.length * perWindow * vocabSize);
+      batch.forEach((start, row) => {
+        x.set(ids.subarray(start, start + seqLen), row * seqLen);
+        for (let t = 0; t < perWindow; t++) {
+          const next = ids[start + seqLen - perWindow + t + 1];
+          y[(row * perWindow + t) * vocabSize + next] = 1;
+        }
+      });
+      yield {
+        xs: tf.tensor2d(x, [batch.length, seqLen], 'int32'),
+        ys: target === 'sequence'
+          ? tf.tensor3d(y, [batch.length, seqLen, vocabSize])
+          : tf.tensor2d(y, [batch.length, vocabSize])
+      };
+    }
+  });
+}
+
+/**
+ * Character-level LSTM over index inputs: embedding → LSTM → dropout →
+ * softmax over the vocabulary. Uncompiled.
+ * @param {Object} tf - tfjs module
+ * @param {Object} config - { vocabSize, seqLen, embedDim, units, dropout }
+ * @returns {Object} tf.Sequential
+ */
+function buildLSTM(tf, { vocabSize, seqLen, embedDim, units, dropout = 0 }) {
+  const model = tf.sequential();
+  model.add(tf.layers.embedding({ inputDim: vocabSize, outputDim: embedDim, inputLength: seqLen }));
+  model.add(tf.layers.lstm({ units, returnSequences: false }));
+  if (dropout) model.add(tf.layers.dropout({ rate: dropout }));
+  model.add(tf.layers.dense({ units: vocabSize, activation: 'softmax' }));
+  return model;
+}
+
+/**
+ * Train CUSTOM_MODEL on a text
+ * @param {Object} tf - tfjs module
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {number} [opts.batchSize] - Overrides CUSTOM_MODEL.batchSize
+ * @param {function(Object, Object, Object): (Promise|void)} [opts.onEpoch] -
+ *   Called with { epoch, loss, elapsedMs }, the model and its vocab after
+ *   every epoch (awaited)
+ * @param {function(): boolean} [opts.shouldStop] - Checked after every batch
+ * @returns {Promise<{model: Object, vocab: Object, stats: Object}|null>}
+ *   null if stopped part-way through (the model is disposed)
+ * @throws Error with status 400 if the text has too few usable windows
+ */
+async function trainCustomLSTM(tf, text, { batchSize = CUSTOM_MODEL.batchSize, onEpoch = () => {}, shouldStop = () => false } = {}) {
+  const { seqLen, embedDim, units, epochs, learningRate, windowsPerEpoch } = CUSTOM_MODEL;
+  const vocab = { ...buildVocab(text), seqLen, input: 'index' };
+  const { vocabSize } = vocab;
+
+  const stride = Math.max(1, Math.ceil(text.length / windowsPerEpoch));
+  const { ids, starts } = indexWindows(text, vocab.charToIdx, seqLen, stride);
+  if (starts.length < 20) {
+    const err = new Error('Not enough usable training data.');
+    err.status = 400;
+    throw err;
+  }
+  const dataset = windowDataset(tf, ids, starts, { seqLen, vocabSize, batchSize });
+
+  const model = buildLSTM(tf, { vocabSize, seqLen, embedDim, units });
+  model.compile({ optimizer: tf.train.adam(learningRate), loss: 'categoricalCrossentropy' });
+
+  const losses = [];
+  const t0 = Date.now();
+  await model.fitDataset(dataset, {
+    epochs,
+    callbacks: {
+      onBatchEnd: () => { if (shouldStop()) model.stopTraining = true; },
+      onEpochEnd: async (epoch, logs) => {
+        losses.push(logs.loss);
+        await onEpoch({ epoch: epoch + 1, loss: logs.loss, elapsedMs: Date.now() - t0 }, model, vocab);
+      }
+    }
+  });
+  if (shouldStop()) {
+    model.dispose();
+    return null;
+  }
+
+  return {
+    model,
+    vocab,
+    stats: {
+      samples: starts.length,
+      vocabSize,
+      totalParams: model.countParams(),
+      epochs,
+      finalLoss: losses[losses.length - 1],
+      losses,
+      trainTimeMs: Date.now() - t0,
+      architecture: `LSTM (${units} units)`
+    }
+  };
+}
+
+const CharDataset = { CUSTOM_MODEL, buildVocab, indexWindows, splitWindows, windowDataset, buildLSTM, trainCustomLSTM };
+
+// Export for both module and browser (a page or a Web Worker)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CharDataset;
+}
+if (typeof self !== 'undefined') {
+  self.CharDataset = CharDataset;
+}
+
+})();
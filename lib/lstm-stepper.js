@@ -0,0 +1,183 @@
+/**
+ * Incremental inference for the character-level LSTMs. Running the tfjs
+ * model means feeding it a whole seqLen window for every character it
+ * outputs; this keeps the LSTM's hidden and cell state instead and advances
+ * it one character at a time, so each new character costs one cell step
+ * rather than seqLen of them. Several sequences can be stepped together as a
+ * batch (one state per row).
+ *
+ * Weights are copied out of a loaded tf.LayersModel once and the cell is
+ * evaluated in plain JS — the matrices are small (64 units), so this beats
+ * dispatching tensor ops for each step. Supports the models this repo
+ * trains: optional Embedding → one LSTM → optional Dropout → Dense softmax,
+ * with either one-hot or index inputs.
+ * @module LSTMStepper
+ */
+'use strict';
+
+const ACTIVATIONS = {
+  tanh: Math.tanh,
+  sigmoid: x => 1 / (1 + Math.exp(-x)),
+  hardSigmoid: x => Math.min(1, Math.max(0, 0.2 * x + 0.5)),
+  linear: x => x,
+  relu: x => Math.max(0, x)
+};
+
+class LSTMStepper {
+  /**
+   * @param {Object} weights
+   * @param {Float32Array} weights.input - Input projection per character,
+   *   [vocabSize, 4 * units] (the kernel, with any embedding folded in)
+   * @param {Float32Array} weights.recurrent - Recurrent kernel, [units, 4 * units]
+   * @param {Float32Array} weights.bias - [4 * units]
+   * @param {Float32Array} weights.outKernel - Dense kernel, [units, vocabSize]
+   * @param {Float32Array} weights.outBias - [vocabSize]
+   * @param {number} weights.units
+   * @param {number} weights.vocabSize
+   * @param {string} [weights.activation='tanh']
+   * @param {string} [weights.recurrentActivation='hardSigmoid']
+   */
+  constructor({ input, recurrent, bias, outKernel, outBias, units, vocabSize, activation = 'tanh', recurrentActivation = 'hardSigmoid' }) {
+    if (!ACTIVATIONS[activation] || !ACTIVATIONS[recurrentActivation]) {
+      throw new Error(`Unsupported LSTM activation: ${activation}/${recurrentActivation}`);
+    }
+    Object.assign(this, { input, recurrent, bias, outKernel, outBias, units, vocabSize });
+    this.activation = ACTIVATIONS[activation];
+    this.recurrentActivation = ACTIVATIONS[recurrentActivation];
+    this.z = new Float32Array(4 * units); // gate pre-activations, reused between steps
+  }
+
+  /**
+   * Copy the weights out of a loaded model
+   * @param {Object} model - tf.LayersModel
+   * @returns {LSTMStepper|null} null if the model isn't a single-LSTM char model
+   */
+  static fromModel(model) {
+    const layers = model.layers.filter(l => l.getClassName() !== 'Dropout');
+    const names = layers.map(l => l.getClassName());
+    const embedded = names[0] === 'Embedding';
+    const expected = embedded ? ['Embedding', 'LSTM', 'Dense'] : ['LSTM', 'Dense'];
+    if (names.join() !== expected.join()) return null;
+
+    const [lstm, dense] = layers.slice(embedded ? 1 : 0);
+    const lstmConfig = lstm.getConfig();
+    if (lstmConfig.stateful || lstmConfig.goBackwards || dense.getConfig().activation !== 'softmax') return null;
+
+    const data = layer => layer.getWeights().map(w => w.dataSync());
+    const [kernel, recurrent, bias] = data(lstm);
+    const [outKernel, outBias] = data(dense);
+    const units = lstmConfig.units;
+    const vocabSize = outBias.length;
+    const gates = 4 * units;
+
+    // One-hot input × kernel is just a row of the kernel, and an embedding
+    // lookup × kernel is a fixed row too, so both become a table lookup.
+    let input = kernel;
+    if (embedded) {
+      const [table] = data(layers[0]);
+      const dim = table.length / vocabSize;
+      input = new Float32Array(vocabSize * gates);
+      for (let v = 0; v < vocabSize; v++) {
+        for (let d = 0; d < dim; d++) {
+          const e = table[v * dim + d];
+          if (!e) continue;
+          for (let g = 0; g < gates; g++) input[v * gates + g] += e * kernel[d * gates + g];
+        }
+      }
+    } else if (kernel.length !== vocabSize * gates) {
+      return null;
+    }
+
+    return new LSTMStepper({
+      input,
+      recurrent,
+      bias: bias || new Float32Array(gates),
+      outKernel,
+      outBias,
+      units,
+      vocabSize,
+      activation: lstmConfig.activation,
+      recurrentActivation: lstmConfig.recurrentActivation
+    });
+  }
+
+  /**
+   * Zero state for a batch of sequences
+   * @param {number} [batch=1]
+   * @returns {{h: Float32Array, c: Float32Array}[]} one state per row
+   */
+  initialState(batch = 1) {
+    return Array.from({ length: batch }, () => ({
+      h: new Float32Array(this.units),
+      c: new Float32Array(this.units)
+    }));
+  }
+
+  /**
+   * Advance one row's state by one character. Gate order in the weights is
+   * input, forget, cell, output (as in Keras/tfjs).
+   * @param {{h: Float32Array, c: Float32Array}} state - Updated in place
+   * @param {number} idx - Character index (negative for an all-zero input)
+   */
+  advance(state, idx) {
+    const { units, recurrent, z } = this;
+    const gates = 4 * units;
+    const { h, c } = state;
+    z.set(this.bias);
+    if (idx >= 0) {
+      const row = idx * gates;
+      for (let g = 0; g < gates; g++) z[g] += this.input[row + g];
+    }
+    for (let k = 0; k < units; k++) {
+      const hk = h[k];
+      if (!hk) continue;
+      const row = k * gates;
+      for (let g = 0; g < gates; g++) z[g] += hk * recurrent[row + g];
+    }
+    const act = this.activation, rec = this.recurrentActivation;
+    for (let u = 0; u < units; u++) {
+      const i = rec(z[u]);
+      const f = rec(z[units + u]);
+      const cand = act(z[2 * units + u]);
+      const o = rec(z[3 * units + u]);
+      c[u] = f * c[u] + i * cand;
+      h[u] = o * act(c[u]);
+    }
+  }
+
+  /**
+   * Next-character distribution (the Dense softmax) for one row
+   * @param {{h: Float32Array}} state
+   * @returns {Float32Array} [vocabSize]
+   */
+  probs(state) {
+    const { units, vocabSize, outKernel } = this;
+    const out = Float32Array.from(this.outBias);
+    for (let k = 0; k < units; k++) {
+      const hk = state.h[k];
+      const row = k * vocabSize;
+      for (let v = 0; v < vocabSize; v++) out[v] += hk * outKernel[row + v];
+    }
+    let max = -Infinity;
+    for (let v = 0; v < vocabSize; v++) if (out[v] > max) max = out[v];
+    let sum = 0;
+    for (let v = 0; v < vocabSize; v++) sum += (out[v] = Math.exp(out[v] - max));
+    for (let v = 0; v < vocabSize; v++) out[v] /= sum;
+    return out;
+  }
+
+  /**
+   * Feed one character to every row and return each row's next distribution
+   * @param {{h: Float32Array, c: Float32Array}[]} states - Updated in place
+   * @param {number[]} ids - One character index per row
+   * @returns {Float32Array[]}
+   */
+  step(states, ids) {
+    return states.map((state, row) => {
+      this.advance(state, ids[row]);
+      return this.probs(state);
+    });
+  }
+}
+
+module.exports = { LSTMStepper, ACTIVATIONS };
@@ -0,0 +1,166 @@
+/**
+ * Variable-order character Markov model with interpolated Kneser-Ney smoothing.
+ * One model holds counts for every order up to maxOrder, so any order can be
+ * used for generation or scoring without rebuilding.
+ * @module Markov
+ */
+'use strict';
+
+const DEFAULT_MAX_ORDER = 8;
+
+// Count table for one order: context -> { total, counts: Map(char -> count) }
+function addCount(table, context, ch, amount = 1) {
+  let entry = table.get(context);
+  if (!entry) {
+    entry = { total: 0, counts: new Map() };
+    table.set(context, entry);
+  }
+  entry.total += amount;
+  entry.counts.set(ch, (entry.counts.get(ch) || 0) + amount);
+}
+
+// Modified Kneser-Ney discount estimate D = n1 / (n1 + 2 n2), where nk is the
+// number of n-grams seen exactly k times. Falls back to 0.75 for tiny tables.
+function estimateDiscount(table) {
+  let n1 = 0, n2 = 0;
+  for (const { counts } of table.values()) {
+    for (const c of counts.values()) {
+      if (c === 1) n1++;
+      else if (c === 2) n2++;
+    }
+  }
+  if (!n1 || !n2) return 0.75;
+  return Math.max(0.1, Math.min(0.9, n1 / (n1 + 2 * n2)));
+}
+
+class MarkovModel {
+  /**
+   * @param {string} text - Training text
+   * @param {number} [maxOrder] - Longest context to count
+   */
+  constructor(text, maxOrder = DEFAULT_MAX_ORDER) {
+    this.maxOrder = maxOrder;
+    this.vocab = [...new Set(text)].sort();
+    this.vocabIndex = new Map(this.vocab.map((c, i) => [c, i]));
+
+    // raw[n]: how often each char followed each length-n context
+    this.raw = [];
+    for (let n = 0; n <= maxOrder; n++) {
+      const table = new Map();
+      for (let i = n; i < text.length; i++) addCount(table, text.slice(i - n, i), text[i]);
+      this.raw.push(table);
+    }
+
+    // cont[n] (n < maxOrder): how many distinct characters preceded each
+    // (context, char) pair — the Kneser-Ney "continuation" count. A char that
+    // only ever follows one longer context gets little credit on its own.
+    this.cont = [];
+    for (let n = 0; n < maxOrder; n++) {
+      const table = new Map();
+      for (const [longer, { counts }] of this.raw[n + 1]) {
+        for (const ch of counts.keys()) addCount(table, longer.slice(1), ch);
+      }
+      this.cont.push(table);
+    }
+
+    this.rawDiscount = this.raw.map(estimateDiscount);
+    this.contDiscount = this.cont.map(estimateDiscount);
+  }
+
+  /** Number of distinct contexts seen for an order */
+  states(order) {
+    return this.raw[order].size;
+  }
+
+  /**
+   * Probability of every vocabulary character after `context`, interpolating
+   * from `order` down to the continuation unigram. A share of mass
+   * (1 / (vocab + 1) at the bottom) is reserved for characters the model has
+   * never seen, so the result sums to slightly less than 1.
+   * @param {string} context
+   * @param {number} order
+   * @returns {Float64Array} Indexed like this.vocab
+   */
+  interpolate(context, order) {
+    const n = Math.min(order, this.maxOrder, context.length);
+    return this._level(context.slice(context.length - n), n, true);
+  }
+
+  _level(context, n, top) {
+    const V = this.vocab.length;
+    const table = top ? this.raw[n] : this.cont[n];
+    const D = top ? this.rawDiscount[n] : this.contDiscount[n];
+    const entry = table.get(context);
+
+    let lower;
+    if (n === 0) {
+      lower = new Float64Array(V).fill(1 / (V + 1));
+    } else {
+      lower = this._level(context.slice(1), n - 1, false);
+    }
+    if (!entry) return lower;
+
+    const backoff = D * entry.counts.size / entry.total;
+    const out = new Float64Array(V);
+    for (let i = 0; i < V; i++) out[i] = backoff * lower[i];
+    for (const [ch, c] of entry.counts) {
+      out[this.vocabIndex.get(ch)] += Math.max(c - D, 0) / entry.total;
+    }
+    return out;
+  }
+
+  /**
+   * Next-character distribution for generation (renormalised over the vocabulary)
+   * @param {string} context
+   * @param {number} order
+   * @returns {Float64Array}
+   */
+  distribution(context, order) {
+    const p = this.interpolate(context, order);
+    let sum = 0;
+    for (let i = 0; i < p.length; i++) sum += p[i];
+    for (let i = 0; i < p.length; i++) p[i] /= sum;
+    return p;
+  }
+
+  /**
+   * Probability of one character after a context, for scoring text.
+   * Unseen characters get their share of the reserved mass.
+   * @param {string} context
+   * @param {string} ch
+   * @param {number} order
+   * @returns {number}
+   */
+  prob(context, ch, order) {
+    const p = this.interpolate(context, order);
+    const idx = this.vocabIndex.get(ch);
+    if (idx !== undefined) return p[idx];
+    let seen = 0;
+    for (let i = 0; i < p.length; i++) seen += p[i];
+    return 1 - seen;
+  }
+
+  /**
+   * Continue a prompt
+   * @param {string} prompt
+   * @param {number} length - Characters to generate
+   * @param {number} order - Context length to condition on
+   * @param {Object} sampler - A Sampling.Sampler
+   * @param {number} [topLogprobs] - Alternatives to describe per step (0 = none)
+   * @returns {{text: string, logprobs: Array|null}}
+   */
+  generate(prompt, length, order, sampler, topLogprobs = 0) {
+    let context = prompt.slice(-order);
+    let text = '';
+    const logprobs = topLogprobs ? [] : null;
+    for (let i = 0; i < length; i++) {
+      const ch = this.vocab[sampler.sample(this.distribution(context, order))];
+      if (logprobs) logprobs.push(sampler.describeLast(topLogprobs, j => this.vocab[j]));
+      text += ch;
+      context = (context + ch).slice(-order);
+    }
+    return { text, logprobs };
+  }
+}
+
+module.exports = { MarkovModel, DEFAULT_MAX_ORDER };
@@ -0,0 +1,340 @@
+/**
+ * Worker thread that owns the tfjs models (run by lib/worker-pool.js from
+ * server.js). Each worker loads every registry model at start-up, keeps its
+ * own LRU of custom models (read from SQLite on first use) and runs one job
+ * at a time:
+ *
+ *   generate  { architecture, preset | modelToken, prompt, length, n, sampling, topLogprobs, stream }
+ *             → { samples: [{ text, logprobs }], params }; with `stream`, one
+ *               progress message per character and → { text }
+ *   evaluate  { architecture, preset | modelToken, text } → { probs }
+ *   train     { text, modelToken } → progress per epoch, then
+ *             { stats, vocab, artifacts } for the server to store, or null
+ *             if cancelled
+ *
+ * Errors meant for the client carry an HTTP `status`; anything else is
+ * reported as a 500.
+ * @module ModelWorker
+ */
+'use strict';
+
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const Sampling = require('../public/js/sampling');
+const Transformer = require('./transformer');
+const CharDataset = require('./char-dataset');
+const { LSTMStepper } = require('./lstm-stepper');
+
+const MAX_HOT_CUSTOM_MODELS = 20;
+
+let tf;
+const ARCHITECTURES = { lstm: {}, transformer: {} }; // preset -> { model, vocab, manifest }
+const customModels = new Map(); // token -> { model, charToIdx, idxToChar, vocabSize, seqLen }, oldest use first
+let db = null;
+
+function clientError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ===== Loading =====
+async function loadCharModel(dir) {
+  const modelPath = path.join(dir, 'model.json');
+  const vocabPath = path.join(dir, 'vocab.json');
+  if (!fs.existsSync(modelPath) || !fs.existsSync(vocabPath)) return null;
+  const model = await tf.loadLayersModel(`file://${modelPath}`);
+  const vocab = JSON.parse(fs.readFileSync(vocabPath, 'utf-8'));
+  return { model, vocab };
+}
+
+async function loadModels(entries) {
+  try {
+    tf = require('@tensorflow/tfjs-node');
+  } catch (e) {
+    return false;
+  }
+  Transformer.registerLayers(tf);
+  for (const entry of entries) {
+    const { id, name, architecture } = entry;
+    if (!entry.hasWeights) continue;
+    try {
+      const loaded = await loadCharModel(entry.dir);
+      if (loaded) ARCHITECTURES[architecture][name] = { ...loaded, manifest: entry };
+    } catch (e) {
+      console.error(`Failed to load ${architecture} ${id}:`, e.message);
+    }
+  }
+  return true;
+}
+
+function cacheCustomModel(token, cm) {
+  customModels.delete(token);
+  customModels.set(token, cm);
+  while (customModels.size > MAX_HOT_CUSTOM_MODELS) {
+    const [oldest, evicted] = customModels.entries().next().value;
+    try { evicted.model.dispose(); } catch(e) {}
+    customModels.delete(oldest);
+  }
+}
+
+async function loadCustomModel(token) {
+  if (!db) db = new Database(workerData.dbPath, { readonly: true, fileMustExist: true });
+  const row = db.prepare('SELECT topology, weight_specs, weight_data, vocab FROM custom_models WHERE token = ?').get(token);
+  if (!row) return null;
+  const buf = row.weight_data;
+  const model = await tf.loadLayersModel(tf.io.fromMemory({
+    modelTopology: JSON.parse(row.topology),
+    weightSpecs: JSON.parse(row.weight_specs),
+    weightData: buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength)
+  }));
+  return { model, ...JSON.parse(row.vocab) };
+}
+
+// The model a job names: a preset (with architecture) or a custom modelToken
+async function resolveModel({ architecture = 'lstm', preset, modelToken }) {
+  if (modelToken) {
+    let cm = customModels.get(modelToken);
+    if (!cm) cm = await loadCustomModel(modelToken);
+    if (!cm) throw clientError('Model not found. Train a new one.', 404);
+    cacheCustomModel(modelToken, cm);
+    return { model: cm.model, vocab: cm };
+  }
+  const loaded = ARCHITECTURES[architecture] && ARCHITECTURES[architecture][preset];
+  if (!loaded) throw clientError(`Model "${preset}" (${architecture}) not loaded.`, 404);
+  return loaded;
+}
+
+// ===== Inference =====
+// Input tensor for a batch of seqLen-character windows: plain character
+// indices for models that embed them (transformers, and LSTMs trained with
+// `input: 'index'`), one-hot vectors for older LSTMs. Unknown characters fall
+// back to index 0.
+function usesIndexInput(vocab) {
+  return vocab.input === 'index' || vocab.architecture === 'transformer';
+}
+
+function encodeWindows(vocab, windows) {
+  const { charToIdx, vocabSize, seqLen } = vocab;
+  if (usesIndexInput(vocab)) {
+    const x = new Int32Array(windows.length * seqLen);
+    windows.forEach((w, b) => {
+      for (let j = 0; j < seqLen; j++) x[b * seqLen + j] = charToIdx[w[j]] || 0;
+    });
+    return tf.tensor2d(x, [windows.length, seqLen], 'int32');
+  }
+  const x = new Float32Array(windows.length * seqLen * vocabSize);
+  windows.forEach((w, b) => {
+    for (let j = 0; j < seqLen; j++) {
+      const idx = charToIdx[w[j]];
+      x[(b * seqLen + j) * vocabSize + (idx !== undefined ? idx : 0)] = 1;
+    }
+  });
+  return tf.tensor3d(x, [windows.length, seqLen, vocabSize]);
+}
+
+// Next-character distributions for a batch of windows, flattened to
+// [windows.length * vocabSize]. Transformers predict at every position, so
+// only the last position's output is the next character.
+function predictNext(model, vocab, windows) {
+  const input = encodeWindows(vocab, windows);
+  const pred = model.predict(input);
+  const next = vocab.architecture === 'transformer'
+    ? pred.slice([0, vocab.seqLen - 1, 0], [windows.length, 1, vocab.vocabSize])
+    : pred;
+  const probs = next.dataSync();
+  tf.dispose([input, pred, next]);
+  return probs;
+}
+
+// Incremental LSTM inference, built once per model (see lib/lstm-stepper.js).
+// null for models it can't step, which fall back to predictNext() windows.
+const lstmSteppers = new WeakMap(); // tf.LayersModel -> LSTMStepper | null
+
+function getStepper(model, vocab) {
+  if (vocab.architecture === 'transformer') return null;
+  if (!lstmSteppers.has(model)) lstmSteppers.set(model, LSTMStepper.fromModel(model));
+  return lstmSteppers.get(model);
+}
+
+// Each sample in a batch gets its own seed, derived from the request's, so a
+// seeded batch is reproducible and its first sample matches n = 1.
+function rowOptions(options, row) {
+  if (!row || options.seed === null || options.seed === undefined) return options;
+  return { ...options, seed: `${options.seed}:${row}` };
+}
+
+// Returns a function that samples one character for each of `n` independent
+// continuations of `prompt` per call, as an array. LSTMs carry their
+// hidden/cell state forward one character at a time; other models slide a
+// seqLen window and are run on all n windows in one predict(). `options` are
+// sampling options (see public/js/sampling.js). With topLogprobs > 0, each
+// call also leaves a description of every row's step in next.lastLogprobs.
+function createBatchSampler(model, vocab, prompt, n, options, topLogprobs = 0) {
+  const { charToIdx, idxToChar, seqLen, vocabSize } = vocab;
+  const label = i => idxToChar[String(i)] || ' ';
+  const samplers = Array.from({ length: n }, (_, row) => new Sampling.Sampler(rowOptions(options, row)));
+
+  // Pad or truncate prompt to seqLen, the context the model was trained on
+  let window = prompt.slice(-seqLen);
+  while (window.length < seqLen) window = ' ' + window;
+
+  let predict, advance;
+  const stepper = getStepper(model, vocab);
+  if (stepper) {
+    const [warm] = stepper.initialState();
+    for (const ch of window) stepper.advance(warm, charToIdx[ch] || 0);
+    const states = Array.from({ length: n }, () => ({ h: warm.h.slice(), c: warm.c.slice() }));
+    predict = () => states.map(state => stepper.probs(state));
+    advance = ids => ids.forEach((idx, row) => stepper.advance(states[row], idx));
+  } else {
+    const contexts = Array(n).fill(window);
+    predict = () => {
+      const probs = predictNext(model, vocab, contexts);
+      return contexts.map((_, row) => probs.subarray(row * vocabSize, (row + 1) * vocabSize));
+    };
+    advance = ids => ids.forEach((idx, row) => { contexts[row] = contexts[row].slice(1) + label(idx); });
+  }
+
+  return function next() {
+    const ids = predict().map((probs, row) => samplers[row].sample(probs));
+    if (topLogprobs) next.lastLogprobs = samplers.map(s => s.describeLast(topLogprobs, label));
+    advance(ids);
+    return ids.map(label);
+  };
+}
+
+// `n` samples of `length` characters, generated together
+function generateSamples(model, vocab, prompt, length, options, topLogprobs = 0, n = 1) {
+  const next = createBatchSampler(model, vocab, prompt, n, options, topLogprobs);
+  const samples = Array.from({ length: n }, () => ({ text: '', logprobs: topLogprobs ? [] : null }));
+  for (let i = 0; i < length; i++) {
+    next().forEach((ch, row) => {
+      samples[row].text += ch;
+      if (topLogprobs) samples[row].logprobs.push(next.lastLogprobs[row]);
+    });
+  }
+  return samples;
+}
+
+// One sample, reported a character at a time. Yields between characters so
+// a cancel message (the client went away) is seen promptly.
+async function streamSample(job, model, vocab, prompt, length, options, topLogprobs) {
+  const next = createBatchSampler(model, vocab, prompt, 1, options, topLogprobs);
+  let text = '';
+  for (let i = 0; i < length && !job.cancelled; i++) {
+    const [ch] = next();
+    text += ch;
+    job.progress(topLogprobs ? { text: ch, logprobs: next.lastLogprobs[0] } : { text: ch });
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return text;
+}
+
+// Probability a char-level model gives each character of `text`, predicting
+// it from the (space-padded) characters before it. Windows are batched.
+function charModelProbs(model, vocab, text) {
+  const { charToIdx, vocabSize, seqLen } = vocab;
+  const padded = ' '.repeat(seqLen) + text;
+  const BATCH = 128;
+  const probs = [];
+  for (let start = 0; start < text.length; start += BATCH) {
+    const end = Math.min(text.length, start + BATCH);
+    const windows = [];
+    for (let i = start; i < end; i++) windows.push(padded.slice(i, i + seqLen));
+    const out = predictNext(model, vocab, windows);
+    for (let i = start; i < end; i++) {
+      const idx = charToIdx[text[i]];
+      probs.push(idx === undefined ? 0 : out[(i - start) * vocabSize + idx]);
+    }
+  }
+  return probs;
+}
+
+// ===== Training =====
+// Trains the custom LSTM (lib/char-dataset.js) on the job's text and caches it
+// under the token the server chose. Resolves with what the server stores, or
+// null if cancelled part-way through.
+async function trainCustomModel(job) {
+  const { text, modelToken } = job.payload;
+  const samplePrompt = text.slice(0, CharDataset.CUSTOM_MODEL.seqLen);
+  job.progress({ totalEpochs: CharDataset.CUSTOM_MODEL.epochs });
+
+  const trained = await CharDataset.trainCustomLSTM(tf, text, {
+    shouldStop: () => job.cancelled,
+    onEpoch: ({ epoch, loss, elapsedMs }, model, vocab) => {
+      lstmSteppers.delete(model); // weights changed since the last sample
+      const [{ text: sample }] = generateSamples(model, vocab, samplePrompt, 40, { temperature: 0.7 });
+      job.progress({ epoch, loss, elapsedMs, prompt: samplePrompt, sample });
+    }
+  });
+  if (!trained) return null;
+  const { model, vocab, stats } = trained;
+
+  let artifacts;
+  await model.save(tf.io.withSaveHandler(async a => {
+    artifacts = a;
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+  cacheCustomModel(modelToken, { model, ...vocab });
+  return {
+    stats,
+    vocab,
+    artifacts: { modelTopology: artifacts.modelTopology, weightSpecs: artifacts.weightSpecs, weightData: artifacts.weightData }
+  };
+}
+
+// ===== Jobs =====
+const handlers = {
+  async generate(job) {
+    const { prompt, length, n = 1, sampling, topLogprobs = 0, stream } = job.payload;
+    const { model, vocab } = await resolveModel(job.payload);
+    if (stream) return { text: await streamSample(job, model, vocab, prompt, length, sampling, topLogprobs) };
+    return { samples: generateSamples(model, vocab, prompt, length, sampling, topLogprobs, n), params: model.countParams() };
+  },
+
+  async evaluate(job) {
+    const { model, vocab } = await resolveModel(job.payload);
+    return { probs: charModelProbs(model, vocab, job.payload.text) };
+  },
+
+  train: trainCustomModel
+};
+
+const jobs = new Map(); // id -> running job, for cancel messages
+
+parentPort.on('message', async msg => {
+  if (msg.type === 'cancel') {
+    const job = jobs.get(msg.id);
+    if (job) job.cancelled = true;
+    return;
+  }
+  if (msg.type !== 'job') return;
+
+  const { id, kind, payload } = msg;
+  const job = { id, payload, cancelled: false, progress: data => parentPort.postMessage({ type: 'progress', id, data }) };
+  jobs.set(id, job);
+  try {
+    if (!tf) throw clientError('Neural models are unavailable on this server.', 503);
+    if (!handlers[kind]) throw new Error(`Unknown job kind: ${kind}`);
+    const result = await handlers[kind](job);
+    parentPort.postMessage({ type: 'result', id, result });
+  } catch (e) {
+    if (!e.status) console.error(`Worker ${kind} job failed:`, e);
+    parentPort.postMessage({ type: 'error', id, error: { message: e.message, status: e.status } });
+  } finally {
+    jobs.delete(id);
+  }
+});
+
+loadModels(workerData.models).then(available => {
+  const models = [];
+  for (const [architecture, loaded] of Object.entries(ARCHITECTURES)) {
+    for (const [name, { manifest, vocab }] of Object.entries(loaded)) {
+      models.push({ id: manifest.id, name, architecture, vocabSize: vocab.vocabSize });
+    }
+  }
+  parentPort.postMessage({ type: 'ready', info: { tf: available, models } });
+});
@@ -0,0 +1,313 @@
+/**
+ * Request and response shapes for the OpenAI-compatible /v1 routes, so
+ * existing client libraries and evaluation harnesses can talk to MiniLLM.
+ * server.js does the generating; this module only translates.
+ *
+ * Model ids are `<kind>-<name>`:
+ *   markov-<preset>       Markov chain over a preset corpus
+ *   lstm-<preset>         preset neural models (transformer-<preset> likewise)
+ *   custom-<modelToken>   a model trained with /api/train-jobs
+ *   chain-<chainToken>    a chain built with /api/chains
+ *
+ * Tokens are characters: max_tokens, logprobs and usage all count
+ * characters, since every MiniLLM model is character-level.
+ * @module OpenAICompat
+ */
+'use strict';
+
+const Sampling = require('../public/js/sampling');
+
+const MODEL_KINDS = ['markov', 'chain', 'lstm', 'transformer', 'custom'];
+const MAX_PROMPTS = 10;
+const MAX_STOP_SEQUENCES = 4;
+const MAX_LOGPROBS = 5;
+const DEFAULT_MAX_TOKENS = 100;
+
+function requestError(message, param, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  err.param = param;
+  return err;
+}
+
+function modelNotFound(id) {
+  return requestError(`The model \`${id}\` does not exist. See GET /v1/models.`, 'model', 404);
+}
+
+/**
+ * Split a model id into its kind and preset name or token
+ * @param {string} id
+ * @returns {{kind: string, name: string}}
+ * @throws 404-status error for ids that can't name any model
+ */
+function parseModelId(id) {
+  if (typeof id !== 'string' || !id) throw requestError('model is required. See GET /v1/models.', 'model');
+  const dash = id.indexOf('-');
+  const kind = id.slice(0, dash);
+  const name = id.slice(dash + 1);
+  if (dash < 1 || !MODEL_KINDS.includes(kind) || !name) throw modelNotFound(id);
+  return { kind, name };
+}
+
+/**
+ * Entry for GET /v1/models
+ * @param {string} id
+ * @param {number} created - Unix seconds
+ */
+function modelObject(id, created) {
+  return { id, object: 'model', created, owned_by: 'minillm' };
+}
+
+const isCount = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+/**
+ * Validate a /v1/completions body and map it onto MiniLLM's options
+ * @param {Object} body
+ * @param {Object} opts
+ * @param {number} opts.maxSamples - Largest `n`
+ * @returns {{prompts: string[], maxTokens: number, n: number, stream: boolean,
+ *   echo: boolean, stop: string[], logprobs: number|null, sampling: Object}}
+ * @throws 400-status error naming the bad `param`
+ */
+function parseCompletionRequest(body, { maxSamples }) {
+  const {
+    prompt, max_tokens: maxTokens = DEFAULT_MAX_TOKENS, n = 1, stream = false, echo = false,
+    stop = null, logprobs = null, temperature, top_p: topP, top_k: topK, seed,
+    presence_penalty: presencePenalty, frequency_penalty: frequencyPenalty, repetition_penalty: repetitionPenalty
+  } = body;
+
+  const prompts = Array.isArray(prompt) ? prompt : [prompt];
+  if (prompt === undefined || !prompts.length) throw requestError('prompt is required.', 'prompt');
+  if (!prompts.every(p => typeof p === 'string')) {
+    throw requestError('prompt must be a string or an array of strings (token-ID prompts are not supported).', 'prompt');
+  }
+  if (prompts.some(p => !p)) throw requestError('prompt must not be empty.', 'prompt');
+  if (prompts.length > MAX_PROMPTS) throw requestError(`At most ${MAX_PROMPTS} prompts per request.`, 'prompt');
+
+  if (!Number.isInteger(maxTokens) || maxTokens < 0) throw requestError('max_tokens must be a non-negative integer.', 'max_tokens');
+  if (!isCount(n, 1, maxSamples)) throw requestError(`n must be between 1 and ${maxSamples}.`, 'n');
+  if (typeof stream !== 'boolean') throw requestError('stream must be a boolean.', 'stream');
+  if (stream && (n > 1 || prompts.length > 1)) throw requestError('Only one prompt with n = 1 can be streamed.', 'stream');
+  if (typeof echo !== 'boolean') throw requestError('echo must be a boolean.', 'echo');
+  if (logprobs !== null && !isCount(logprobs, 0, MAX_LOGPROBS)) {
+    throw requestError(`logprobs must be between 0 and ${MAX_LOGPROBS}.`, 'logprobs');
+  }
+
+  const stops = stop === null ? [] : Array.isArray(stop) ? stop : [stop];
+  if (stops.length > MAX_STOP_SEQUENCES || !stops.every(s => typeof s === 'string' && s)) {
+    throw requestError(`stop must be a string or up to ${MAX_STOP_SEQUENCES} non-empty strings.`, 'stop');
+  }
+
+  for (const [param, value] of Object.entries({ temperature, top_p: topP, top_k: topK, presence_penalty: presencePenalty, frequency_penalty: frequencyPenalty, repetition_penalty: repetitionPenalty })) {
+    if (value !== undefined && value !== null && typeof value !== 'number') throw requestError(`${param} must be a number.`, param);
+  }
+  if (seed !== undefined && seed !== null && !Number.isInteger(seed)) throw requestError('seed must be an integer.', 'seed');
+
+  // Same defaults as OpenAI (temperature 1, no nucleus cut-off); temperature 0
+  // means greedy. Penalties below 0 are clamped to 0: they only push down.
+  const sampling = Sampling.normalizeOptions({
+    temperature, topP, topK, presencePenalty, frequencyPenalty, repetitionPenalty, seed,
+    greedy: temperature === 0
+  }, { temperature: 1 });
+
+  return { prompts, maxTokens, n, stream, echo, stop: stops, logprobs, sampling };
+}
+
+/**
+ * Cut text at the first stop sequence
+ * @param {string} text
+ * @param {string[]} stops
+ * @returns {{text: string, stopped: boolean}}
+ */
+function truncateAtStop(text, stops) {
+  let cut = -1;
+  for (const s of stops) {
+    const i = text.indexOf(s);
+    if (i !== -1 && (cut === -1 || i < cut)) cut = i;
+  }
+  return cut === -1 ? { text, stopped: false } : { text: text.slice(0, cut), stopped: true };
+}
+
+/**
+ * Stop-sequence handling for a stream: text that might be the start of a
+ * stop sequence is held back until the next characters rule it in or out.
+ */
+class StopMatcher {
+  /**
+   * @param {string[]} stops
+   */
+  constructor(stops) {
+    this.stops = stops;
+    this.text = '';
+    this.sent = 0; // characters of `text` already released
+    this.stopped = false;
+  }
+
+  /**
+   * Add generated text
+   * @param {string} chunk
+   * @returns {string} text that can be sent now
+   */
+  push(chunk) {
+    if (this.stopped) return '';
+    this.text += chunk;
+    const cut = truncateAtStop(this.text, this.stops);
+    if (cut.stopped) {
+      this.stopped = true;
+      this.text = cut.text;
+      return this.release(cut.text.length);
+    }
+    let held = 0;
+    for (const s of this.stops) {
+      for (let k = Math.min(s.length - 1, this.text.length); k > held; k--) {
+        if (this.text.endsWith(s.slice(0, k))) {
+          held = k;
+          break;
+        }
+      }
+    }
+    return this.release(this.text.length - held);
+  }
+
+  /** Whatever is still held back, once generation has ended */
+  flush() {
+    return this.release(this.text.length);
+  }
+
+  release(end) {
+    const out = this.text.slice(this.sent, Math.max(this.sent, end));
+    this.sent += out.length;
+    return out;
+  }
+}
+
+/**
+ * Log-probability entries for a prompt, one per character, from the
+ * probabilities a model gave each character (the first has no context, so
+ * like OpenAI its logprob is null)
+ * @param {string} prompt
+ * @param {number[]} probs
+ * @returns {Object[]}
+ */
+function promptLogprobs(prompt, probs) {
+  return prompt.split('').map((token, i) => ({
+    token,
+    logprob: i === 0 ? null : Math.log(Math.max(probs[i], 1e-10)),
+    top: null
+  }));
+}
+
+/**
+ * OpenAI's `logprobs` object from MiniLLM's per-character entries
+ * (see Sampling.describe)
+ * @param {Object[]} entries - { token, logprob, top: [{ token, prob }] | null }
+ * @param {number} topN - Alternatives to keep per position
+ * @param {number} [offset=0] - text_offset of the first entry
+ * @returns {{tokens: string[], token_logprobs: number[], top_logprobs: Object[], text_offset: number[]}}
+ */
+function formatLogprobs(entries, topN, offset = 0) {
+  const out = { tokens: [], token_logprobs: [], top_logprobs: [], text_offset: [] };
+  for (const { token, logprob, top } of entries) {
+    out.tokens.push(token);
+    out.token_logprobs.push(logprob);
+    out.top_logprobs.push(top && Object.fromEntries(top.slice(0, topN).map(t => [t.token, Math.log(Math.max(t.prob, 1e-10))])));
+    out.text_offset.push(offset);
+    offset += token.length;
+  }
+  return out;
+}
+
+/**
+ * One entry of `choices` for a finished sample
+ * @param {Object} opts
+ * @param {number} opts.index
+ * @param {string} opts.prompt
+ * @param {{text: string, logprobs: Object[]|null}} opts.sample - From the model
+ * @param {Object} opts.request - From parseCompletionRequest, with maxTokens capped
+ * @param {Object[]} [opts.promptEntries] - promptLogprobs(), when echoing with logprobs
+ * @returns {{text: string, index: number, logprobs: Object|null, finish_reason: string}}
+ */
+function completionChoice({ index, prompt, sample, request, promptEntries = [] }) {
+  const { text, stopped } = truncateAtStop(sample.text, request.stop);
+  const finishReason = stopped || text.length < request.maxTokens ? 'stop' : 'length';
+  let logprobs = null;
+  if (request.logprobs !== null) {
+    const entries = (request.echo ? promptEntries : []).concat((sample.logprobs || []).slice(0, text.length));
+    logprobs = formatLogprobs(entries, request.logprobs);
+  }
+  return { text: request.echo ? prompt + text : text, index, logprobs, finish_reason: finishReason };
+}
+
+/**
+ * A completion (or, with `stream`, a chunk of one)
+ * @param {{id: string, created: number, model: string}} meta
+ * @param {Object[]} choices
+ * @param {Object} [usage] - { prompt_tokens, completion_tokens }
+ */
+function completionObject(meta, choices, usage) {
+  return {
+    id: meta.id,
+    object: 'text_completion',
+    created: meta.created,
+    model: meta.model,
+    choices,
+    ...(usage && { usage: { ...usage, total_tokens: usage.prompt_tokens + usage.completion_tokens } })
+  };
+}
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  429: 'rate_limit_error'
+};
+const ERROR_CODES = { 401: 'invalid_api_key', 404: 'model_not_found', 429: 'rate_limit_exceeded' };
+
+/**
+ * OpenAI's error body
+ * @param {number} status - HTTP status, which picks the type and code
+ * @param {string} message
+ * @param {string} [param] - Request field at fault
+ * @returns {{error: {message: string, type: string, param: string|null, code: string|null}}}
+ */
+function errorObject(status, message, param = null) {
+  return {
+    error: {
+      message,
+      type: ERROR_TYPES[status] || (status >= 500 ? 'server_error' : 'invalid_request_error'),
+      param,
+      code: ERROR_CODES[status] || null
+    }
+  };
+}
+
+/**
+ * Express middleware rewriting the usual `{ error: message, param? }` bodies
+ * into OpenAI's `{ error: { message, type, param, code } }`, so the shared
+ * middleware (API keys, rate limits) and the /v1 handlers can keep sending
+ * errors the way the rest of the server does.
+ */
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    return json(body && typeof body.error === 'string' ? errorObject(res.statusCode, body.error, body.param) : body);
+  };
+  next();
+}
+
+module.exports = {
+  MODEL_KINDS,
+  modelNotFound,
+  parseModelId,
+  modelObject,
+  parseCompletionRequest,
+  truncateAtStop,
+  StopMatcher,
+  promptLogprobs,
+  formatLogprobs,
+  completionChoice,
+  completionObject,
+  errorObject,
+  errorEnvelope
+};
@@ -0,0 +1,326 @@
+/**
+ * Request and response validation against the OpenAPI document served at
+ * /api/openapi.json (built by lib/api-spec.js), and the error envelope every
+ * /api route answers with:
+ *   { "error": { "code": "validation_failed", "message": "...", "details": [...] } }
+ *
+ * Schemas use the subset of JSON Schema the document needs: type (one or a
+ * list, "integer" included), enum, minimum/maximum, minLength/maxLength,
+ * pattern, items/minItems/maxItems, properties/required/additionalProperties,
+ * anyOf and local $refs. `default` fills in missing properties, and query
+ * and path parameters are converted from strings to their declared type.
+ * A schema's `x-message` replaces the generated message when its value is
+ * invalid, for errors people read in the UI.
+ * @module OpenAPI
+ */
+'use strict';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// ===== Schema validation =====
+
+function resolveRef(root, schema) {
+  while (schema && schema.$ref) {
+    if (!schema.$ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${schema.$ref}`);
+    schema = schema.$ref.slice(2).split('/').reduce((node, key) => node[key], root);
+  }
+  return schema;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+const matchesType = (value, type) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+const TYPE_NAMES = { integer: 'an integer', array: 'an array', object: 'an object' };
+const describeTypes = types => types.map((t, i) => (i ? t : TYPE_NAMES[t] || `a ${t}`)).join(' or ');
+
+// A query or path string as the first listed type it can be read as
+function coerce(value, types) {
+  if (typeof value !== 'string') return value;
+  for (const type of types) {
+    if (type === 'string') return value;
+    const n = Number(value);
+    if ((type === 'number' || (type === 'integer' && Number.isInteger(n))) && value.trim() !== '' && Number.isFinite(n)) return n;
+    if (type === 'boolean' && ['true', 'false', '1', '0'].includes(value)) return value === 'true' || value === '1';
+  }
+  return value;
+}
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object} [opts]
+ * @param {Object} [opts.root] - Document that $refs point into
+ * @param {boolean} [opts.coerceStrings=false] - Read strings as their declared type
+ * @param {string} [opts.path=''] - Name of the value in messages, e.g. 'body'
+ * @returns {{value: *, errors: {path: string, message: string}[]}} value
+ *   with defaults filled in and strings converted
+ */
+function validate(schema, value, { root = schema, coerceStrings = false, path = '' } = {}) {
+  const errors = [];
+  const fail = (s, p, problem) => errors.push({ path: p, message: (s && s['x-message']) || `${p || 'value'} ${problem}.` });
+
+  function check(s, v, p) {
+    s = resolveRef(root, s);
+    const types = s.type === undefined ? null : [].concat(s.type);
+    if (types) {
+      if (coerceStrings) v = coerce(v, types);
+      if (!types.some(t => matchesType(v, t))) {
+        fail(s, p, `must be ${describeTypes(types)}`);
+        return v;
+      }
+    }
+    if (s.enum && !s.enum.includes(v)) fail(s, p, `must be one of ${s.enum.map(e => JSON.stringify(e)).join(', ')}`);
+
+    if (typeof v === 'number') {
+      if (s.minimum !== undefined && v < s.minimum) fail(s, p, `must be at least ${s.minimum}`);
+      if (s.maximum !== undefined && v > s.maximum) fail(s, p, `must be at most ${s.maximum}`);
+    } else if (typeof v === 'string') {
+      if (s.minLength !== undefined && v.length < s.minLength) fail(s, p, `must be at least ${s.minLength} characters long`);
+      if (s.maxLength !== undefined && v.length > s.maxLength) fail(s, p, `must be at most ${s.maxLength} characters long`);
+      if (s.pattern && !new RegExp(s.pattern).test(v)) fail(s, p, `must match ${s.pattern}`);
+    } else if (Array.isArray(v)) {
+      if (s.minItems !== undefined && v.length < s.minItems) fail(s, p, `must have at least ${s.minItems} items`);
+      if (s.maxItems !== undefined && v.length > s.maxItems) fail(s, p, `must have at most ${s.maxItems} items`);
+      if (s.items) v = v.map((item, i) => check(s.items, item, `${p}[${i}]`));
+    } else if (typeOf(v) === 'object') {
+      v = checkObject(s, v, p);
+    }
+
+    if (s.anyOf && !s.anyOf.some(branch => !validate(branch, v, { root, coerceStrings, path: p }).errors.length)) {
+      fail(s, p, 'does not match any of the accepted forms');
+    }
+    return v;
+  }
+
+  function checkObject(s, v, p) {
+    const out = { ...v };
+    const join = key => (p ? `${p}.${key}` : key);
+    const properties = s.properties || {};
+    for (const key of s.required || []) {
+      if (out[key] === undefined) fail(resolveRef(root, properties[key]), join(key), 'is required');
+    }
+    for (const [key, sub] of Object.entries(properties)) {
+      if (out[key] !== undefined) out[key] = check(sub, out[key], join(key));
+      else if (resolveRef(root, sub).default !== undefined) out[key] = structuredClone(resolveRef(root, sub).default);
+    }
+    for (const key of Object.keys(v)) {
+      if (key in properties || s.additionalProperties === undefined || s.additionalProperties === true) continue;
+      if (s.additionalProperties === false) fail(null, join(key), 'is not allowed');
+      else out[key] = check(s.additionalProperties, out[key], join(key));
+    }
+    return out;
+  }
+
+  const result = check(schema, value, path);
+  return { value: result, errors };
+}
+
+// ===== Errors =====
+
+const MALFORMED_PATH = 'The URL path has a malformed %-escape.';
+
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'unavailable',
+  504: 'timeout'
+};
+
+/**
+ * The error envelope
+ * @param {number} status - HTTP status, which picks the default code
+ * @param {string} message - Human-readable, safe to show to users
+ * @param {Object} [opts]
+ * @param {string} [opts.code] - Machine-readable reason, e.g. 'session_expired'
+ * @param {Array} [opts.details] - e.g. one entry per invalid field
+ * @returns {{error: {code: string, message: string, details: Array|null}}}
+ */
+function errorBody(status, message, { code, details } = {}) {
+  return {
+    error: {
+      code: code || ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request'),
+      message,
+      details: details || null
+    }
+  };
+}
+
+/**
+ * Express middleware turning `{ error: message, code?, details? }` bodies
+ * into the envelope, so handlers and shared middleware (API keys, rate
+ * limits) can keep sending errors the short way
+ */
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (body && typeof body.error === 'string') body = errorBody(res.statusCode, body.error, body);
+    return json(body);
+  };
+  next();
+}
+
+/**
+ * Express error handler for malformed bodies and anything a handler threw.
+ * Client errors marked safe to show (`expose`, as body-parser's 415s for an
+ * unknown charset or encoding are) keep their status and message; the rest
+ * are logged and answered with a 500. Sends the short `{ error, code }`
+ * form, so mount errorEnvelope (or another envelope) ahead of express.json()
+ * for the paths it serves.
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON.', code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body is too large.' });
+  // Express's router failing to decode a path parameter, on routes
+  // validateRequest does not see (/v1)
+  if (err instanceof URIError) return res.status(400).json({ error: MALFORMED_PATH });
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500 && err.expose) {
+    const message = err.message.charAt(0).toUpperCase() + err.message.slice(1);
+    return res.status(status).json({ error: message.endsWith('.') ? message : message + '.' });
+  }
+  console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  res.status(500).json({ error: 'Internal server error.' });
+}
+
+// ===== Middleware =====
+
+// An object schema over one location's parameters (path or query)
+function parameterSchema(parameters, location) {
+  const own = parameters.filter(p => p.in === location);
+  if (!own.length) return null;
+  return {
+    type: 'object',
+    properties: Object.fromEntries(own.map(p => [p.name, p.schema])),
+    required: own.filter(p => p.required).map(p => p.name)
+  };
+}
+
+function compileRoutes(spec) {
+  const routes = [];
+  for (const [template, item] of Object.entries(spec.paths)) {
+    // '/api/train-jobs/{id}' -> /^\/api\/train-jobs\/([^/]+)$/ capturing `id`
+    const parts = template.split(/\{(\w+)\}/);
+    const names = parts.filter((_, i) => i % 2);
+    const source = parts.map((part, i) => (i % 2 ? '([^/]+)' : part.replace(/[.*+?^$()|[\]\\]/g, '\\$&'))).join('');
+    const pattern = new RegExp(`^${source}$`);
+    for (const method of HTTP_METHODS) {
+      const operation = item[method];
+      if (!operation) continue;
+      const parameters = [...(item.parameters || []), ...(operation.parameters || [])].map(p => resolveRef(spec, p));
+      const body = operation.requestBody && resolveRef(spec, operation.requestBody);
+      routes.push({
+        method: method.toUpperCase(),
+        pattern,
+        names,
+        operation,
+        pathSchema: parameterSchema(parameters, 'path'),
+        querySchema: parameterSchema(parameters, 'query'),
+        bodySchema: body && body.content['application/json'] ? body.content['application/json'].schema : null
+      });
+    }
+  }
+  return routes;
+}
+
+/**
+ * Validation middleware generated from an OpenAPI document
+ * @param {Object} spec
+ * @param {Object} [opts]
+ * @param {boolean} [opts.responses=true] - Check JSON responses too; a
+ *   mismatch is logged (the response is still sent)
+ * @returns {{validateRequest: Function, validateResponse: Function}}
+ *   validateRequest answers 400 `validation_failed` with one detail per
+ *   problem, or replaces req.query and req.body with the validated values
+ *   (defaults filled in, query strings converted) and calls next(), or
+ *   answers 400 `invalid_request` for a path that cannot be decoded.
+ *   validateResponse checks short `{ error }` bodies in their envelope
+ *   form, so it works on either side of errorEnvelope.
+ */
+function createValidator(spec, { responses = true } = {}) {
+  const routes = compileRoutes(spec);
+
+  // The route and its path parameters (null when one has a malformed
+  // %-escape), or null
+  function match(req) {
+    const path = req.baseUrl + req.path;
+    for (const route of routes) {
+      if (route.method !== req.method) continue;
+      const m = route.pattern.exec(path);
+      if (!m) continue;
+      try {
+        return { route, params: Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(m[i + 1])])) };
+      } catch (e) {
+        if (!(e instanceof URIError)) throw e;
+        return { route, params: null };
+      }
+    }
+    return null;
+  }
+
+  function validateRequest(req, res, next) {
+    const found = match(req);
+    if (!found) return next();
+    const { route, params } = found;
+    if (!params) return res.status(400).json({ error: MALFORMED_PATH, code: 'invalid_request' });
+    const errors = [];
+    const run = (schema, value, location) => {
+      const result = validate(schema, value, { root: spec, coerceStrings: location !== 'body', path: location });
+      errors.push(...result.errors);
+      return result.value;
+    };
+    if (route.pathSchema) run(route.pathSchema, params, 'path');
+    const query = route.querySchema ? run(route.querySchema, { ...req.query }, 'query') : req.query;
+    const body = route.bodySchema ? run(route.bodySchema, req.body === undefined ? {} : req.body, 'body') : req.body;
+    if (errors.length) {
+      return res.status(400).json({ error: errors[0].message, code: 'validation_failed', details: errors });
+    }
+    // Express 5 computes req.query on every read; pin the validated copy
+    Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true, enumerable: true });
+    req.body = body;
+    next();
+  }
+
+  function validateResponse(req, res, next) {
+    const found = responses && match(req);
+    if (!found) return next();
+    const json = res.json.bind(res);
+    res.json = body => {
+      // Checked as sent, whichever side of errorEnvelope this is mounted on
+      const sent = body && typeof body.error === 'string' ? errorBody(res.statusCode, body.error, body) : body;
+      const { responses: declared = {} } = found.route.operation;
+      const status = String(res.statusCode);
+      const response = resolveRef(spec, declared[status] || declared[`${status[0]}XX`] || declared.default);
+      const content = response && response.content && response.content['application/json'];
+      if (!response) {
+        console.warn(`API spec: ${req.method} ${req.originalUrl} answered ${status}, which is not documented`);
+      } else if (content) {
+        const { errors } = validate(content.schema, sent, { root: spec, path: 'response' });
+        if (errors.length) {
+          console.warn(`API spec: ${req.method} ${req.originalUrl} ${status} response does not match:`, errors.map(e => e.message).join(' '));
+        }
+      }
+      return json(body);
+    };
+    next();
+  }
+
+  return { validateRequest, validateResponse };
+}
+
+module.exports = { validate, errorBody, errorEnvelope, errorHandler, createValidator, ERROR_CODES };
@@ -0,0 +1,241 @@
+/**
+ * Per-client rate limiting as Express middleware. A limiter holds named
+ * policies ({ limit, windowMs, algorithm }) and a store; each route picks a
+ * policy by name, and every client (req.ip) gets its own allowance per
+ * policy.
+ *
+ * Algorithms:
+ *   sliding-window  the count in the current fixed window plus the previous
+ *                   window's count weighted by how much of it still overlaps
+ *                   the last windowMs — no burst of 2 × limit at a boundary
+ *   token-bucket    `limit` tokens, refilled continuously at limit/windowMs;
+ *                   allows short bursts, then a steady rate
+ *
+ * Stores keep one small JSON state per key with an expiry. MemoryStore is
+ * per process; SQLiteStore updates each key in a transaction, so limits
+ * survive restarts and hold across processes sharing the database.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset
+ * (seconds until the allowance grows again, at most one window) and
+ * RateLimit-Policy headers; refusals are a 429 with Retry-After.
+ * @module RateLimit
+ */
+'use strict';
+
+// ===== Algorithms =====
+// Each takes the stored state (or null), the policy and the time, and
+// returns the new state, when it can be forgotten, and the decision.
+
+function slidingWindow(state, { limit, windowMs }, now) {
+  const window = Math.floor(now / windowMs);
+  let { count = 0, prev = 0 } = state && state.window >= window - 1 ? state : {};
+  if (state && state.window === window - 1) {
+    prev = state.count;
+    count = 0;
+  }
+  const elapsed = (now - window * windowMs) / windowMs; // fraction of this window gone
+  const used = prev * (1 - elapsed) + count;
+  const allowed = used + 1 <= limit;
+  if (allowed) count++;
+
+  // When the weighted count next leaves room for one more request
+  let retryAfterMs = 0;
+  if (!allowed) {
+    const windowEnd = (window + 1) * windowMs;
+    if (prev > 0 && count < limit) {
+      retryAfterMs = (1 - (limit - 1 - count) / prev - elapsed) * windowMs;
+    } else {
+      retryAfterMs = windowEnd - now + Math.max(0, 1 - (limit - 1) / count) * windowMs;
+    }
+  }
+  const remaining = Math.max(0, Math.floor(limit - (prev * (1 - elapsed) + count)));
+  // A refused client can go again once the weighted count drops below the
+  // limit; anyone else once this window ends and the previous one stops
+  // counting. Never more than one window.
+  const windowLeft = (window + 1) * windowMs - now;
+  const resetMs = Math.min(windowMs, allowed ? (count || prev ? windowLeft : 0) : retryAfterMs);
+  return {
+    state: { window, count, prev },
+    expiresAt: (window + 2) * windowMs,
+    allowed,
+    remaining,
+    resetMs,
+    retryAfterMs: Math.ceil(retryAfterMs)
+  };
+}
+
+function tokenBucket(state, { limit, windowMs }, now) {
+  const rate = limit / windowMs; // tokens per ms
+  let tokens = state ? Math.min(limit, state.tokens + (now - state.at) * rate) : limit;
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+  const resetMs = (limit - tokens) / rate;
+  return {
+    state: { tokens, at: now },
+    expiresAt: now + Math.ceil(resetMs),
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs,
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / rate)
+  };
+}
+
+const ALGORITHMS = { 'sliding-window': slidingWindow, 'token-bucket': tokenBucket };
+
+// ===== Stores =====
+// update(key, fn, now) runs fn(state) → { state, expiresAt, ... } atomically
+// for the key and returns fn's result.
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map(); // key -> { state, expiresAt }
+  }
+
+  update(key, fn, now) {
+    const entry = this.entries.get(key);
+    const result = fn(entry && entry.expiresAt > now ? entry.state : null);
+    this.entries.set(key, { state: result.state, expiresAt: result.expiresAt });
+    return result;
+  }
+
+  prune(now) {
+    for (const [key, entry] of this.entries) if (entry.expiresAt <= now) this.entries.delete(key);
+  }
+}
+
+class SQLiteStore {
+  /**
+   * @param {Object} db - better-sqlite3 Database
+   * @param {string} [table='rate_limits']
+   */
+  constructor(db, table = 'rate_limits') {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+      key TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    )`);
+    this.get = db.prepare(`SELECT state, expires_at FROM ${table} WHERE key = ?`);
+    this.put = db.prepare(`INSERT INTO ${table} (key, state, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET state = excluded.state, expires_at = excluded.expires_at`);
+    this.remove = db.prepare(`DELETE FROM ${table} WHERE expires_at <= ?`);
+    // IMMEDIATE takes the write lock before reading, so two processes can't
+    // both read the same count and each let a request through
+    this.transaction = db.transaction((key, fn, now) => {
+      const row = this.get.get(key);
+      const result = fn(row && row.expires_at > now ? JSON.parse(row.state) : null);
+      this.put.run(key, JSON.stringify(result.state), result.expiresAt);
+      return result;
+    });
+  }
+
+  update(key, fn, now) {
+    return this.transaction.immediate(key, fn, now);
+  }
+
+  prune(now) {
+    this.remove.run(now);
+  }
+}
+
+// ===== Middleware =====
+
+function describeWindow(ms) {
+  const units = [['hour', 3600000], ['minute', 60000], ['second', 1000]];
+  for (const [name, size] of units) {
+    if (ms % size === 0) {
+      const n = ms / size;
+      return n === 1 ? name : `${n} ${name}s`;
+    }
+  }
+  return `${ms} ms`;
+}
+
+function policyMessage(policy) {
+  return policy.message || `Rate limited. Max ${policy.limit} requests per ${describeWindow(policy.windowMs)}.`;
+}
+
+function validatePolicy(name, policy) {
+  if (!ALGORITHMS[policy.algorithm || 'sliding-window']) throw new Error(`Rate limit ${name}: unknown algorithm ${policy.algorithm}`);
+  if (!(policy.limit > 0 && policy.windowMs > 0)) throw new Error(`Rate limit ${name}: limit and windowMs are required`);
+}
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.policies - name -> { limit, windowMs, algorithm = 'sliding-window', message }
+ * @param {Object} [opts.store] - MemoryStore or SQLiteStore (default: in memory)
+ * @param {number} [opts.pruneEveryMs=60000] - How often to drop expired keys
+ * @returns {{middleware: function(string): Function, consume: function, check: function}}
+ */
+function createRateLimiter({ policies, store = new MemoryStore(), pruneEveryMs = 60 * 1000 }) {
+  for (const [name, policy] of Object.entries(policies)) validatePolicy(name, policy);
+  const timer = setInterval(() => store.prune(Date.now()), pruneEveryMs);
+  timer.unref();
+
+  // Count one request against a policy under a store key
+  function check(policy, key, now = Date.now()) {
+    const algorithm = ALGORITHMS[policy.algorithm || 'sliding-window'];
+    return store.update(key, state => algorithm(state, policy, now), now);
+  }
+
+  /**
+   * Count one request, set the RateLimit headers and, if it is over the
+   * limit, send the 429. Policies don't have to be declared up front (e.g.
+   * per-API-key quotas). A broken store lets the request through rather
+   * than taking the API down with it.
+   * @param {Object} res - Express response
+   * @param {Object} policy - { limit, windowMs, algorithm, message }
+   * @param {string} key - Store key, e.g. `${policyName}:${ip}`
+   * @returns {boolean} whether the request may go ahead
+   */
+  function consume(res, policy, key) {
+    let result;
+    try {
+      result = check(policy, key);
+    } catch (e) {
+      console.error('Rate limiter error:', e);
+      return true;
+    }
+    res.set({
+      'RateLimit-Limit': String(policy.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+      'RateLimit-Policy': `${policy.limit};w=${Math.round(policy.windowMs / 1000)}`
+    });
+    if (result.allowed) return true;
+    res.set('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+    res.status(429).json({ error: policyMessage(policy) });
+    return false;
+  }
+
+  /**
+   * Express middleware enforcing one declared policy per client IP
+   * @param {string} name
+   * @returns {Function}
+   */
+  function middleware(name) {
+    const policy = policies[name];
+    if (!policy) throw new Error(`Unknown rate limit policy: ${name}`);
+    return (req, res, next) => {
+      if (consume(res, policy, `${name}:${req.ip}`)) next();
+    };
+  }
+
+  return { middleware, consume, check, store };
+}
+
+/**
+ * Express `trust proxy` setting from an environment string: a hop count
+ * ("1"), true/false, or a comma-separated list of addresses, subnets or
+ * presets ("loopback, 10.0.0.0/8"). Unset means no proxy: req.ip is the
+ * socket address and X-Forwarded-For is ignored.
+ * @param {string} [value]
+ * @returns {boolean|number|string[]}
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+module.exports = { ALGORITHMS, MemoryStore, SQLiteStore, createRateLimiter, validatePolicy, parseTrustProxy };
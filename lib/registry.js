@@ -0,0 +1,161 @@
+/**
+ * Model registry. Every directory under models/ that has a manifest.json is
+ * a model; its manifest says which preset (corpus) it belongs to and what it
+ * is. Presets are the distinct `name`s across all manifests, so adding a
+ * corpus means adding a manifest, not editing the server and the UI.
+ *
+ * manifest.json:
+ *   name          preset id, e.g. "shakespeare" (an LSTM and a transformer may share it)
+ *   displayName   label for buttons and tables
+ *   icon          optional emoji shown before the label
+ *   corpus        training text, relative to the repo root
+ *   architecture  "lstm" or "transformer"
+ *   units         LSTM units, or dModel for a transformer
+ *   seqLen        input window in characters
+ *   params        trainable parameter count (counted from model.json if absent)
+ *   trainedAt     ISO date the weights were produced
+ *   defaultPrompt text to start generating from
+ *   order         optional position of the preset in lists
+ * @module Registry
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MODELS_DIR = path.join(ROOT, 'models');
+const ARCHITECTURES = ['lstm', 'transformer'];
+
+// Trainable weights listed in a tfjs model.json
+function countParams(modelJson) {
+  let total = 0;
+  for (const group of modelJson.weightsManifest || []) {
+    for (const w of group.weights) total += w.shape.reduce((a, b) => a * b, 1);
+  }
+  return total;
+}
+
+/**
+ * Read and check one model directory's manifest
+ * @param {string} dir
+ * @returns {Object|null} registry entry, or null if there is no manifest
+ */
+function readManifest(dir) {
+  const file = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(file)) return null;
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!manifest.name || !/^[a-z0-9_-]+$/.test(manifest.name)) throw new Error(`${file}: invalid name`);
+  if (!ARCHITECTURES.includes(manifest.architecture)) throw new Error(`${file}: unknown architecture "${manifest.architecture}"`);
+  if (!manifest.corpus) throw new Error(`${file}: corpus is required`);
+
+  const modelFile = path.join(dir, 'model.json');
+  const hasWeights = fs.existsSync(modelFile);
+  let params = manifest.params;
+  if (params === undefined && hasWeights) params = countParams(JSON.parse(fs.readFileSync(modelFile, 'utf-8')));
+  return {
+    displayName: manifest.name,
+    icon: '',
+    defaultPrompt: '',
+    trainedAt: null,
+    ...manifest,
+    id: path.basename(dir),
+    params: params || 0,
+    dir,
+    hasWeights
+  };
+}
+
+/**
+ * Scan a models directory
+ * @param {string} [modelsDir]
+ * @returns {{models: Object[], presets: Object[]}} presets in manifest order,
+ *   each { name, displayName, icon, corpus, defaultPrompt, models: [id] }
+ */
+function loadRegistry(modelsDir = MODELS_DIR) {
+  const models = [];
+  const dirs = fs.existsSync(modelsDir) ? fs.readdirSync(modelsDir).sort() : [];
+  for (const name of dirs) {
+    const dir = path.join(modelsDir, name);
+    if (!fs.statSync(dir).isDirectory()) continue;
+    try {
+      const entry = readManifest(dir);
+      if (entry) models.push(entry);
+    } catch (e) {
+      console.error(`Skipping model ${name}:`, e.message);
+    }
+  }
+  // Preset order: an explicit `order` in the manifests, then alphabetical
+  models.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.id.localeCompare(b.id));
+
+  const presets = new Map();
+  for (const m of models) {
+    if (!presets.has(m.name)) {
+      presets.set(m.name, {
+        name: m.name,
+        displayName: m.displayName,
+        icon: m.icon,
+        corpus: m.corpus,
+        defaultPrompt: m.defaultPrompt,
+        models: []
+      });
+    }
+    presets.get(m.name).models.push(m.id);
+  }
+  return { models, presets: [...presets.values()] };
+}
+
+/**
+ * Absolute path of a corpus named in a manifest
+ * @param {string} corpus
+ * @returns {string}
+ */
+function corpusPath(corpus) {
+  return path.resolve(ROOT, corpus);
+}
+
+/**
+ * URL the browser can fetch a corpus from, if it is served from public/
+ * @param {string} corpus
+ * @returns {string|null}
+ */
+function corpusUrl(corpus) {
+  const rel = path.relative(path.join(ROOT, 'public'), corpusPath(corpus));
+  return rel.startsWith('..') || path.isAbsolute(rel) ? null : '/' + rel.split(path.sep).join('/');
+}
+
+/**
+ * Write (or update) a model directory's manifest after training
+ * @param {string} dir
+ * @param {Object} fields - Merged over any existing manifest
+ * @returns {Object} the manifest written
+ */
+function writeManifest(dir, fields) {
+  const file = path.join(dir, 'manifest.json');
+  const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+  const manifest = { ...existing, ...fields };
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+  return manifest;
+}
+
+/**
+ * A model directory's tfjs artifacts and vocabulary, read straight from disk
+ * (no tfjs needed), in the shape tf.io.fromMemory() takes
+ * @param {Object} entry - Registry entry with weights
+ * @returns {{modelTopology: Object, weightSpecs: Object[], weightData: Buffer, vocab: Object}}
+ */
+function readArtifacts(entry) {
+  const modelJson = JSON.parse(fs.readFileSync(path.join(entry.dir, 'model.json'), 'utf-8'));
+  const groups = modelJson.weightsManifest || [];
+  const vocab = JSON.parse(fs.readFileSync(path.join(entry.dir, 'vocab.json'), 'utf-8'));
+  return {
+    modelTopology: modelJson.modelTopology,
+    weightSpecs: groups.flatMap(g => g.weights),
+    weightData: Buffer.concat(groups.flatMap(g => g.paths).map(p => fs.readFileSync(path.join(entry.dir, p)))),
+    // Older LSTM vocabularies don't say what they are
+    vocab: { architecture: entry.architecture, ...vocab }
+  };
+}
+
+module.exports = { MODELS_DIR, ARCHITECTURES, countParams, readManifest, loadRegistry, corpusPath, corpusUrl, writeManifest, readArtifacts };
@@ -0,0 +1,190 @@
+/**
+ * Tiny decoder-only transformer for character-level language modelling,
+ * built from tfjs layers plus two custom ones tfjs doesn't ship: sinusoidal
+ * positional encoding and masked (causal) multi-head self-attention.
+ *
+ * tfjs is passed in rather than required so the server can keep loading it
+ * lazily. Call registerLayers(tf) before tf.loadLayersModel() on a saved
+ * transformer, or deserialization won't know the custom class names.
+ * The server also serves this file to the browser as /js/transformer.js, so
+ * model.html can load shared transformers.
+ * @module Transformer
+ */
+'use strict';
+
+(function() {
+
+const DEFAULT_CONFIG = {
+  seqLen: 64,
+  dModel: 64,
+  numHeads: 4,
+  numLayers: 2,
+  ffUnits: 256,
+  dropout: 0.1
+};
+
+const layerClasses = new WeakMap(); // tf -> { PositionalEncoding, CausalSelfAttention }
+
+function defineLayers(tf) {
+  if (layerClasses.has(tf)) return layerClasses.get(tf);
+
+  // Adds the fixed sin/cos position signal from "Attention Is All You Need",
+  // so the same character means something different at each position.
+  class PositionalEncoding extends tf.layers.Layer {
+    constructor(config) {
+      super(config);
+      this.maxLength = config.maxLength;
+    }
+
+    build(inputShape) {
+      const dModel = inputShape[inputShape.length - 1];
+      const table = new Float32Array(this.maxLength * dModel);
+      for (let pos = 0; pos < this.maxLength; pos++) {
+        for (let i = 0; i < dModel; i++) {
+          const angle = pos / Math.pow(10000, (2 * Math.floor(i / 2)) / dModel);
+          table[pos * dModel + i] = i % 2 === 0 ? Math.sin(angle) : Math.cos(angle);
+        }
+      }
+      this.table = tf.tensor2d(table, [this.maxLength, dModel]);
+      super.build(inputShape);
+    }
+
+    call(inputs) {
+      return tf.tidy(() => {
+        const x = Array.isArray(inputs) ? inputs[0] : inputs;
+        const [, seqLen, dModel] = x.shape;
+        return tf.add(x, this.table.slice([0, 0], [seqLen, dModel]));
+      });
+    }
+
+    computeOutputShape(inputShape) {
+      return inputShape;
+    }
+
+    getConfig() {
+      return { ...super.getConfig(), maxLength: this.maxLength };
+    }
+
+    static get className() {
+      return 'PositionalEncoding';
+    }
+  }
+
+  // Multi-head self-attention where position t may only look at positions
+  // <= t, so the model can be trained to predict every next character at once.
+  class CausalSelfAttention extends tf.layers.Layer {
+    constructor(config) {
+      super(config);
+      this.numHeads = config.numHeads;
+    }
+
+    build(inputShape) {
+      const d = inputShape[inputShape.length - 1];
+      if (d % this.numHeads !== 0) throw new Error(`dModel ${d} is not divisible by ${this.numHeads} heads`);
+      this.kernels = {};
+      this.biases = {};
+      for (const name of ['query', 'key', 'value', 'output']) {
+        this.kernels[name] = this.addWeight(`${name}_kernel`, [d, d], 'float32', tf.initializers.glorotUniform({}));
+        this.biases[name] = this.addWeight(`${name}_bias`, [d], 'float32', tf.initializers.zeros());
+      }
+      super.build(inputShape);
+    }
+
+    call(inputs) {
+      return tf.tidy(() => {
+        const x = Array.isArray(inputs) ? inputs[0] : inputs;
+        const [, seqLen, d] = x.shape;
+        const h = this.numHeads, dh = d / h;
+        const flat = x.reshape([-1, d]);
+        // [batch, seq, d] -> [batch, heads, seq, d/heads]
+        const dense = (t, name) => tf.add(tf.matMul(t, this.kernels[name].read()), this.biases[name].read());
+        const project = name => dense(flat, name)
+          .reshape([-1, seqLen, h, dh])
+          .transpose([0, 2, 1, 3]);
+        const q = project('query'), k = project('key'), v = project('value');
+
+        // Large negative scores above the diagonal become ~0 after softmax
+        const mask = tf.linalg.bandPart(tf.ones([seqLen, seqLen]), -1, 0).sub(1).mul(1e9);
+        const scores = tf.matMul(q, k, false, true).mul(1 / Math.sqrt(dh)).add(mask);
+        const mixed = tf.matMul(tf.softmax(scores), v)
+          .transpose([0, 2, 1, 3])
+          .reshape([-1, d]);
+        return dense(mixed, 'output').reshape([-1, seqLen, d]);
+      });
+    }
+
+    computeOutputShape(inputShape) {
+      return inputShape;
+    }
+
+    getConfig() {
+      return { ...super.getConfig(), numHeads: this.numHeads };
+    }
+
+    static get className() {
+      return 'CausalSelfAttention';
+    }
+  }
+
+  const classes = { PositionalEncoding, CausalSelfAttention };
+  layerClasses.set(tf, classes);
+  return classes;
+}
+
+/**
+ * Register the custom layers with tfjs so saved transformers can be loaded
+ * @param {Object} tf - tfjs module
+ */
+function registerLayers(tf) {
+  const { PositionalEncoding, CausalSelfAttention } = defineLayers(tf);
+  tf.serialization.registerClass(PositionalEncoding);
+  tf.serialization.registerClass(CausalSelfAttention);
+}
+
+/**
+ * Build (uncompiled) a pre-norm decoder-only transformer. Input is a batch of
+ * character indices [batch, seqLen]; output is a next-character distribution
+ * at every position [batch, seqLen, vocabSize].
+ * @param {Object} tf - tfjs module
+ * @param {Object} config - vocabSize plus any of DEFAULT_CONFIG
+ * @returns {Object} tf.LayersModel
+ */
+function buildTransformer(tf, config) {
+  const { vocabSize, seqLen, dModel, numHeads, numLayers, ffUnits, dropout } = { ...DEFAULT_CONFIG, ...config };
+  const { PositionalEncoding, CausalSelfAttention } = defineLayers(tf);
+
+  const input = tf.input({ shape: [seqLen], dtype: 'int32' });
+  let x = tf.layers.embedding({ inputDim: vocabSize, outputDim: dModel }).apply(input);
+  x = new PositionalEncoding({ maxLength: seqLen }).apply(x);
+
+  for (let i = 0; i < numLayers; i++) {
+    // Attention sub-block: x + Dropout(Attention(LayerNorm(x)))
+    let a = tf.layers.layerNormalization().apply(x);
+    a = new CausalSelfAttention({ numHeads }).apply(a);
+    a = tf.layers.dropout({ rate: dropout }).apply(a);
+    x = tf.layers.add().apply([x, a]);
+
+    // Feed-forward sub-block: x + Dropout(Dense(ReLU(Dense(LayerNorm(x)))))
+    let f = tf.layers.layerNormalization().apply(x);
+    f = tf.layers.dense({ units: ffUnits, activation: 'relu' }).apply(f);
+    f = tf.layers.dense({ units: dModel }).apply(f);
+    f = tf.layers.dropout({ rate: dropout }).apply(f);
+    x = tf.layers.add().apply([x, f]);
+  }
+
+  x = tf.layers.layerNormalization().apply(x);
+  const output = tf.layers.dense({ units: vocabSize, activation: 'softmax' }).apply(x);
+  return tf.model({ inputs: input, outputs: output });
+}
+
+const Transformer = { DEFAULT_CONFIG, registerLayers, buildTransformer };
+
+// Export for both module and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Transformer;
+}
+if (typeof window !== 'undefined') {
+  window.Transformer = Transformer;
+}
+
+})();
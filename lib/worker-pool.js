@@ -0,0 +1,227 @@
+/**
+ * A fixed pool of worker threads running one job at a time each, so heavy
+ * work (tfjs training and inference) stays off the Express event loop.
+ *
+ * Jobs wait in one FIFO queue. A job starts on the first idle worker unless
+ * its kind is already at its concurrency limit (`limits`, e.g. { train: 2 }),
+ * in which case later jobs of other kinds may start ahead of it — a long
+ * training run never holds up generation while a worker is free.
+ *
+ * Every job can have a timeout. A worker that overruns one, throws an
+ * uncaught error or exits is terminated and replaced; only the job it was
+ * running fails, with an error carrying an HTTP-style `status`. Workers
+ * that keep dying before they are ready are not replaced forever: after
+ * MAX_STARTUP_FAILURES in a row the pool gives up, fails its queued and
+ * later jobs with a 503, rejects `ready` if no worker ever started and
+ * emits 'unavailable'.
+ *
+ * Worker protocol (see lib/model-worker.js):
+ *   pool → worker  { type: 'job', id, kind, payload } | { type: 'cancel', id }
+ *   worker → pool  { type: 'ready', info } once, after start-up
+ *                  { type: 'progress', id, data }
+ *                  { type: 'result', id, result }
+ *                  { type: 'error', id, error: { message, status } }
+ * @module WorkerPool
+ */
+'use strict';
+
+const { Worker } = require('worker_threads');
+const { EventEmitter } = require('events');
+
+const RESPAWN_DELAY_MS = 1000;
+// Consecutive workers that die before `ready` (a missing dependency, an
+// unreadable model) before the pool stops starting new ones
+const MAX_STARTUP_FAILURES = 3;
+const UNAVAILABLE_MESSAGE = 'Model workers are unavailable on this server.';
+
+function jobError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+class WorkerPool extends EventEmitter {
+  /**
+   * @param {string} script - Worker entry file
+   * @param {Object} [opts]
+   * @param {number} [opts.size=2] - Worker threads
+   * @param {Object} [opts.limits] - Max running jobs per kind
+   * @param {*} [opts.workerData] - Passed to every worker
+   */
+  constructor(script, { size = 2, limits = {}, workerData } = {}) {
+    super();
+    Object.assign(this, { script, size, limits, workerData });
+    this.workers = new Set();
+    this.queue = []; // waiting jobs, oldest first
+    this.nextId = 1;
+    this.closed = false;
+    this.unavailable = false; // set once workers keep failing to start
+    this.startupFailures = 0; // in a row
+    this.info = null; // from the first worker's `ready` message
+    this.ready = new Promise((resolve, reject) => { this.resolveReady = resolve; this.rejectReady = reject; });
+    for (let i = 0; i < size; i++) this.spawn();
+  }
+
+  spawn() {
+    const worker = new Worker(this.script, { workerData: this.workerData });
+    const slot = { worker, ready: false, job: null };
+    this.workers.add(slot);
+
+    worker.on('message', msg => this.onMessage(slot, msg));
+    worker.on('error', e => {
+      console.error('Worker error:', e);
+      this.retire(slot, jobError('Worker crashed.', 500));
+    });
+    worker.on('exit', code => {
+      if (this.workers.has(slot)) this.retire(slot, jobError(`Worker exited (code ${code}).`, 500));
+    });
+  }
+
+  // Drop a dead or stuck worker, fail its job and start a replacement
+  retire(slot, err) {
+    if (!this.workers.delete(slot)) return;
+    slot.worker.terminate().catch(() => {});
+    if (slot.job) this.finish(slot.job, err);
+    slot.job = null;
+    if (!slot.ready && ++this.startupFailures >= MAX_STARTUP_FAILURES) return this.giveUp();
+    if (!this.closed && !this.unavailable) {
+      setTimeout(() => { if (!this.closed && !this.unavailable) this.spawn(); }, RESPAWN_DELAY_MS);
+    }
+  }
+
+  // Stop replacing workers that cannot start: fail every waiting job, and
+  // run() fails the later ones
+  giveUp() {
+    if (this.unavailable) return;
+    this.unavailable = true;
+    console.error(`Worker pool: ${MAX_STARTUP_FAILURES} workers in a row failed to start, giving up.`);
+    for (const job of this.queue.splice(0)) this.finish(job, jobError(UNAVAILABLE_MESSAGE, 503));
+    if (!this.info) this.rejectReady(jobError(UNAVAILABLE_MESSAGE, 503));
+    this.emit('unavailable');
+  }
+
+  onMessage(slot, msg) {
+    if (msg.type === 'ready') {
+      slot.ready = true;
+      this.startupFailures = 0;
+      if (!this.info) {
+        this.info = msg.info;
+        this.resolveReady(msg.info);
+      }
+      return this.pump();
+    }
+    const job = slot.job;
+    if (!job || job.id !== msg.id) return;
+    if (msg.type === 'progress') {
+      if (job.onProgress) job.onProgress(msg.data);
+      return;
+    }
+    slot.job = null;
+    if (msg.type === 'result') this.finish(job, null, msg.result);
+    else this.finish(job, jobError(msg.error.message, msg.error.status || 500));
+    this.pump();
+  }
+
+  finish(job, err, result) {
+    if (job.state === 'done') return;
+    job.state = 'done';
+    clearTimeout(job.timer);
+    if (err) job.reject(err);
+    else job.resolve(result);
+  }
+
+  running(kind) {
+    let n = 0;
+    for (const slot of this.workers) if (slot.job && slot.job.kind === kind) n++;
+    return n;
+  }
+
+  pump() {
+    for (let i = 0; i < this.queue.length; i++) {
+      const slot = [...this.workers].find(s => s.ready && !s.job);
+      if (!slot) break;
+      const job = this.queue[i];
+      const limit = this.limits[job.kind];
+      if (limit !== undefined && this.running(job.kind) >= limit) continue;
+      this.queue.splice(i--, 1);
+      this.start(slot, job);
+    }
+  }
+
+  start(slot, job) {
+    slot.job = job;
+    job.state = 'running';
+    job.slot = slot;
+    if (job.timeoutMs) {
+      job.timer = setTimeout(() => {
+        this.retire(slot, jobError(`Job timed out after ${job.timeoutMs / 1000}s.`, 504));
+      }, job.timeoutMs);
+    }
+    slot.worker.postMessage({ type: 'job', id: job.id, kind: job.kind, payload: job.payload });
+    if (job.onStart) job.onStart();
+    this.emit('start', job);
+  }
+
+  /**
+   * Queue a job
+   * @param {string} kind - e.g. 'train', 'generate', 'evaluate'
+   * @param {*} payload - Structured-cloneable job input
+   * @param {Object} [opts]
+   * @param {number} [opts.timeoutMs] - Fail (and restart the worker) after this long running
+   * @param {function(*)} [opts.onProgress] - Called with each progress message
+   * @param {function()} [opts.onStart] - Called when a worker picks the job up
+   * @returns {{id: number, kind: string, promise: Promise, cancel: function()}}
+   *   promise resolves with the worker's result, or null if cancelled while queued
+   */
+  run(kind, payload, { timeoutMs, onProgress, onStart } = {}) {
+    const job = { id: this.nextId++, kind, payload, timeoutMs, onProgress, onStart, state: 'queued' };
+    job.promise = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+    job.cancel = () => this.cancel(job);
+    if (this.closed) this.finish(job, jobError('Worker pool is closed.', 503));
+    else if (this.unavailable) this.finish(job, jobError(UNAVAILABLE_MESSAGE, 503));
+    else {
+      this.queue.push(job);
+      this.pump();
+    }
+    return job;
+  }
+
+  /**
+   * Cancel a job: queued jobs are dropped (resolving with null), running ones
+   * are asked to stop and resolve with whatever the worker returns.
+   */
+  cancel(job) {
+    if (job.state === 'queued') {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.finish(job, null, null);
+    } else if (job.state === 'running') {
+      job.slot.worker.postMessage({ type: 'cancel', id: job.id });
+    }
+  }
+
+  /**
+   * 1-based place among queued jobs of the same kind, 0 once started
+   * @param {Object} job - From run()
+   * @returns {number}
+   */
+  position(job) {
+    if (job.state !== 'queued') return 0;
+    return this.queue.filter(j => j.kind === job.kind).indexOf(job) + 1;
+  }
+
+  /** Jobs of a kind still waiting for a worker */
+  queued(kind) {
+    return this.queue.filter(j => j.kind === kind).length;
+  }
+
+  async close() {
+    this.closed = true;
+    for (const job of this.queue.splice(0)) this.finish(job, jobError('Worker pool is closed.', 503));
+    const slots = [...this.workers];
+    this.workers.clear();
+    for (const slot of slots) if (slot.job) this.finish(slot.job, jobError('Worker pool is closed.', 503));
+    await Promise.all(slots.map(s => s.worker.terminate()));
+  }
+}
+
+module.exports = { WorkerPool };
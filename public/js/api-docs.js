@@ -0,0 +1,199 @@
+/**
+ * API reference page (/api.html): renders the OpenAPI document from
+ * /api/openapi.json — every operation grouped by tag, with its parameters,
+ * request body, responses and a curl example, then the shared schemas.
+ * @module ApiDocs
+ */
+'use strict';
+
+const ApiDocs = {
+  spec: null,
+
+  esc(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  },
+
+  // Descriptions use `backticks` for code
+  prose(s) {
+    return s ? this.esc(s).replace(/`([^`]+)`/g, '<code>$1</code>') : '';
+  },
+
+  refName(ref) {
+    return ref.split('/').pop();
+  },
+
+  resolve(schema) {
+    while (schema && schema.$ref) {
+      schema = schema.$ref.slice(2).split('/').reduce((node, key) => node[key], this.spec);
+    }
+    return schema || {};
+  },
+
+  /** Short type label, linking to named schemas */
+  typeLabel(schema) {
+    if (schema.$ref) {
+      const name = this.refName(schema.$ref);
+      return `<a href="#schema-${name}">${name}</a>`;
+    }
+    if (schema.anyOf) return schema.anyOf.map(s => this.typeLabel(s)).join(' | ');
+    const types = [].concat(schema.type || 'any');
+    return types.map(t => (t === 'array' && schema.items ? `array of ${this.typeLabel(schema.items)}` : t)).join(' | ');
+  },
+
+  constraints(schema) {
+    const s = this.resolve(schema);
+    const out = [];
+    if (s.enum) out.push(`one of ${s.enum.map(v => `<code>${this.esc(JSON.stringify(v))}</code>`).join(', ')}`);
+    if (s.minimum !== undefined && s.maximum !== undefined) out.push(`${s.minimum}–${s.maximum}`);
+    else if (s.minimum !== undefined) out.push(`≥ ${s.minimum}`);
+    else if (s.maximum !== undefined) out.push(`≤ ${s.maximum}`);
+    if (s.minLength !== undefined) out.push(`min length ${s.minLength.toLocaleString()}`);
+    if (s.maxLength !== undefined) out.push(`max length ${s.maxLength.toLocaleString()}`);
+    if (s.default !== undefined) out.push(`default <code>${this.esc(JSON.stringify(s.default))}</code>`);
+    return out.join(' · ');
+  },
+
+  // Rows: [name, schema, required]
+  fieldTable(rows) {
+    if (!rows.length) return '';
+    return `<table class="api-table">
+      <tr><th>Field</th><th>Type</th><th>Description</th></tr>
+      ${rows.map(([name, schema, required]) => {
+        const s = this.resolve(schema);
+        const notes = [this.prose(s.description), this.constraints(schema)].filter(Boolean).join('<br>');
+        return `<tr>
+          <td><code>${this.esc(name)}</code>${required ? ' <span class="api-required">required</span>' : ''}</td>
+          <td>${this.typeLabel(schema)}</td>
+          <td>${notes}</td>
+        </tr>`;
+      }).join('')}
+    </table>`;
+  },
+
+  objectTable(schema) {
+    const s = this.resolve(schema);
+    const required = s.required || [];
+    const rows = Object.entries(s.properties || {}).map(([name, prop]) => [name, prop, required.includes(name)]);
+    // Each alternative: its required fields, plus any field it pins to one value
+    const alternative = b => [
+      ...Object.entries(b.properties || {}).filter(([, p]) => p.enum && p.enum.length === 1)
+        .map(([f, p]) => `<code>${f}: ${this.esc(JSON.stringify(p.enum[0]))}</code>`),
+      ...(b.required || []).map(f => `<code>${f}</code>`)
+    ].join(' and ');
+    const alternatives = s.anyOf
+      ? `<p class="api-note">Requires ${s.anyOf.map(alternative).join(', or ')}.</p>`
+      : '';
+    return alternatives + this.fieldTable(rows);
+  },
+
+  // A placeholder value for the curl example
+  example(schema) {
+    const s = this.resolve(schema);
+    if (s.example !== undefined) return s.example;
+    if (s.default !== undefined) return s.default;
+    if (s.enum) return s.enum[0];
+    const type = [].concat(s.type)[0];
+    if (type === 'integer' || type === 'number') return s.minimum || 1;
+    if (type === 'boolean') return false;
+    if (type === 'object') return {};
+    return 'string'.padEnd(Math.max(6, s.minLength || 0), '…');
+  },
+
+  curl(method, path, operation, parameters) {
+    const query = parameters.filter(p => p.in === 'query' && p.required)
+      .map(p => `${p.name}=${encodeURIComponent(this.example(p.schema))}`).join('&');
+    const url = `${location.origin}${path}${query ? `?${query}` : ''}`;
+    const parts = [`curl${method === 'get' ? '' : ` -X ${method.toUpperCase()}`} '${url}'`];
+    const content = operation.requestBody ? this.resolve(operation.requestBody).content : {};
+    const body = content['application/json'];
+    // Binary uploads (bundles) are sent as a file
+    const [binary] = Object.keys(content).filter(type => content[type].schema.format === 'binary');
+    if (binary) parts.push(`-H 'Content-Type: ${binary}'`, '--data-binary @file');
+    if (body) {
+      const s = this.resolve(body.schema);
+      // Required fields, plus those of the last alternative (pinned values included)
+      const branch = s.anyOf ? s.anyOf[s.anyOf.length - 1] : {};
+      const pinned = branch.properties || {};
+      const fields = [...new Set([...(s.required || []), ...Object.keys(pinned), ...(branch.required || [])])];
+      const example = Object.fromEntries(fields.map(f => [f, this.example(pinned[f] || s.properties[f])]));
+      parts.push(`-H 'Content-Type: application/json'`, `-d '${JSON.stringify(example)}'`);
+    }
+    return parts.join(' \\\n  ');
+  },
+
+  renderOperation(path, method, operation, shared) {
+    const parameters = [...shared, ...(operation.parameters || [])];
+    const body = operation.requestBody && this.resolve(operation.requestBody);
+    const jsonBody = body && body.content['application/json'];
+    const responses = Object.entries(operation.responses).map(([status, response]) => {
+      const r = this.resolve(response);
+      const content = r.content || {};
+      const schema = content['application/json'] && content['application/json'].schema;
+      const stream = content['text/event-stream'];
+      return `<li><strong>${status}</strong> ${this.prose(r.description)}
+        ${schema && status < 300 ? ` — ${this.typeLabel(schema)}${schema.$ref ? '' : this.objectTable(schema)}` : ''}
+        ${stream ? `<p class="api-note">Event stream: ${this.prose(stream.description)}</p>` : ''}</li>`;
+    }).join('');
+
+    return `<details class="api-op" id="${method}-${path.replace(/[^a-z0-9]+/gi, '-')}">
+      <summary>
+        <span class="api-method api-${method}">${method.toUpperCase()}</span>
+        <code class="api-path">${this.esc(path)}</code>
+        <span class="api-summary">${this.esc(operation.summary || '')}${operation.deprecated ? ' <em>(deprecated)</em>' : ''}</span>
+      </summary>
+      ${operation.description ? `<p>${this.prose(operation.description)}</p>` : ''}
+      ${parameters.length ? `<h4>Parameters</h4>${this.fieldTable(parameters.map(p => [`${p.name} (${p.in})`, { ...p.schema, description: p.description || p.schema.description }, p.required]))}` : ''}
+      ${jsonBody ? `<h4>Request body</h4>${this.prose(jsonBody.schema.description || '')}${this.objectTable(jsonBody.schema)}` : ''}
+      ${body && !jsonBody ? `<h4>Request body</h4><p>A file, sent as <code>${this.esc(Object.keys(body.content).join(', '))}</code>.</p>` : ''}
+      <h4>Responses</h4><ul class="api-responses">${responses}</ul>
+      <h4>Example</h4><pre class="api-curl">${this.esc(this.curl(method, path, operation, parameters))}</pre>
+    </details>`;
+  },
+
+  render(spec) {
+    this.spec = spec;
+    const byTag = new Map(spec.tags.map(t => [t.name, { tag: t, operations: [] }]));
+    for (const [path, item] of Object.entries(spec.paths)) {
+      for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+        if (!item[method]) continue;
+        const tag = (item[method].tags || ['Other'])[0];
+        if (!byTag.has(tag)) byTag.set(tag, { tag: { name: tag }, operations: [] });
+        byTag.get(tag).operations.push(this.renderOperation(path, method, item[method], item.parameters || []));
+      }
+    }
+
+    const sections = [...byTag.values()].filter(g => g.operations.length).map(({ tag, operations }) => `
+      <section class="api-tag">
+        <h2 id="tag-${tag.name.replace(/\s+/g, '-')}">${this.esc(tag.name)}</h2>
+        ${tag.description ? `<p>${this.prose(tag.description)}</p>` : ''}
+        ${operations.join('')}
+      </section>`).join('');
+
+    const schemas = Object.entries(spec.components.schemas).map(([name, schema]) => `
+      <div class="api-schema" id="schema-${name}">
+        <h3>${name}</h3>
+        ${schema.description ? `<p>${this.prose(schema.description)}</p>` : ''}
+        ${this.objectTable(schema)}
+      </div>`).join('');
+
+    document.getElementById('api-title').textContent = `${spec.info.title} ${spec.info.version}`;
+    document.getElementById('api-intro').innerHTML = this.prose(spec.info.description);
+    document.getElementById('api-docs').innerHTML = `${sections}
+      <section class="api-tag"><h2 id="schemas">Schemas</h2>${schemas}</section>`;
+  },
+
+  async init() {
+    const loading = document.getElementById('api-loading');
+    try {
+      const resp = await fetch('/api/openapi.json');
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      this.render(await resp.json());
+      loading.remove();
+      if (location.hash) document.querySelector(location.hash)?.scrollIntoView();
+    } catch (e) {
+      loading.textContent = `Could not load /api/openapi.json (${e.message}).`;
+    }
+  }
+};
+
+ApiDocs.init();
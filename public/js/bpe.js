@@ -0,0 +1,219 @@
+/**
+ * MiniLLM Byte-Pair Encoding
+ * A real BPE tokenizer: learns merges from a corpus, then splits any text
+ * into subword tokens with stable integer IDs. Works on characters rather
+ * than bytes so tokens stay readable. Every printable ASCII and Latin-1
+ * character is in the vocabulary whether or not the corpus uses it; other
+ * characters never seen in training (emoji, most other scripts) become
+ * <unk>. Shared by the server and the browser.
+ * @module BPE
+ */
+
+'use strict';
+
+(function() {
+
+const UNK = '<unk>';
+// Chunks whose tokens are remembered. The server's tokenizer sees every
+// visitor's text, so the cache is bounded: least recently used goes first.
+const CACHE_SIZE = 10000;
+
+// Characters every tokenizer can spell, so text a learner types ("Every…",
+// "2025", "naïve") never hits <unk> just because the corpus lacks a letter:
+// tab, newline, printable ASCII, printable Latin-1 and common typography
+const BASE_ALPHABET = [
+  '\t', '\n', '\r',
+  ...Array.from({ length: 0x7f - 0x20 }, (_, i) => String.fromCharCode(0x20 + i)),
+  ...Array.from({ length: 0x100 - 0xa0 }, (_, i) => String.fromCharCode(0xa0 + i)),
+  ...'‘’‚“”„–—…•€™'
+];
+
+// GPT-2 style pre-tokenization: words keep their leading space, so " the"
+// and "the" are different tokens and decoding is just concatenation.
+// Merges never cross these chunk boundaries.
+const CHUNK_PATTERN = / ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+/**
+ * Split text into the chunks BPE merges within
+ * @param {string} text
+ * @returns {string[]}
+ */
+function pretokenize(text) {
+  return text.match(CHUNK_PATTERN) || [];
+}
+
+function pairKey(a, b) {
+  return a + '\u0000' + b;
+}
+
+class BPETokenizer {
+  /**
+   * @param {Object} data - Serialized tokenizer (see toJSON())
+   * @param {string[]} data.vocab - Token strings in ID order; ID 0 is <unk>
+   * @param {Array<[string, string]>} data.merges - Learned merges, first learned first
+   */
+  constructor({ vocab, merges }) {
+    this.vocab = vocab;
+    this.merges = merges;
+    this.tokenToId = new Map(vocab.map((t, i) => [t, i]));
+    this.ranks = new Map(merges.map(([a, b], i) => [pairKey(a, b), i]));
+    this.cache = new Map(); // chunk -> tokens, full merge list only, oldest use first
+  }
+
+  /**
+   * Learn merges from a corpus: start from single characters (BASE_ALPHABET
+   * plus any others in the corpus) and repeatedly join the most frequent
+   * adjacent pair until the vocabulary is full.
+   * @param {string} text - Training corpus
+   * @param {Object} [opts]
+   * @param {number} [opts.vocabSize=1000] - Target vocabulary size (incl. characters and <unk>)
+   * @param {number} [opts.minFrequency=2] - Stop when the best pair is rarer than this
+   * @returns {BPETokenizer}
+   */
+  static train(text, { vocabSize = 1000, minFrequency = 2 } = {}) {
+    const chunkCounts = new Map();
+    for (const chunk of pretokenize(text)) chunkCounts.set(chunk, (chunkCounts.get(chunk) || 0) + 1);
+
+    const alphabet = [...new Set([...BASE_ALPHABET, ...Array.from(text)])].sort();
+    const vocab = [UNK, ...alphabet];
+    const known = new Set(vocab);
+    const merges = [];
+    const words = [...chunkCounts].map(([chunk, count]) => ({ symbols: Array.from(chunk), count }));
+
+    while (vocab.length < vocabSize) {
+      const pairs = new Map();
+      for (const { symbols, count } of words) {
+        for (let i = 0; i < symbols.length - 1; i++) {
+          const key = pairKey(symbols[i], symbols[i + 1]);
+          pairs.set(key, (pairs.get(key) || 0) + count);
+        }
+      }
+      // Most frequent pair; ties broken alphabetically so training is deterministic
+      let best = null, bestCount = 0;
+      for (const [key, count] of pairs) {
+        if (count > bestCount || (count === bestCount && key < best)) { best = key; bestCount = count; }
+      }
+      if (!best || bestCount < minFrequency) break;
+
+      const [a, b] = best.split('\u0000');
+      const merged = a + b;
+      merges.push([a, b]);
+      // Different merge paths can build the same string ("ab"+"c", "a"+"bc")
+      if (!known.has(merged)) { known.add(merged); vocab.push(merged); }
+      for (const word of words) word.symbols = mergePair(word.symbols, a, b);
+    }
+    return new BPETokenizer({ vocab, merges });
+  }
+
+  /**
+   * @param {Object} data - Output of toJSON() (or the parsed merges/vocab file)
+   * @returns {BPETokenizer}
+   */
+  static fromJSON(data) {
+    if (!data || !Array.isArray(data.vocab) || !Array.isArray(data.merges)) {
+      throw new Error('Invalid tokenizer file: expected vocab and merges arrays');
+    }
+    return new BPETokenizer(data);
+  }
+
+  get vocabSize() {
+    return this.vocab.length;
+  }
+
+  /**
+   * Apply merges to one chunk, lowest rank (earliest learned) first
+   * @param {string} chunk
+   * @param {number} [maxMerges] - Only use the first N merges
+   * @returns {string[]}
+   */
+  encodeChunk(chunk, maxMerges = this.merges.length) {
+    const full = maxMerges >= this.merges.length;
+    if (full && this.cache.has(chunk)) {
+      const cached = this.cache.get(chunk);
+      this.cache.delete(chunk);
+      this.cache.set(chunk, cached);
+      return cached;
+    }
+
+    let symbols = Array.from(chunk);
+    while (symbols.length > 1) {
+      let bestRank = Infinity, bestIdx = -1;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = this.ranks.get(pairKey(symbols[i], symbols[i + 1]));
+        if (rank !== undefined && rank < bestRank && rank < maxMerges) { bestRank = rank; bestIdx = i; }
+      }
+      if (bestIdx < 0) break;
+      symbols = mergePair(symbols, symbols[bestIdx], symbols[bestIdx + 1]);
+    }
+    if (full) {
+      this.cache.set(chunk, symbols);
+      if (this.cache.size > CACHE_SIZE) this.cache.delete(this.cache.keys().next().value);
+    }
+    return symbols;
+  }
+
+  /**
+   * Split text into tokens
+   * @param {string} text
+   * @param {Object} [opts]
+   * @param {number} [opts.maxMerges] - Only use the first N merges (0 = characters)
+   * @returns {Array<{token: string, id: number}>} id 0 means <unk>
+   */
+  tokenize(text, { maxMerges } = {}) {
+    const tokens = [];
+    for (const chunk of pretokenize(text)) {
+      for (const token of this.encodeChunk(chunk, maxMerges)) {
+        const id = this.tokenToId.get(token);
+        tokens.push({ token, id: id === undefined ? 0 : id });
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * @param {string} text
+   * @param {Object} [opts] - See tokenize()
+   * @returns {number[]}
+   */
+  encode(text, opts) {
+    return this.tokenize(text, opts).map(t => t.id);
+  }
+
+  /**
+   * @param {number[]} ids
+   * @returns {string} <unk> tokens are dropped
+   */
+  decode(ids) {
+    return ids.map(id => (id > 0 && id < this.vocab.length ? this.vocab[id] : '')).join('');
+  }
+
+  toJSON() {
+    return { type: 'bpe', version: 1, vocab: this.vocab, merges: this.merges };
+  }
+}
+
+// Replace every adjacent (a, b) in symbols with a+b, left to right
+function mergePair(symbols, a, b) {
+  const out = [];
+  for (let i = 0; i < symbols.length; i++) {
+    if (i < symbols.length - 1 && symbols[i] === a && symbols[i + 1] === b) {
+      out.push(a + b);
+      i++;
+    } else {
+      out.push(symbols[i]);
+    }
+  }
+  return out;
+}
+
+const BPE = { UNK, BASE_ALPHABET, pretokenize, BPETokenizer };
+
+// Export for both module and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BPE;
+}
+if (typeof window !== 'undefined') {
+  window.BPE = BPE;
+}
+
+})();
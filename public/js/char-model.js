@@ -0,0 +1,129 @@
+/**
+ * MiniLLM CharModel
+ * Runs a character-level tfjs model (an LSTM or a small transformer) in the
+ * browser from its artifacts and vocabulary, e.g. a model shared through
+ * /api/models/save. Inputs and decoding match the server's workers
+ * (lib/model-worker.js): a seqLen window of character indices, or one-hot
+ * vectors for older LSTMs, slid along one character at a time and sampled
+ * with public/js/sampling.js.
+ * Transformers need /js/transformer.js loaded first for their custom layers.
+ * @module CharModel
+ */
+
+'use strict';
+
+(function() {
+
+// `self` is the window on a page and the global scope in a Web Worker
+const Sampling = typeof self !== 'undefined' ? self.Sampling : require('./sampling');
+
+// Characters generated between yields to the browser, so output can be
+// shown as it arrives
+const CHARS_PER_FRAME = 4;
+
+class CharModel {
+  /**
+   * @param {Object} tf - The tfjs namespace
+   * @param {Object} model - tf.LayersModel
+   * @param {Object} vocab - { charToIdx, idxToChar, vocabSize, seqLen, input?, architecture? }
+   */
+  constructor(tf, model, vocab) {
+    this.tf = tf;
+    this.model = model;
+    this.vocab = vocab;
+    this.transformer = vocab.architecture === 'transformer';
+    this.indexInput = vocab.input === 'index' || this.transformer;
+  }
+
+  /**
+   * Build a model from its artifacts
+   * @param {Object} tf
+   * @param {Object} artifacts
+   * @param {Object} artifacts.topology - model.json's modelTopology
+   * @param {Object[]} artifacts.weightSpecs
+   * @param {ArrayBuffer} artifacts.weightData
+   * @param {Object} artifacts.vocab
+   * @returns {Promise<CharModel>}
+   */
+  static async load(tf, { topology, weightSpecs, weightData, vocab }) {
+    if (vocab.architecture === 'transformer') {
+      const Transformer = typeof self !== 'undefined' ? self.Transformer : require('../../lib/transformer');
+      if (!Transformer) throw new Error('Load /js/transformer.js to run transformers.');
+      Transformer.registerLayers(tf);
+    }
+    const model = await tf.loadLayersModel(tf.io.fromMemory({ modelTopology: topology, weightSpecs, weightData }));
+    return new CharModel(tf, model, vocab);
+  }
+
+  encode(window) {
+    const { charToIdx, vocabSize, seqLen } = this.vocab;
+    if (this.indexInput) {
+      return this.tf.tensor2d([Array.from(window, c => charToIdx[c] || 0)], [1, seqLen], 'int32');
+    }
+    const x = new Float32Array(seqLen * vocabSize);
+    for (let j = 0; j < seqLen; j++) {
+      const idx = charToIdx[window[j]];
+      x[j * vocabSize + (idx !== undefined ? idx : 0)] = 1;
+    }
+    return this.tf.tensor3d(x, [1, seqLen, vocabSize]);
+  }
+
+  /**
+   * Next-character probabilities after a window of exactly seqLen characters
+   * @param {string} window
+   * @returns {Float32Array}
+   */
+  predict(window) {
+    const { seqLen, vocabSize } = this.vocab;
+    return this.tf.tidy(() => {
+      const pred = this.model.predict(this.encode(window));
+      // Transformers predict at every position; the last one is the next character
+      const next = this.transformer ? pred.slice([0, seqLen - 1, 0], [1, 1, vocabSize]) : pred;
+      return next.dataSync();
+    });
+  }
+
+  /**
+   * Continue a prompt
+   * @param {string} prompt
+   * @param {number} length - Characters to generate
+   * @param {Object} [options] - Sampling options (see public/js/sampling.js)
+   * @param {function(string): (boolean|void)} [onChar] - Called with each
+   *   character; return false to stop early
+   * @returns {Promise<string>} the generated text
+   */
+  async generate(prompt, length, options = {}, onChar = () => {}) {
+    const { seqLen, idxToChar } = this.vocab;
+    const sampler = new Sampling.Sampler(options);
+    // Pad or truncate the prompt to seqLen, the context the model was trained on
+    let window = prompt.slice(-seqLen).padStart(seqLen, ' ');
+    let text = '';
+    for (let i = 0; i < length; i++) {
+      const ch = idxToChar[String(sampler.sample(this.predict(window)))] || ' ';
+      text += ch;
+      window = window.slice(1) + ch;
+      if (onChar(ch) === false) break;
+      if (i % CHARS_PER_FRAME === CHARS_PER_FRAME - 1) await this.tf.nextFrame();
+    }
+    return text;
+  }
+
+  /** Trainable parameters */
+  countParams() {
+    return this.model.countParams();
+  }
+
+  dispose() {
+    this.model.dispose();
+  }
+}
+
+// Export for both module and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CharModel;
+}
+if (typeof self !== 'undefined') {
+  self.CharModel = CharModel;
+}
+
+})();
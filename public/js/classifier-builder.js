@@ -0,0 +1,444 @@
+/**
+ * "Teach it your categories" on the landing page: name some categories,
+ * give a few example sentences of each (or start from a preset), train a
+ * classifier (public/js/classifier.js) in the browser, then type anything
+ * and watch its confidence in each category change as you type. A trained
+ * classifier can be shared: /api/models/save keeps its examples and
+ * weights, and /classifier.html runs it from the link.
+ * @module ClassifierBuilder
+ */
+(function() {
+  'use strict';
+
+  const root = document.getElementById('classifier');
+  if (!root) return;
+
+  const TFJS_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js';
+  const { LIMITS } = Classifier;
+
+  // ===== Presets =====
+  // test: a sentence to try first, in none of the examples
+  const PRESETS = [
+    {
+      id: 'sentiment',
+      label: '🎭 Sentiment',
+      name: 'Happy vs Sad',
+      test: 'My friends threw me a surprise party and I loved it',
+      categories: [
+        {
+          name: 'Happy',
+          examples: [
+            'I love this so much',
+            'What a wonderful day',
+            'This made me smile all afternoon',
+            'I am so excited for the weekend',
+            'Best birthday ever, thank you all',
+            'We won the game and everyone cheered',
+            'The sun is out and I feel great',
+            'I got the job I wanted',
+            'This is the happiest I have been in years',
+            'Laughing with my family is the best',
+            'What a fantastic surprise',
+            'I am grateful for my amazing friends',
+            'The puppy was so cute and playful',
+            'Everything is going perfectly today',
+            'I passed my exam with a great score',
+            'Dancing all night was so much fun',
+            'That was a delicious dinner, I loved it',
+            'I feel wonderful and full of energy',
+            'Our holiday was brilliant and relaxing',
+            'Hooray, the good news finally came'
+          ]
+        },
+        {
+          name: 'Sad',
+          examples: [
+            'I feel so lonely tonight',
+            'This is the worst day of my life',
+            'I miss my old friends terribly',
+            'Nothing seems to go right anymore',
+            'I cried during the whole movie',
+            'We lost the game and everyone was upset',
+            'It is grey and miserable outside',
+            'I did not get the job',
+            'My heart is broken',
+            'I am tired of feeling this way',
+            'The news today was really depressing',
+            'Nobody came to my party',
+            'My dog is sick and I am worried',
+            'I failed my exam again',
+            'I feel empty and hopeless',
+            'Saying goodbye was so painful',
+            'Everything I try ends in disappointment',
+            'I am sorry, I feel awful about it',
+            'The trip was cancelled and I am gutted',
+            'I keep thinking about what I lost'
+          ]
+        }
+      ]
+    },
+    {
+      id: 'spam',
+      label: '📧 Spam Filter',
+      name: 'Spam vs Not Spam',
+      test: 'Congratulations, claim your free prize now',
+      categories: [
+        {
+          name: 'Spam',
+          examples: [
+            'WIN a FREE iPhone now, click here',
+            'You have been selected for a cash prize',
+            'Limited offer: buy one get three free',
+            'Earn money fast working from home',
+            'Your account is suspended, verify your password now',
+            'Cheap pills, no prescription needed',
+            'Click this link to claim your reward',
+            'Congratulations! You won a lottery you never entered',
+            'Lose 10 kg in one week with this secret',
+            'Act now, this exclusive deal expires today',
+            'Make thousands a day with crypto, guaranteed',
+            'Urgent: send your bank details to receive the money',
+            'Free gift card waiting for you, click now',
+            'Hot singles in your area want to meet you',
+            'Double your income with this one weird trick'
+          ]
+        },
+        {
+          name: 'Not Spam',
+          examples: [
+            'Are we still meeting for lunch tomorrow?',
+            'Here are the notes from today\'s meeting',
+            'Can you send me the report by Friday?',
+            'Happy birthday! Hope you have a great day',
+            'The train is running ten minutes late',
+            'Mum asked if you are coming for dinner on Sunday',
+            'Thanks for your help with the project',
+            'I attached the photos from the trip',
+            'Your order has been shipped and arrives Tuesday',
+            'Reminder: dentist appointment at 3pm',
+            'Could you review my pull request when you have time?',
+            'The team call is moved to Thursday morning',
+            'Let me know what you think of the draft',
+            'See you at the park at six',
+            'I left the keys under the mat'
+          ]
+        }
+      ]
+    },
+    {
+      id: 'cat-dog',
+      label: '🐱 Cat vs Dog',
+      name: 'Cat vs Dog',
+      test: 'It sat on the windowsill and ignored everyone',
+      categories: [
+        {
+          name: 'Cat',
+          examples: [
+            'It purrs when I scratch behind its ears',
+            'It knocked my glass off the table on purpose',
+            'It sleeps in a sunny spot for hours',
+            'It uses the litter box',
+            'It chases the red laser dot',
+            'It meows loudly at five in the morning',
+            'It sharpens its claws on the sofa',
+            'It brings me mice from the garden',
+            'It hisses at strangers',
+            'It curls up in a cardboard box',
+            'It grooms itself with its rough tongue',
+            'It jumps onto the top of the bookshelf',
+            'It ignores me until it wants food',
+            'It kneads the blanket with its paws',
+            'It coughed up a hairball'
+          ]
+        },
+        {
+          name: 'Dog',
+          examples: [
+            'It wags its tail when I come home',
+            'It fetches the ball again and again',
+            'It barks at the postman every day',
+            'It needs a walk twice a day',
+            'It loves to play in the mud',
+            'It sits and gives a paw for a treat',
+            'It howls when the sirens go by',
+            'It chews my shoes when it is bored',
+            'It follows me everywhere around the house',
+            'It sniffs every tree in the park',
+            'It pulls on the leash to chase squirrels',
+            'It drools while watching me eat',
+            'It guards the house and growls at noises',
+            'It jumps in the lake to fetch sticks',
+            'It greets everyone with happy licks'
+          ]
+        }
+      ]
+    },
+    {
+      id: 'weather',
+      label: '🌤️ Weather',
+      name: 'Sunny vs Rainy',
+      test: 'Bring your umbrella, the clouds look heavy',
+      categories: [
+        {
+          name: 'Sunny',
+          examples: [
+            'Clear blue skies all day',
+            'Perfect weather for the beach',
+            'Do not forget your sunscreen',
+            'It is hot and bright outside',
+            'Not a cloud in the sky',
+            'Let us have a picnic in the park',
+            'The sun is shining on the garden',
+            'I need my sunglasses today',
+            'A warm and dry afternoon',
+            'Great day for ice cream',
+            'The heat wave continues all week',
+            'Golden sunshine through the window'
+          ]
+        },
+        {
+          name: 'Rainy',
+          examples: [
+            'It is pouring outside',
+            'Take an umbrella, showers all day',
+            'The streets are flooded',
+            'Grey clouds and drizzle this morning',
+            'My boots are soaked from the puddles',
+            'Thunder and heavy rain tonight',
+            'The windows are wet with raindrops',
+            'A damp and gloomy day',
+            'Put on your raincoat before you go',
+            'The picnic was cancelled because of the storm',
+            'It has not stopped raining since yesterday',
+            'Water is dripping from the gutters'
+          ]
+        }
+      ]
+    }
+  ];
+
+  // ===== State =====
+  let categories = [];
+  let activePreset = null; // a PRESETS id, or 'custom'
+  let trained = null;      // { classifier, categories, preset, name }
+  let tfLoading = null;
+
+  const $ = id => document.getElementById(id);
+
+  function escapeHtml(s) {
+    return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function errorMessage(data, fallback) {
+    return (data && data.error && data.error.message) || fallback;
+  }
+
+  // tfjs is only downloaded once someone trains
+  function loadTf() {
+    if (typeof tf !== 'undefined') return Promise.resolve();
+    if (!tfLoading) {
+      tfLoading = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = TFJS_URL;
+        script.onload = resolve;
+        script.onerror = () => { tfLoading = null; reject(new Error('Could not load TensorFlow.js.')); };
+        document.head.appendChild(script);
+      });
+    }
+    return tfLoading;
+  }
+
+  // ===== Categories and examples =====
+
+  function renderPresets() {
+    $('clf-presets').innerHTML = PRESETS.map(p =>
+      `<button class="preset-btn${p.id === activePreset ? ' active' : ''}" data-preset="${p.id}">${p.label}</button>`
+    ).join('') + `<button class="preset-btn${activePreset === 'custom' ? ' active' : ''}" data-preset="custom">✏️ Start from scratch</button>`;
+  }
+
+  function renderCategories() {
+    const full = i => categories[i].examples.length >= LIMITS.maxExamples;
+    $('clf-categories').innerHTML = categories.map((c, i) => `
+      <div class="clf-category" data-cat="${i}">
+        <div class="clf-category-head">
+          <input type="text" class="clf-category-name" value="${escapeHtml(c.name)}" maxlength="40" placeholder="Category name">
+          ${categories.length > 2 ? '<button class="clf-remove clf-remove-category" title="Remove this category">✕</button>' : ''}
+        </div>
+        <ul class="clf-examples">
+          ${c.examples.map((ex, j) => `<li><span>${escapeHtml(ex)}</span><button class="clf-remove" data-ex="${j}" title="Remove">✕</button></li>`).join('')}
+        </ul>
+        <input type="text" class="clf-example-input" maxlength="${LIMITS.maxExampleLength}"
+          placeholder="${full(i) ? `${LIMITS.maxExamples} examples is the most` : 'Type an example, press Enter'}"${full(i) ? ' disabled' : ''}>
+        <div class="clf-count">${c.examples.length} example${c.examples.length === 1 ? '' : 's'}</div>
+      </div>`).join('');
+    $('clf-add-category').disabled = categories.length >= LIMITS.maxCategories;
+  }
+
+  function choosePreset(id) {
+    activePreset = id;
+    const preset = PRESETS.find(p => p.id === id);
+    categories = preset
+      ? preset.categories.map(c => ({ name: c.name, examples: [...c.examples] }))
+      : [{ name: '', examples: [] }, { name: '', examples: [] }];
+    if (preset) $('clf-test-input').value = preset.test;
+    renderPresets();
+    renderCategories();
+    examplesChanged();
+  }
+
+  // Editing after training leaves the trained classifier in place until the
+  // next training run, and says so
+  function examplesChanged() {
+    if (trained) showStatus('Your examples changed: train again to update the classifier.');
+  }
+
+  $('clf-presets').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-preset]');
+    if (btn) choosePreset(btn.dataset.preset);
+  });
+
+  $('clf-categories').addEventListener('input', (e) => {
+    if (!e.target.classList.contains('clf-category-name')) return;
+    categories[e.target.closest('[data-cat]').dataset.cat].name = e.target.value;
+    examplesChanged();
+  });
+
+  $('clf-categories').addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || !e.target.classList.contains('clf-example-input')) return;
+    const text = e.target.value.trim();
+    if (!text) return;
+    const i = Number(e.target.closest('[data-cat]').dataset.cat);
+    categories[i].examples.push(text);
+    renderCategories();
+    $('clf-categories').querySelector(`[data-cat="${i}"] .clf-example-input`).focus();
+    examplesChanged();
+  });
+
+  $('clf-categories').addEventListener('click', (e) => {
+    const btn = e.target.closest('.clf-remove');
+    if (!btn) return;
+    const i = Number(btn.closest('[data-cat]').dataset.cat);
+    if (btn.classList.contains('clf-remove-category')) categories.splice(i, 1);
+    else categories[i].examples.splice(Number(btn.dataset.ex), 1);
+    renderCategories();
+    examplesChanged();
+  });
+
+  $('clf-add-category').addEventListener('click', () => {
+    if (categories.length >= LIMITS.maxCategories) return;
+    categories.push({ name: '', examples: [] });
+    renderCategories();
+    $('clf-categories').querySelector(`[data-cat="${categories.length - 1}"] .clf-category-name`).focus();
+    examplesChanged();
+  });
+
+  // ===== Train =====
+
+  function showStatus(html) {
+    const el = $('clf-train-status');
+    el.innerHTML = html;
+    el.style.display = 'block';
+  }
+
+  $('clf-train-btn').addEventListener('click', async () => {
+    const btn = $('clf-train-btn');
+    const snapshot = categories.map((c, i) => ({ name: c.name.trim() || `Category ${i + 1}`, examples: [...c.examples] }));
+    if (new Set(snapshot.map(c => c.name)).size !== snapshot.length) {
+      showStatus('❌ Give every category a different name.');
+      return;
+    }
+
+    btn.disabled = true;
+    btn.textContent = '⏳ Training...';
+    try {
+      await loadTf();
+      const { classifier, stats } = await Classifier.train(tf, snapshot, {
+        onEpoch: ({ epoch, loss, accuracy }) => {
+          showStatus(`Epoch ${epoch}/${Classifier.DEFAULTS.epochs} · loss ${loss.toFixed(3)} · ${Math.round(accuracy * 100)}% of examples right`);
+        }
+      });
+      if (trained) trained.classifier.dispose();
+      const preset = PRESETS.find(p => p.id === activePreset);
+      trained = { classifier, categories: snapshot, preset: preset ? preset.id : 'custom', name: preset ? preset.name : null };
+
+      showStatus(`✅ Trained in ${stats.trainMs} ms on ${stats.examples} examples · ${stats.vocabularySize} words in its vocabulary · `
+        + `${stats.params.toLocaleString()} parameters · ${Math.round(stats.accuracy * 100)}% of examples right`);
+      $('clf-step-4').style.display = 'block';
+      $('clf-share-link').style.display = 'none';
+      renderPrediction();
+    } catch (err) {
+      console.error('Classifier training error:', err);
+      showStatus(`❌ ${escapeHtml(err.message || 'Training failed.')}`);
+    }
+    btn.disabled = false;
+    btn.textContent = '⚡ Train Classifier';
+  });
+
+  // ===== Test =====
+
+  function renderPrediction() {
+    if (!trained) return;
+    const text = $('clf-test-input').value;
+    const bars = $('clf-bars');
+    const hint = $('clf-test-hint');
+    if (!text.trim()) {
+      bars.innerHTML = '';
+      hint.textContent = 'Type a sentence to see how confident the classifier is in each category.';
+      return;
+    }
+    const predictions = trained.classifier.predict(text);
+    const best = Math.max(...predictions.map(p => p.probability));
+    bars.innerHTML = predictions.map(({ category, probability }) => `
+      <div class="clf-bar-row${probability === best ? ' top' : ''}">
+        <span class="clf-bar-label">${escapeHtml(category)}</span>
+        <div class="clf-bar-track"><div class="clf-bar-fill" style="width:${(probability * 100).toFixed(1)}%"></div></div>
+        <span class="clf-bar-value">${(probability * 100).toFixed(1)}%</span>
+      </div>`).join('');
+    const known = trained.classifier.knownWords(text);
+    hint.innerHTML = known.length
+      ? `Words it learned from your examples: ${known.map(w => `<code>${escapeHtml(w)}</code>`).join(' ')}`
+      : 'None of these words are in your examples, so this is only its default guess. Add examples with words like these.';
+  }
+
+  $('clf-test-input').addEventListener('input', renderPrediction);
+
+  // ===== Share =====
+
+  $('clf-share-btn').addEventListener('click', async () => {
+    if (!trained) return;
+    const btn = $('clf-share-btn');
+    const label = '📤 Share Classifier';
+    btn.disabled = true;
+    btn.textContent = '⏳ Saving...';
+    try {
+      const { classifier } = trained;
+      const resp = await fetch('/api/models/save', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          type: 'classifier',
+          ...(trained.name && { name: trained.name }),
+          preset: trained.preset,
+          categories: trained.categories,
+          vocabulary: classifier.vocabulary,
+          hiddenUnits: classifier.hiddenUnits,
+          weights: classifier.weightsBase64()
+        })
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(errorMessage(data, 'Save failed.'));
+
+      const url = `${window.location.origin}${data.url}`;
+      $('clf-share-link').innerHTML = `<strong>Share link:</strong> <a href="${url}" target="_blank">${url}</a>`;
+      $('clf-share-link').style.display = 'block';
+      btn.textContent = '✅ Shared!';
+      setTimeout(() => { btn.textContent = label; btn.disabled = false; }, 3000);
+    } catch (e) {
+      console.error('Share error:', e);
+      btn.textContent = '❌ ' + (e.message || 'Failed');
+      setTimeout(() => { btn.textContent = label; btn.disabled = false; }, 2000);
+    }
+  });
+
+  choosePreset(PRESETS[0].id);
+})();
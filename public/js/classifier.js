@@ -0,0 +1,216 @@
+/**
+ * MiniLLM Classifier
+ * A text classifier small enough to train in the browser in well under a
+ * second. A text becomes a bag of words: one input per word of the
+ * vocabulary (the examples' most frequent words), 1 where the word occurs.
+ * The network is Input(vocabulary) → Dense(32, relu) → Dense(categories,
+ * softmax), trained on every example at once.
+ * The builder on the landing page (public/js/classifier-builder.js) trains
+ * one on the visitor's examples; /classifier.html rebuilds a classifier
+ * shared through /api/models/save from its vocabulary and weights.
+ * @module Classifier
+ */
+
+'use strict';
+
+(function() {
+
+const DEFAULTS = { hiddenUnits: 32, epochs: 30, learningRate: 0.01 };
+// Matches CLASSIFIER_LIMITS in server.js
+const LIMITS = { maxCategories: 6, maxExamples: 50, maxExampleLength: 300, maxVocabulary: 1000, maxWordLength: 40 };
+
+/** Lowercased words: runs of letters, digits and apostrophes */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(word => word && word.length <= LIMITS.maxWordLength);
+}
+
+/** The most frequent words of the texts, most frequent first (ties alphabetically) */
+function buildVocabulary(texts, maxWords = LIMITS.maxVocabulary) {
+  const counts = new Map();
+  for (const text of texts) {
+    for (const word of tokenize(text)) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, maxWords)
+    .map(([word]) => word);
+}
+
+function buildModel(tf, vocabSize, numCategories, hiddenUnits) {
+  const model = tf.sequential();
+  model.add(tf.layers.dense({ inputShape: [vocabSize], units: hiddenUnits, activation: 'relu' }));
+  model.add(tf.layers.dense({ units: numCategories, activation: 'softmax' }));
+  return model;
+}
+
+class Classifier {
+  /**
+   * @param {Object} tf - The tfjs namespace
+   * @param {Object} model - tf.LayersModel from buildModel
+   * @param {string[]} vocabulary - Words, in input order
+   * @param {string[]} categories - Names, in output order
+   */
+  constructor(tf, model, vocabulary, categories) {
+    this.tf = tf;
+    this.model = model;
+    this.vocabulary = vocabulary;
+    this.categories = categories;
+    this.wordIndex = new Map(vocabulary.map((word, i) => [word, i]));
+  }
+
+  /** Bag of words: 1 for each vocabulary word in the text */
+  vectorize(text) {
+    const vector = new Float32Array(this.vocabulary.length);
+    for (const word of tokenize(text)) {
+      const i = this.wordIndex.get(word);
+      if (i !== undefined) vector[i] = 1;
+    }
+    return vector;
+  }
+
+  /** The text's words the classifier knows; with none, every text looks alike to it */
+  knownWords(text) {
+    return [...new Set(tokenize(text).filter(word => this.wordIndex.has(word)))];
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Array<{category: string, probability: number}>} In category order
+   */
+  predict(text) {
+    const probs = this.tf.tidy(() =>
+      this.model.predict(this.tf.tensor2d(this.vectorize(text), [1, this.vocabulary.length])).dataSync());
+    return this.categories.map((category, i) => ({ category, probability: probs[i] }));
+  }
+
+  get hiddenUnits() {
+    return this.model.layers[0].units;
+  }
+
+  countParams() {
+    return this.model.countParams();
+  }
+
+  /** Every weight as float32s: each layer's kernel, then its bias */
+  weightData() {
+    const values = this.model.getWeights().map(w => w.dataSync());
+    const out = new Float32Array(values.reduce((n, v) => n + v.length, 0));
+    let offset = 0;
+    for (const v of values) {
+      out.set(v, offset);
+      offset += v.length;
+    }
+    return out;
+  }
+
+  /** weightData() as base64, for /api/models/save */
+  weightsBase64() {
+    const bytes = new Uint8Array(this.weightData().buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Train on every example at once (one batch), which for a few dozen
+   * sentences takes tens of milliseconds an epoch.
+   * @param {Object} tf - The tfjs namespace
+   * @param {Array<{name: string, examples: string[]}>} categories
+   * @param {Object} [options]
+   * @param {number} [options.epochs]
+   * @param {number} [options.hiddenUnits]
+   * @param {function(Object)} [options.onEpoch] - Gets { epoch, loss, accuracy }
+   * @returns {Promise<{classifier: Classifier, stats: Object}>}
+   */
+  static async train(tf, categories, { epochs = DEFAULTS.epochs, hiddenUnits = DEFAULTS.hiddenUnits, onEpoch } = {}) {
+    if (categories.length < 2) throw new Error('Add at least two categories.');
+    const empty = categories.find(c => !c.examples.length);
+    if (empty) throw new Error(`Add an example to "${empty.name}".`);
+    const texts = categories.flatMap(c => c.examples);
+    const labels = categories.flatMap((c, i) => c.examples.map(() => i));
+    const vocabulary = buildVocabulary(texts);
+    if (!vocabulary.length) throw new Error('Your examples need some words in them.');
+
+    const model = buildModel(tf, vocabulary.length, categories.length, hiddenUnits);
+    model.compile({ optimizer: tf.train.adam(DEFAULTS.learningRate), loss: 'categoricalCrossentropy', metrics: ['accuracy'] });
+    const classifier = new Classifier(tf, model, vocabulary, categories.map(c => c.name));
+
+    const xs = tf.tensor2d(texts.map(t => Array.from(classifier.vectorize(t))));
+    const ys = tf.oneHot(tf.tensor1d(labels, 'int32'), categories.length);
+    const start = performance.now();
+    let history;
+    try {
+      history = await model.fit(xs, ys, {
+        epochs,
+        batchSize: texts.length,
+        shuffle: true,
+        callbacks: {
+          onEpochEnd: (epoch, logs) => { if (onEpoch) onEpoch({ epoch: epoch + 1, loss: logs.loss, accuracy: logs.acc }); }
+        }
+      });
+    } finally {
+      xs.dispose();
+      ys.dispose();
+    }
+
+    const last = history.history;
+    return {
+      classifier,
+      stats: {
+        epochs,
+        loss: last.loss[last.loss.length - 1],
+        accuracy: last.acc[last.acc.length - 1],
+        examples: texts.length,
+        vocabularySize: vocabulary.length,
+        params: model.countParams(),
+        trainMs: Math.round(performance.now() - start)
+      }
+    };
+  }
+
+  /**
+   * Rebuild a shared classifier
+   * @param {Object} tf - The tfjs namespace
+   * @param {Object} saved - { vocabulary, categories: [{ name }], hiddenUnits, weightData: ArrayBuffer }
+   */
+  static load(tf, { vocabulary, categories, hiddenUnits, weightData }) {
+    const model = buildModel(tf, vocabulary.length, categories.length, hiddenUnits);
+    const values = new Float32Array(weightData);
+    if (model.countParams() !== values.length) {
+      model.dispose();
+      throw new Error('The weights do not fit this classifier.');
+    }
+    let offset = 0;
+    const weights = model.getWeights().map(w => {
+      const tensor = tf.tensor(values.subarray(offset, offset + w.size), w.shape);
+      offset += w.size;
+      return tensor;
+    });
+    model.setWeights(weights);
+    weights.forEach(w => w.dispose());
+    return new Classifier(tf, model, vocabulary, categories.map(c => c.name));
+  }
+
+  dispose() {
+    this.model.dispose();
+  }
+}
+
+Classifier.DEFAULTS = DEFAULTS;
+Classifier.LIMITS = LIMITS;
+Classifier.tokenize = tokenize;
+Classifier.buildVocabulary = buildVocabulary;
+
+// Export for both module and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Classifier;
+}
+if (typeof self !== 'undefined') {
+  self.Classifier = Classifier;
+}
+
+})();
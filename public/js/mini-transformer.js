@@ -0,0 +1,188 @@
+/**
+ * MiniLLM Transformer
+ * Forward pass of a tiny word-level decoder-only transformer in plain
+ * JavaScript, keeping every intermediate vector so chapters 6 and 7 can show
+ * real attention weights and real predictions. The architecture matches
+ * lib/transformer.js (pre-norm blocks, sinusoidal positions, causal
+ * multi-head attention); weights come from train-demo-transformer.js.
+ * @module MiniTransformer
+ */
+
+'use strict';
+
+(function() {
+
+// ===== Small vector/matrix helpers (matrices are arrays of rows) =====
+
+/**
+ * Multiply a vector by a [in][out] kernel and add a bias
+ * @param {number[]} x
+ * @param {number[][]} kernel
+ * @param {number[]} [bias]
+ * @returns {number[]}
+ */
+function dense(x, kernel, bias) {
+  const out = bias ? bias.slice() : new Array(kernel[0].length).fill(0);
+  for (let i = 0; i < x.length; i++) {
+    const row = kernel[i];
+    for (let j = 0; j < out.length; j++) out[j] += x[i] * row[j];
+  }
+  return out;
+}
+
+function add(a, b) {
+  return a.map((v, i) => v + b[i]);
+}
+
+function softmax(arr) {
+  const max = Math.max(...arr);
+  const exps = arr.map(x => Math.exp(x - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+  return exps.map(x => x / sum);
+}
+
+function layerNorm(x, { gamma, beta }, epsilon) {
+  const mean = x.reduce((a, b) => a + b, 0) / x.length;
+  const variance = x.reduce((a, b) => a + (b - mean) * (b - mean), 0) / x.length;
+  const scale = 1 / Math.sqrt(variance + epsilon);
+  return x.map((v, i) => (v - mean) * scale * gamma[i] + beta[i]);
+}
+
+/**
+ * Sinusoidal position signal ("Attention Is All You Need")
+ * @param {number} pos
+ * @param {number} dModel
+ * @returns {number[]}
+ */
+function positionalEncoding(pos, dModel) {
+  const pe = new Array(dModel);
+  for (let i = 0; i < dModel; i++) {
+    const angle = pos / Math.pow(10000, (2 * Math.floor(i / 2)) / dModel);
+    pe[i] = i % 2 === 0 ? Math.sin(angle) : Math.cos(angle);
+  }
+  return pe;
+}
+
+/**
+ * A trained transformer loaded from its weights file
+ */
+class MiniTransformer {
+  /**
+   * @param {Object} data - Parsed weights JSON
+   * @param {Object} data.config - { vocab, seqLen, dModel, numHeads, numLayers, ffUnits, epsilon }
+   */
+  constructor(data) {
+    this.config = data.config;
+    this.vocab = data.config.vocab;
+    this.tokenToId = new Map(this.vocab.map((w, i) => [w, i]));
+    this.embedding = data.embedding;
+    this.layers = data.layers;
+    this.finalNorm = data.finalNorm;
+    this.output = data.output;
+  }
+
+  static fromJSON(data) {
+    if (!data || !data.config || !Array.isArray(data.embedding) || !Array.isArray(data.layers)) {
+      throw new Error('Invalid transformer weights file');
+    }
+    return new MiniTransformer(data);
+  }
+
+  /**
+   * Split a sentence into the model's word tokens. Words outside the
+   * vocabulary become <unk>. Keeps the last seqLen tokens.
+   * @param {string} text
+   * @returns {{words: string[], ids: number[]}} words keep the user's spelling
+   */
+  tokenize(text) {
+    const words = (text.match(/[A-Za-z']+|[.,!?]/g) || []).slice(-this.config.seqLen);
+    const unk = this.tokenToId.get('<unk>');
+    return { words, ids: words.map(w => (this.tokenToId.has(w.toLowerCase()) ? this.tokenToId.get(w.toLowerCase()) : unk)) };
+  }
+
+  /**
+   * Run the model on a sequence of token ids, recording each stage.
+   * @param {number[]} ids - At most seqLen ids
+   * @returns {Object} trace: embeddings, inputs (embedding + position),
+   *   per-layer { attention[head][query][key], afterAttention, afterFeedForward },
+   *   final hidden states, and logits/probs for the token after the last one
+   */
+  forward(ids) {
+    const { dModel, numHeads, epsilon } = this.config;
+    const dh = dModel / numHeads;
+    const embeddings = ids.map(id => this.embedding[id].slice());
+    let x = embeddings.map((e, pos) => add(e, positionalEncoding(pos, dModel)));
+    const inputs = x.map(v => v.slice());
+    const layers = [];
+
+    for (const layer of this.layers) {
+      // Attention sub-block: x + W_o · concat(heads)(LayerNorm(x))
+      const normed = x.map(v => layerNorm(v, layer.norm1, epsilon));
+      const q = normed.map(v => dense(v, layer.attention.query.kernel, layer.attention.query.bias));
+      const k = normed.map(v => dense(v, layer.attention.key.kernel, layer.attention.key.bias));
+      const v = normed.map(v => dense(v, layer.attention.value.kernel, layer.attention.value.bias));
+
+      const attention = [];
+      const mixed = x.map(() => new Array(dModel).fill(0));
+      for (let h = 0; h < numHeads; h++) {
+        const lo = h * dh;
+        const weights = [];
+        for (let i = 0; i < ids.length; i++) {
+          // Causal: token i only sees tokens 0..i
+          const scores = [];
+          for (let j = 0; j <= i; j++) {
+            let dot = 0;
+            for (let c = lo; c < lo + dh; c++) dot += q[i][c] * k[j][c];
+            scores.push(dot / Math.sqrt(dh));
+          }
+          const row = softmax(scores);
+          for (let j = 0; j <= i; j++) {
+            for (let c = lo; c < lo + dh; c++) mixed[i][c] += row[j] * v[j][c];
+          }
+          while (row.length < ids.length) row.push(0);
+          weights.push(row);
+        }
+        attention.push(weights);
+      }
+      x = x.map((xi, i) => add(xi, dense(mixed[i], layer.attention.output.kernel, layer.attention.output.bias)));
+      const afterAttention = x.map(r => r.slice());
+
+      // Feed-forward sub-block: x + W2 · ReLU(W1 · LayerNorm(x))
+      x = x.map(xi => {
+        const hidden = dense(layerNorm(xi, layer.norm2, epsilon), layer.ff1.kernel, layer.ff1.bias).map(a => Math.max(0, a));
+        return add(xi, dense(hidden, layer.ff2.kernel, layer.ff2.bias));
+      });
+      layers.push({ attention, afterAttention, afterFeedForward: x.map(r => r.slice()) });
+    }
+
+    const final = x.map(v => layerNorm(v, this.finalNorm, epsilon));
+    const logits = ids.length ? dense(final[final.length - 1], this.output.kernel, this.output.bias) : [];
+    return { embeddings, inputs, layers, final, logits, probs: logits.length ? softmax(logits) : [] };
+  }
+
+  /**
+   * Most likely next tokens
+   * @param {number[]} probs - From forward()
+   * @param {number} [k=5]
+   * @returns {Array<{token: string, prob: number}>}
+   */
+  topK(probs, k = 5) {
+    return probs
+      .map((prob, i) => ({ token: this.vocab[i], prob }))
+      .filter(t => t.token !== '<unk>')
+      .sort((a, b) => b.prob - a.prob)
+      .slice(0, k);
+  }
+}
+
+const MiniTransformerModule = { MiniTransformer, positionalEncoding, layerNorm, softmax };
+
+// Export for both module and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MiniTransformerModule;
+}
+if (typeof window !== 'undefined') {
+  window.MiniTransformer = MiniTransformerModule;
+}
+
+})();
@@ -0,0 +1,255 @@
+/**
+ * MiniLLM Sampling
+ * Turns a model's next-token probabilities into a choice: temperature,
+ * top-k, nucleus (top-p), repetition/frequency/presence penalties, greedy
+ * decoding and a seeded random number generator for reproducible output.
+ * Shared by the server and the browser so both decode the same way.
+ * @module Sampling
+ */
+
+'use strict';
+
+(function() {
+
+const DEFAULTS = {
+  temperature: 0.7,
+  topK: 0,               // 0 = off
+  topP: 1,               // 1 = off
+  repetitionPenalty: 1,  // 1 = off; >1 discourages recently used tokens
+  frequencyPenalty: 0,   // subtracted from the logit once per recent use
+  presencePenalty: 0,    // subtracted from the logit once if recently used
+  greedy: false,         // always take the most likely token
+  seed: null             // null = Math.random
+};
+
+// Penalties only look at this many of the most recent tokens. Character
+// models reuse the same few letters constantly, so penalising the whole
+// output would eventually push every common letter down.
+const PENALTY_WINDOW = 64;
+
+function clamp(x, lo, hi) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+/**
+ * Hash a numeric or string seed to a 32-bit integer (FNV-1a for strings)
+ * @param {number|string} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a random number generator. With a seed it is deterministic
+ * (mulberry32); without one it is Math.random.
+ * @param {number|string|null} [seed]
+ * @returns {function(): number} Uniform floats in [0, 1)
+ */
+function createRng(seed) {
+  if (seed === undefined || seed === null || seed === '') return Math.random;
+  let a = hashSeed(seed);
+  return function() {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parse and clamp user-supplied options (e.g. a request body or query
+ * string, where numbers may arrive as strings).
+ * @param {Object} [raw]
+ * @param {Object} [defaults] - Overrides for DEFAULTS
+ * @returns {Object} Complete options object
+ */
+function normalizeOptions(raw = {}, defaults = {}) {
+  const d = Object.assign({}, DEFAULTS, defaults);
+  const num = (v, fallback) => {
+    const n = parseFloat(v);
+    return Number.isFinite(n) ? n : fallback;
+  };
+  const seed = raw.seed === undefined || raw.seed === null || raw.seed === '' ? d.seed : raw.seed;
+  return {
+    temperature: clamp(num(raw.temperature, d.temperature), 0.1, 2.0),
+    topK: Math.max(0, Math.floor(num(raw.topK, d.topK))),
+    topP: clamp(num(raw.topP, d.topP), 0.01, 1),
+    repetitionPenalty: clamp(num(raw.repetitionPenalty, d.repetitionPenalty), 1, 3),
+    frequencyPenalty: clamp(num(raw.frequencyPenalty, d.frequencyPenalty), 0, 2),
+    presencePenalty: clamp(num(raw.presencePenalty, d.presencePenalty), 0, 2),
+    greedy: raw.greedy === undefined ? d.greedy : raw.greedy === true || raw.greedy === 'true' || raw.greedy === '1',
+    seed: typeof seed === 'number' || seed === null ? seed : String(seed).slice(0, 64)
+  };
+}
+
+/**
+ * Reshape a probability distribution: penalties, then temperature, then
+ * top-k and top-p truncation.
+ * @param {ArrayLike<number>} probs - Model output over the vocabulary
+ * @param {Object} opts - Normalized options
+ * @param {Map} [counts] - token key -> recent use count (for penalties)
+ * @param {Array} [keys] - Token key for each index (defaults to the index)
+ * @returns {Float64Array} Distribution to sample from (sums to 1)
+ */
+function adjust(probs, opts, counts, keys) {
+  const n = probs.length;
+  const logits = new Float64Array(n);
+  for (let i = 0; i < n; i++) logits[i] = Math.log(Math.max(probs[i], 1e-10));
+
+  if (counts && counts.size) {
+    for (let i = 0; i < n; i++) {
+      const c = counts.get(keys ? keys[i] : i);
+      if (!c) continue;
+      // Log-probs are negative, so "more penalty" means multiply (CTRL-style)
+      logits[i] = logits[i] < 0 ? logits[i] * opts.repetitionPenalty : logits[i] / opts.repetitionPenalty;
+      logits[i] -= opts.frequencyPenalty * c + opts.presencePenalty;
+    }
+  }
+
+  let max = -Infinity;
+  for (let i = 0; i < n; i++) {
+    logits[i] /= opts.temperature;
+    if (logits[i] > max) max = logits[i];
+  }
+  const dist = new Float64Array(n);
+  let sum = 0;
+  for (let i = 0; i < n; i++) { dist[i] = Math.exp(logits[i] - max); sum += dist[i]; }
+  for (let i = 0; i < n; i++) dist[i] /= sum;
+
+  if ((opts.topK > 0 && opts.topK < n) || opts.topP < 1) {
+    const order = Array.from(dist.keys()).sort((a, b) => dist[b] - dist[a]);
+    let keep = opts.topK > 0 ? Math.min(opts.topK, n) : n;
+    if (opts.topP < 1) {
+      let cumul = 0;
+      for (let r = 0; r < keep; r++) {
+        cumul += dist[order[r]];
+        if (cumul >= opts.topP) { keep = r + 1; break; }
+      }
+    }
+    let kept = 0;
+    for (let r = keep; r < n; r++) dist[order[r]] = 0;
+    for (let r = 0; r < keep; r++) kept += dist[order[r]];
+    for (let i = 0; i < n; i++) dist[i] /= kept;
+  }
+  return dist;
+}
+
+/**
+ * Pick an index from a distribution
+ * @param {ArrayLike<number>} dist
+ * @param {function(): number} rng
+ * @param {boolean} [greedy]
+ * @returns {number}
+ */
+function pick(dist, rng, greedy) {
+  if (greedy) {
+    let best = 0;
+    for (let i = 1; i < dist.length; i++) if (dist[i] > dist[best]) best = i;
+    return best;
+  }
+  let r = rng();
+  let last = 0;
+  for (let i = 0; i < dist.length; i++) {
+    if (dist[i] <= 0) continue;
+    last = i;
+    r -= dist[i];
+    if (r <= 0) return i;
+  }
+  return last; // rounding error: fall back to the last possible token
+}
+
+/**
+ * Summarise one sampling step for display: the chosen token's probability
+ * and the top-n alternatives, each before (raw model output) and after
+ * penalties/temperature/truncation.
+ * @param {ArrayLike<number>} raw - Model output
+ * @param {ArrayLike<number>} dist - Distribution actually sampled from
+ * @param {number} chosen - Index that was picked
+ * @param {number} n - How many alternatives to list
+ * @param {function(number): string} label - Token text for an index
+ * @returns {{token: string, prob: number, rawProb: number, logprob: number, top: Array}}
+ */
+function describe(raw, dist, chosen, n, label) {
+  const order = Array.from(Array(raw.length).keys()).sort((a, b) => raw[b] - raw[a]);
+  return {
+    token: label(chosen),
+    prob: dist[chosen],
+    rawProb: raw[chosen],
+    logprob: Math.log(Math.max(dist[chosen], 1e-10)),
+    top: order.slice(0, n).map(i => ({ token: label(i), prob: dist[i], rawProb: raw[i] }))
+  };
+}
+
+/**
+ * Stateful sampler for one generation run. Keeps the RNG and the recent
+ * tokens the penalties look at.
+ */
+class Sampler {
+  /**
+   * @param {Object} [options] - Raw or normalized options
+   * @param {Object} [defaults] - Overrides for DEFAULTS
+   */
+  constructor(options, defaults) {
+    this.options = normalizeOptions(options, defaults);
+    this.rng = createRng(this.options.seed);
+    this.recent = [];
+    this.counts = new Map();
+  }
+
+  /**
+   * Choose the next token and remember it
+   * @param {ArrayLike<number>} probs - Model output
+   * @param {Array} [keys] - Token key per index, when indices are not stable
+   *   between steps (e.g. Markov chain successors)
+   * @returns {number} Chosen index into probs
+   */
+  sample(probs, keys) {
+    const dist = adjust(probs, this.options, this.counts, keys);
+    const idx = pick(dist, this.rng, this.options.greedy);
+    this.remember(keys ? keys[idx] : idx);
+    this.last = { raw: probs, dist, idx };
+    return idx;
+  }
+
+  /**
+   * Describe the most recent sample() call (see describe())
+   * @param {number} n - Alternatives to list
+   * @param {function(number): string} label - Token text for an index
+   */
+  describeLast(n, label) {
+    const { raw, dist, idx } = this.last;
+    return describe(raw, dist, idx, n, label);
+  }
+
+  remember(key) {
+    this.recent.push(key);
+    this.counts.set(key, (this.counts.get(key) || 0) + 1);
+    if (this.recent.length > PENALTY_WINDOW) {
+      const old = this.recent.shift();
+      const c = this.counts.get(old) - 1;
+      if (c) this.counts.set(old, c);
+      else this.counts.delete(old);
+    }
+  }
+}
+
+const Sampling = { DEFAULTS, createRng, normalizeOptions, adjust, pick, describe, Sampler };
+
+// Export for both module and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Sampling;
+}
+// `self` is the window on a page and the global scope in a Web Worker
+if (typeof self !== 'undefined') {
+  self.Sampling = Sampling;
+}
+
+})();
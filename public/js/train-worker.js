@@ -0,0 +1,217 @@
+/**
+ * Web Worker that trains a custom model in the visitor's browser, started by
+ * public/js/trainer.js when "Train in my browser" is ticked. The page stays
+ * responsive, and the server does none of the training. The model is
+ * CharDataset.CUSTOM_MODEL, the same LSTM the server's workers train, on
+ * the fastest tfjs backend that works here (WebGL, then WASM, then plain
+ * JS) and within a memory budget for the device.
+ *
+ *   in:  { type: 'train', text }
+ *   out: { type: 'status', backend, batchSize, memoryBudget, totalEpochs }
+ *        { type: 'status', skippedBackend, reason }  a backend that failed
+ *          before its first epoch; the next one is tried
+ *        { type: 'epoch', epoch, loss, elapsedMs, prompt, sample, memoryBytes }
+ *        { type: 'done', backend, stats, bundle }  bundle: the model as an
+ *          ArrayBuffer in lib/bundle.js's format, ready for POST /api/import
+ *        { type: 'error', message }
+ *
+ * To cancel, terminate the worker.
+ * @module TrainWorker
+ */
+'use strict';
+
+const TFJS_CDN = 'https://cdn.jsdelivr.net/npm/@tensorflow';
+const TFJS_VERSION = '4.22.0';
+importScripts(
+  `${TFJS_CDN}/tfjs@${TFJS_VERSION}/dist/tf.min.js`,
+  `${TFJS_CDN}/tfjs-backend-wasm@${TFJS_VERSION}/dist/tf-backend-wasm.min.js`,
+  '/js/sampling.js',
+  '/js/char-model.js',
+  '/js/char-dataset.js'
+);
+tf.wasm.setWasmPaths(`${TFJS_CDN}/tfjs-backend-wasm@${TFJS_VERSION}/dist/`);
+
+// Fastest first. A backend that will not start, or fails before its first
+// epoch (e.g. a kernel it lacks), is skipped.
+const BACKENDS = ['webgl', 'wasm', 'cpu'];
+const MIN_BATCH_SIZE = 8;
+const SAMPLE_LENGTH = 40;
+
+// ===== Memory budget =====
+// An eighth of the device's memory, where the browser reports it
+// (navigator.deviceMemory, in GB), between 64 and 512 MB
+function memoryBudget() {
+  const gb = self.navigator && navigator.deviceMemory ? navigator.deviceMemory : 1;
+  return Math.min(512, Math.max(64, gb * 128)) * 1024 * 1024;
+}
+
+// Rough peak bytes of one training step: weights, gradients and Adam's two
+// moments, plus the activations kept for backpropagation
+function estimateBytes(vocabSize, batchSize) {
+  const { seqLen, embedDim, units } = CharDataset.CUSTOM_MODEL;
+  const params = vocabSize * embedDim + 4 * units * (embedDim + units + 1) + (units + 1) * vocabSize;
+  const activations = batchSize * (seqLen * (embedDim + 6 * units) + 2 * vocabSize);
+  return 4 * (4 * params + activations);
+}
+
+// The default batch size, halved until a step fits the budget
+function fitBatchSize(vocabSize, budget) {
+  let batchSize = CharDataset.CUSTOM_MODEL.batchSize;
+  while (batchSize > MIN_BATCH_SIZE && estimateBytes(vocabSize, batchSize) > budget) batchSize /= 2;
+  if (estimateBytes(vocabSize, batchSize) > budget) {
+    throw new Error(`Your text has too many different characters (${vocabSize}) to train within this device's memory.`);
+  }
+  return batchSize;
+}
+
+// ===== Bundle =====
+// The same archive lib/bundle.js writes: ustar, gzipped, with a manifest.
+// Without CompressionStream it stays a plain tar, and without crypto.subtle
+// (pages served over plain http) the checksums are left out; the server
+// accepts both.
+const BLOCK = 512;
+
+function tarHeader(name, size, mtime) {
+  const header = new Uint8Array(BLOCK);
+  const field = (value, offset) => header.set(new TextEncoder().encode(value), offset);
+  const octal = (n, length) => n.toString(8).padStart(length - 1, '0') + '\0';
+  field(name, 0);
+  field(octal(0o644, 8), 100);
+  field(octal(0, 8), 108);
+  field(octal(0, 8), 116);
+  field(octal(size, 12), 124);
+  field(octal(mtime, 12), 136);
+  field('        ', 148); // checksum is computed with this field as spaces
+  field('0', 156);
+  field('ustar\0', 257);
+  field('00', 263);
+  field(octal(header.reduce((sum, b) => sum + b, 0), 7) + ' ', 148);
+  return header;
+}
+
+async function sha256(data) {
+  if (!(self.crypto && crypto.subtle)) return null;
+  const digest = await crypto.subtle.digest('SHA-256', typeof data === 'string' ? new TextEncoder().encode(data) : data);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function packBundle(manifest, files) {
+  const entries = Object.entries(files).map(([name, data]) => [name, typeof data === 'string' ? new TextEncoder().encode(data) : data]);
+  const checksums = await Promise.all(entries.map(async ([name, data]) => [name, { bytes: data.length, sha256: await sha256(data) }]));
+  const full = { format: 'minillm-bundle', version: 1, ...manifest, exportedAt: new Date().toISOString(), files: Object.fromEntries(checksums) };
+  entries.unshift(['manifest.json', new TextEncoder().encode(JSON.stringify(full, null, 2) + '\n')]);
+
+  const mtime = Math.floor(Date.now() / 1000);
+  const parts = [];
+  for (const [name, data] of entries) {
+    parts.push(tarHeader(name, data.length, mtime), data, new Uint8Array((BLOCK - (data.length % BLOCK)) % BLOCK));
+  }
+  parts.push(new Uint8Array(2 * BLOCK));
+  const archive = new Blob(parts);
+  if (typeof CompressionStream === 'undefined') return archive.arrayBuffer();
+  return new Response(archive.stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer();
+}
+
+// ===== Training =====
+
+async function useBackend(name) {
+  try {
+    if (!(await tf.setBackend(name))) return false;
+    await tf.ready();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function trainOn(backend, text, batchSize, budget, onEpoch) {
+  const { seqLen, epochs } = CharDataset.CUSTOM_MODEL;
+  const prompt = text.slice(0, seqLen);
+  postMessage({ type: 'status', backend, batchSize, memoryBudget: budget, totalEpochs: epochs });
+
+  let overBudget = false;
+  const trained = await CharDataset.trainCustomLSTM(tf, text, {
+    batchSize,
+    shouldStop: () => (overBudget = overBudget || tf.memory().numBytes > budget),
+    onEpoch: async (progress, model, vocab) => {
+      onEpoch();
+      const sample = await new CharModel(tf, model, vocab).generate(prompt, SAMPLE_LENGTH, { temperature: 0.7 });
+      postMessage({ type: 'epoch', ...progress, prompt, sample, memoryBytes: tf.memory().numBytes });
+    }
+  });
+  if (overBudget) {
+    throw new Error(`Training went over this device's memory budget (${Math.round(budget / 1024 / 1024)} MB).`);
+  }
+  return trained;
+}
+
+async function train(text) {
+  const budget = memoryBudget();
+  const batchSize = fitBatchSize(CharDataset.buildVocab(text).vocabSize, budget);
+
+  for (const backend of BACKENDS) {
+    if (!(await useBackend(backend))) continue;
+    let started = false;
+    let trained;
+    try {
+      trained = await trainOn(backend, text, batchSize, budget, () => { started = true; });
+    } catch (e) {
+      // The failed attempt's model and optimizer state were never handed
+      // back; no other model is alive in this worker, so free every variable
+      // before the next backend allocates its own
+      tf.disposeVariables();
+      if (started || e.status || backend === BACKENDS[BACKENDS.length - 1]) throw e;
+      postMessage({ type: 'status', skippedBackend: backend, reason: e.message });
+      continue;
+    }
+
+    const { model, vocab, stats } = trained;
+    let artifacts;
+    await model.save(tf.io.withSaveHandler(async a => {
+      artifacts = a;
+      return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    model.dispose();
+
+    const { seqLen, embedDim, units } = CharDataset.CUSTOM_MODEL;
+    const modelJson = {
+      modelTopology: artifacts.modelTopology,
+      format: 'layers-model',
+      generatedBy: 'MiniLLM',
+      weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }]
+    };
+    const bundle = await packBundle({
+      architecture: 'lstm',
+      name: 'Trained in the browser',
+      source: 'browser',
+      hyperparameters: { seqLen, vocabSize: vocab.vocabSize, input: 'index', units, embedDim },
+      params: stats.totalParams,
+      corpus: { sha256: await sha256(text), characters: text.length },
+      training: {
+        epochs: stats.epochs,
+        loss: stats.finalLoss,
+        windows: stats.samples,
+        wallMs: stats.trainTimeMs,
+        batchSize,
+        backend,
+        history: stats.losses.map((loss, i) => ({ epoch: i + 1, loss }))
+      }
+    }, {
+      'model.json': JSON.stringify(modelJson),
+      'weights.bin': new Uint8Array(artifacts.weightData),
+      'vocab.json': JSON.stringify(vocab)
+    });
+    postMessage({ type: 'done', backend, stats, bundle }, [bundle]);
+    return;
+  }
+  throw new Error('No tfjs backend works in this browser.');
+}
+
+self.onmessage = async (e) => {
+  if (e.data.type !== 'train') return;
+  try {
+    await train(e.data.text);
+  } catch (err) {
+    postMessage({ type: 'error', message: err.message });
+  }
+};
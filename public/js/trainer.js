@@ -45,34 +45,86 @@
     });
   });
 
-  let activePreset = 'shakespeare';
+  let activePreset = null;
+  let registry = { presets: [], models: [] }; // from /api/models
   let isGenerating = false;
   let modelReady = false;
   let isCustomTrained = false;
   let customModelToken = null;
+  let activeStream = null; // AbortController for the in-flight generation stream
+  let lastSessionId = null;
+
+  // ===== Model registry =====
+  const presetInfo = name => registry.presets.find(p => p.name === name);
+  const lstmInfo = name => registry.models.find(m => m.name === name && m.architecture === 'lstm');
+  const presetLabel = p => (p.icon ? `${p.icon} ${p.displayName}` : p.displayName);
+  const defaultPrompt = () => (presetInfo(activePreset) || {}).defaultPrompt || 'The ';
+
+  // Preset buttons and Markov options are built from the registry, ahead of
+  // the "your own text" entries already in the page
+  async function loadRegistry() {
+    try {
+      const resp = await fetch('/api/models');
+      if (!resp.ok) return;
+      registry = await resp.json();
+    } catch (e) { console.error(e); return; }
+
+    const grid = document.querySelector('.preset-grid');
+    const customBtn = grid && grid.querySelector('[data-preset="custom"]');
+    const markovCustomOption = markovPreset && markovPreset.querySelector('option[value="custom"]');
+    registry.presets.forEach((p, i) => {
+      if (grid) {
+        const btn = document.createElement('button');
+        btn.className = 'preset-btn' + (i === 0 && !activePreset ? ' active' : '');
+        btn.dataset.preset = p.name;
+        btn.textContent = presetLabel(p);
+        grid.insertBefore(btn, customBtn);
+        bindPresetButton(btn);
+      }
+      if (markovPreset && p.markov) {
+        const option = document.createElement('option');
+        option.value = p.name;
+        option.textContent = presetLabel(p);
+        markovPreset.insertBefore(option, markovCustomOption);
+      }
+    });
+    if (markovPreset && markovPreset.value === 'custom' && markovPreset.options.length > 1) {
+      markovPreset.selectedIndex = 0;
+    }
+    if (!activePreset && registry.presets.length) {
+      activePreset = registry.presets[0].name;
+      loadPreview(activePreset);
+    }
+  }
 
   // ===== Preset buttons =====
-  document.querySelectorAll('.preset-btn').forEach(btn => {
+  function bindPresetButton(btn) {
     btn.addEventListener('click', () => {
       document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
       activePreset = btn.dataset.preset;
 
-      const customArea = document.getElementById('custom-text');
-      if (activePreset === 'custom') {
-        if (customArea) customArea.style.display = 'block';
-      } else {
-        if (customArea) customArea.style.display = 'none';
-        loadPreview(activePreset);
-      }
+      const custom = activePreset === 'custom';
+      ['custom-text', 'score-area', 'bundle-import'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = custom ? 'block' : 'none';
+      });
+      const browserOption = document.getElementById('browser-train-option');
+      if (browserOption) browserOption.style.display = custom && canTrainInBrowser ? 'flex' : 'none';
+      if (!custom) loadPreview(activePreset);
 
       // Reset model state when switching presets
       resetModel();
     });
-  });
+  }
+  document.querySelectorAll('.preset-btn').forEach(bindPresetButton);
 
   function resetModel() {
     modelReady = false;
+    cancelActiveJob();
+    if (activeStream) { activeStream.abort(); activeStream = null; }
+    isGenerating = false;
+    lastSessionId = null;
     const trainBtn = document.getElementById('train-btn');
     if (trainBtn) {
       trainBtn.disabled = false;
@@ -91,23 +143,189 @@
     const shareLink = document.getElementById('share-link');
     if (shareLink) shareLink.style.display = 'none';
     const shareBtn = document.getElementById('share-btn');
-    if (shareBtn) { shareBtn.disabled = false; shareBtn.textContent = '📤 Share'; }
+    if (shareBtn) { shareBtn.disabled = false; shareBtn.textContent = '📤 Share Model'; }
+    const shareOutputBtn = document.getElementById('share-output-btn');
+    if (shareOutputBtn) { shareOutputBtn.disabled = false; shareOutputBtn.textContent = '📝 Share Output'; }
     const again = document.getElementById('gen-again-btn');
     if (again) again.style.display = 'none';
   }
 
+  // ===== Custom training job progress =====
+  let activeJob = null; // { cancel, resolve } while custom training is being watched
+
+  function cancelActiveJob() {
+    if (!activeJob) return;
+    const job = activeJob;
+    activeJob = null;
+    job.cancel();
+    job.resolve(null);
+  }
+
+  function renderJobProgress(snapshot) {
+    const dashboard = document.getElementById('training-dashboard');
+    if (!dashboard) return;
+    if (!dashboard.querySelector('.train-stats')) {
+      dashboard.style.display = 'block';
+      dashboard.innerHTML = `
+        <div class="train-stats"></div>
+        <div class="progress-bar"><div class="progress-fill"></div></div>
+        <canvas id="loss-chart" width="600" height="180"></canvas>
+        <div class="sample-output" style="margin-top:1rem;">
+          <div class="sample-label">Sample after each epoch</div>
+          <div class="sample-text"></div>
+        </div>
+        <div class="gen-controls"><button class="gen-again-btn train-cancel-btn">✖ Cancel training</button></div>`;
+      dashboard.querySelector('.train-cancel-btn').addEventListener('click', () => {
+        cancelActiveJob();
+        resetModel();
+      });
+    }
+
+    const epochs = snapshot.epochs;
+    const last = epochs[epochs.length - 1];
+    const total = snapshot.totalEpochs || 10;
+    // Browser backends that failed before their first epoch
+    const skipped = snapshot.skipped || [];
+    const trainBtn = document.getElementById('train-btn');
+    if (snapshot.status === 'queued' && trainBtn) {
+      trainBtn.textContent = `⏳ Waiting for a free trainer (#${snapshot.position} in line)...`;
+    } else if (snapshot.status === 'running' && trainBtn) {
+      trainBtn.textContent = `🧠 Training your model — epoch ${epochs.length}/${total}`;
+    } else if (snapshot.status === 'uploading' && trainBtn) {
+      trainBtn.textContent = '📦 Handing your model to the server...';
+    }
+
+    dashboard.querySelector('.train-stats').innerHTML = `
+      <div class="stat-item"><div class="stat-value">${epochs.length}/${total}</div><div class="stat-label">Epoch</div></div>
+      <div class="stat-item"><div class="stat-value">${last ? last.loss.toFixed(3) : '—'}</div><div class="stat-label">Loss</div></div>
+      <div class="stat-item"><div class="stat-value">${last ? (last.elapsedMs / 1000).toFixed(1) + 's' : '—'}</div><div class="stat-label">Elapsed</div></div>
+      <div class="stat-item"><div class="stat-value">${snapshot.status}</div><div class="stat-label">Status</div></div>
+      ${snapshot.backend ? `<div class="stat-item"><div class="stat-value">${snapshot.backend}</div><div class="stat-label">Backend</div></div>` : ''}
+      ${skipped.length ? `<div class="stat-item" title="${escapeHtml(skipped.map(s => `${s.backend}: ${s.reason}`).join('\n')).replace(/"/g, '&quot;')}"><div class="stat-value">${skipped.map(s => s.backend).join(', ')}</div><div class="stat-label">Skipped</div></div>` : ''}`;
+    dashboard.querySelector('.progress-fill').style.width = `${(epochs.length / total) * 100}%`;
+
+    const chart = dashboard.querySelector('#loss-chart');
+    if (chart && window.Viz && epochs.length) {
+      Viz.drawLossChart(chart.getContext('2d'), epochs.map(e => e.loss), chart.width, chart.height);
+    }
+    const sampleEl = dashboard.querySelector('.sample-text');
+    if (sampleEl) {
+      sampleEl.innerHTML = epochs.map(e =>
+        `<div><strong>Epoch ${e.epoch}:</strong> <span class="seed-text">${escapeHtml(e.prompt)}</span><span class="gen-text">${escapeHtml(e.sample)}</span></div>`
+      ).join('');
+    }
+  }
+
+  // Follows a job's event stream, redrawing the dashboard as epochs finish.
+  // Resolves with the job result, or null if the job was cancelled.
+  function watchTrainingJob(jobId) {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`/api/train-jobs/${jobId}/events`);
+      activeJob = {
+        cancel: () => {
+          source.close();
+          fetch(`/api/train-jobs/${jobId}`, { method: 'DELETE' }).catch(() => {});
+        },
+        resolve
+      };
+      let snapshot = null;
+
+      source.addEventListener('status', (e) => {
+        snapshot = JSON.parse(e.data);
+        renderJobProgress(snapshot);
+        if (['completed', 'failed', 'cancelled'].includes(snapshot.status)) {
+          source.close();
+          activeJob = null;
+          if (snapshot.status === 'completed') resolve(snapshot.result);
+          else if (snapshot.status === 'failed') reject(new Error(snapshot.error));
+          else resolve(null);
+        }
+      });
+      source.addEventListener('epoch', (e) => {
+        if (!snapshot) return;
+        snapshot.epochs.push(JSON.parse(e.data));
+        renderJobProgress(snapshot);
+      });
+    });
+  }
+
+  // ===== Training in the browser =====
+  // public/js/train-worker.js trains the same model as the server, in a Web
+  // Worker so the page never stalls. The result is uploaded as a bundle
+  // (POST /api/import?source=browser, which has its own rate limit and no
+  // server-side test run) to get a modelToken, so generating, sharing and
+  // downloading work as for a model the server trained.
+  const canTrainInBrowser = typeof Worker !== 'undefined' && typeof WebAssembly !== 'undefined';
+  const browserTrainBox = document.getElementById('browser-train');
+  // Ticked by default on devices that look up to it
+  if (browserTrainBox) {
+    browserTrainBox.checked = canTrainInBrowser
+      && (navigator.hardwareConcurrency || 0) >= 4 && (navigator.deviceMemory || 4) >= 4;
+  }
+
+  // Resolves like watchTrainingJob: the server's training result plus the
+  // modelToken, or null if cancelled
+  function trainInBrowser(text) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker('/js/train-worker.js');
+      activeJob = { cancel: () => worker.terminate(), resolve };
+      const snapshot = { status: 'running', epochs: [], totalEpochs: null, backend: null, skipped: [] };
+      renderJobProgress(snapshot);
+
+      const fail = (err) => {
+        worker.terminate();
+        activeJob = null;
+        reject(err);
+      };
+      worker.onerror = (e) => fail(new Error(e.message || 'The training worker failed to start.'));
+      worker.onmessage = async (e) => {
+        const msg = e.data;
+        if (msg.type === 'status' && msg.skippedBackend) {
+          snapshot.skipped.push({ backend: msg.skippedBackend, reason: msg.reason });
+        } else if (msg.type === 'status') {
+          Object.assign(snapshot, { backend: msg.backend, totalEpochs: msg.totalEpochs, epochs: [] });
+        } else if (msg.type === 'epoch') {
+          snapshot.epochs.push(msg);
+        } else if (msg.type === 'error') {
+          return fail(new Error(msg.message));
+        } else if (msg.type === 'done') {
+          worker.terminate();
+          snapshot.status = 'uploading';
+          renderJobProgress(snapshot);
+          try {
+            const resp = await fetch('/api/import?source=browser', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/gzip' },
+              body: msg.bundle
+            });
+            const data = await resp.json().catch(() => ({}));
+            if (!activeJob) return; // cancelled while uploading
+            activeJob = null;
+            if (!resp.ok) throw new Error(errorMessage(data, 'Upload failed.'));
+            resolve({ ...msg.stats, backend: msg.backend, modelToken: data.modelToken });
+          } catch (err) {
+            activeJob = null;
+            reject(err);
+          }
+          return;
+        }
+        renderJobProgress(snapshot);
+      };
+      worker.postMessage({ type: 'train', text });
+    });
+  }
+
   async function loadPreview(name) {
-    const presets = { shakespeare: '/data/shakespeare.txt', recipes: '/data/recipes.txt', python: '/data/python.txt' };
-    if (!presets[name]) return;
+    const preset = presetInfo(name);
+    if (!preset || !preset.corpusUrl) return;
     try {
-      const resp = await fetch(presets[name]);
+      const resp = await fetch(preset.corpusUrl);
       const text = await resp.text();
       const el = document.getElementById('preview-text');
       if (el) el.textContent = text.slice(0, 300) + (text.length > 300 ? '...' : '');
     } catch (e) { console.error(e); }
   }
 
-  loadPreview('shakespeare');
 
   // Temperature slider
   const tempSlider = document.getElementById('temperature');
@@ -118,10 +336,139 @@
     });
   }
 
+  // Other sampling controls
+  const topKInput = document.getElementById('top-k');
+  const topPSlider = document.getElementById('top-p');
+  const repSlider = document.getElementById('rep-penalty');
+  const seedInput = document.getElementById('sampling-seed');
+  [[topPSlider, 'top-p-val', 2], [repSlider, 'rep-penalty-val', 1]].forEach(([slider, labelId, digits]) => {
+    const label = document.getElementById(labelId);
+    if (slider) slider.addEventListener('input', () => {
+      if (label) label.textContent = parseFloat(slider.value).toFixed(digits);
+    });
+  });
+
+  function samplingParams() {
+    const params = { temperature: tempSlider ? parseFloat(tempSlider.value) : 0.7 };
+    if (topKInput && parseInt(topKInput.value) > 0) params.topK = parseInt(topKInput.value);
+    if (topPSlider && parseFloat(topPSlider.value) < 1) params.topP = parseFloat(topPSlider.value);
+    if (repSlider && parseFloat(repSlider.value) > 1) params.repetitionPenalty = parseFloat(repSlider.value);
+    if (seedInput && seedInput.value.trim()) params.seed = seedInput.value.trim();
+    return params;
+  }
+
+  // Message from an API error response ({ error: { code, message, details } })
+  function errorMessage(data, fallback) {
+    return (data && data.error && data.error.message) || fallback;
+  }
+
   function escapeHtml(s) {
     return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
   }
 
+  // Make whitespace characters visible when shown on their own
+  function visibleChar(ch) {
+    return ch === ' ' ? '·' : ch === '\n' ? '↵' : ch === '\r' ? '' : ch;
+  }
+
+  // ===== Score custom text against each preset =====
+  // Lower bits per character = the model finds the text more predictable.
+  // Perplexity ratios turn that into "N× more like X than Y".
+  const scoreBtn = document.getElementById('score-btn');
+  if (scoreBtn) {
+    scoreBtn.addEventListener('click', async () => {
+      const customArea = document.getElementById('custom-text');
+      const resultEl = document.getElementById('score-result');
+      const text = customArea ? customArea.value.trim().slice(0, 10000) : '';
+      if (text.length < 20) { alert('Paste some text to score first.'); return; }
+
+      scoreBtn.disabled = true;
+      scoreBtn.textContent = '📊 Scoring...';
+      const evaluate = async (body) => {
+        const resp = await fetch('/api/evaluate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text, ...body })
+        });
+        return resp.ok ? resp.json() : null;
+      };
+      try {
+        const scores = await Promise.all(registry.presets.map(async p => ({
+          preset: p.name,
+          label: presetLabel(p),
+          markov: await evaluate({ type: 'markov', preset: p.name }),
+          lstm: await evaluate({ type: 'lstm', preset: p.name })
+        })));
+        const useLstm = scores.every(s => s.lstm);
+        const ppl = s => (useLstm ? s.lstm : s.markov).perplexity;
+        const ranked = scores.filter(s => s.markov).sort((a, b) => ppl(a) - ppl(b));
+        if (!ranked.length) throw new Error('no scores');
+
+        const bpc = r => r ? r.bitsPerChar.toFixed(2) : '—';
+        const best = ranked[0];
+        const others = ranked.slice(1).map(s => `${(ppl(s) / ppl(best)).toFixed(1)}× more like ${best.label} than ${s.label}`);
+        resultEl.innerHTML = `
+          <p style="margin-bottom:0.4rem;">Your text reads <strong>${others.join('</strong> and <strong>')}</strong> (according to the ${useLstm ? 'neural network' : 'Markov chain'}).</p>
+          <table style="width:100%; border-collapse:collapse; text-align:left;">
+            <tr style="color:var(--text-dim);"><th>Preset</th><th>Markov bits/char</th><th>LSTM bits/char</th></tr>
+            ${ranked.map(s => `<tr><td>${escapeHtml(s.label)}</td><td>${bpc(s.markov)}</td><td>${bpc(s.lstm)}</td></tr>`).join('')}
+          </table>`;
+      } catch (e) {
+        resultEl.textContent = 'Scoring failed. Try again in a minute.';
+      }
+      scoreBtn.disabled = false;
+      scoreBtn.textContent = '📊 Which preset does my text sound like?';
+    });
+  }
+
+  // A trained custom model's stats, a sample and step 4, whichever side trained it
+  async function showCustomModel(data, customText) {
+    const dashboard = document.getElementById('training-dashboard');
+    if (dashboard) {
+      dashboard.querySelector('.train-stats').innerHTML = `
+          <div class="stat-item"><div class="stat-value">LSTM</div><div class="stat-label">Architecture</div></div>
+          <div class="stat-item"><div class="stat-value">${data.totalParams.toLocaleString()}</div><div class="stat-label">Parameters</div></div>
+          <div class="stat-item"><div class="stat-value">${data.epochs}</div><div class="stat-label">Epochs</div></div>
+          <div class="stat-item"><div class="stat-value">${data.finalLoss.toFixed(3)}</div><div class="stat-label">Final Loss</div></div>
+          <div class="stat-item"><div class="stat-value">${(data.trainTimeMs/1000).toFixed(1)}s</div><div class="stat-label">Train Time</div></div>
+          <div class="stat-item"><div class="stat-value">${data.vocabSize}</div><div class="stat-label">Vocab Size</div></div>
+          ${data.backend ? `<div class="stat-item"><div class="stat-value">${data.backend}</div><div class="stat-label">Trained on</div></div>` : ''}`;
+      const cancelBtn = dashboard.querySelector('.train-cancel-btn');
+      if (cancelBtn) cancelBtn.remove();
+    }
+
+    // Generate sample
+    const genResp = await fetch('/api/generate-custom', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompt: customText.slice(0, 20), temperature: 0.7, length: 60, modelToken: data.modelToken })
+    });
+    const genData = await genResp.json();
+    const sample = document.getElementById('sample-text');
+    if (sample && genData.text) {
+      sample.style.display = 'block';
+      sample.innerHTML = `<div class="gen-output"><span class="seed-text">${escapeHtml(customText.slice(0,20))}</span><span class="gen-text">${escapeHtml(genData.text)}</span></div>`;
+    }
+
+    // Show commentary
+    const commentary = document.getElementById('output-commentary');
+    if (commentary) {
+      commentary.style.display = 'block';
+      const who = data.backend ? `Your browser just trained (on ${data.backend === 'cpu' ? 'the CPU' : data.backend.toUpperCase()})` : 'We just trained';
+      commentary.innerHTML = `<strong>What happened:</strong> ${who} a real LSTM neural network with ${data.totalParams.toLocaleString()} parameters on your text. Loss dropped to ${data.finalLoss.toFixed(3)} after ${data.epochs} epochs. The output is rough — with only ${data.samples} training samples and ${data.totalParams.toLocaleString()} parameters, this model is trying to learn language from almost nothing. GPT-4 has 36 <em>billion</em> times more parameters and trained on trillions of words.`;
+    }
+
+    // Show generate step
+    isCustomTrained = true;
+    modelReady = true;
+    customModelToken = data.modelToken;
+    const step4 = document.getElementById('train-step-4');
+    if (step4) step4.style.display = 'block';
+    const trainBtn = document.getElementById('train-btn');
+    trainBtn.textContent = '✅ Trained! Try generating below';
+    trainBtn.disabled = true;
+  }
+
   // ===== Train button (loads pre-trained LSTM from server) =====
   const trainBtn = document.getElementById('train-btn');
   if (trainBtn) {
@@ -134,62 +481,27 @@
           return;
         }
         trainBtn.disabled = true;
-        trainBtn.textContent = '🔒 Verifying...';
         try {
-          const tsToken = await getTurnstileToken();
-          if (!tsToken) { alert('Please complete the verification above first.'); resetModel(); return; }
-          trainBtn.textContent = '🧠 Training your model (~15-30s)...';
-          const resp = await fetch('/api/train-custom', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ text: customText, turnstileToken: tsToken })
-          });
-          const data = await resp.json();
-          if (!resp.ok) { alert(data.error || 'Training failed'); resetModel(); return; }
-
-          // Show dashboard
-          const dashboard = document.getElementById('training-dashboard');
-          if (dashboard) {
-            dashboard.style.display = 'block';
-            dashboard.innerHTML = `
-              <div class="train-stats">
-                <div class="stat-item"><div class="stat-value">LSTM</div><div class="stat-label">Architecture</div></div>
-                <div class="stat-item"><div class="stat-value">${data.totalParams.toLocaleString()}</div><div class="stat-label">Parameters</div></div>
-                <div class="stat-item"><div class="stat-value">${data.epochs}</div><div class="stat-label">Epochs</div></div>
-                <div class="stat-item"><div class="stat-value">${data.finalLoss.toFixed(3)}</div><div class="stat-label">Final Loss</div></div>
-                <div class="stat-item"><div class="stat-value">${(data.trainTimeMs/1000).toFixed(1)}s</div><div class="stat-label">Train Time</div></div>
-                <div class="stat-item"><div class="stat-value">${data.vocabSize}</div><div class="stat-label">Vocab Size</div></div>
-              </div>`;
-          }
-
-          // Generate sample
-          const genResp = await fetch('/api/generate-custom', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ prompt: customText.slice(0, 20), temperature: 0.7, length: 60, modelToken: data.modelToken })
-          });
-          const genData = await genResp.json();
-          const sample = document.getElementById('sample-text');
-          if (sample && genData.text) {
-            sample.style.display = 'block';
-            sample.innerHTML = `<div class="gen-output"><span class="seed-text">${escapeHtml(customText.slice(0,20))}</span><span class="gen-text">${escapeHtml(genData.text)}</span></div>`;
-          }
-
-          // Show commentary
-          const commentary = document.getElementById('output-commentary');
-          if (commentary) {
-            commentary.style.display = 'block';
-            commentary.innerHTML = `<strong>What happened:</strong> We just trained a real LSTM neural network with ${data.totalParams.toLocaleString()} parameters on your text. Loss dropped to ${data.finalLoss.toFixed(3)} after ${data.epochs} epochs. The output is rough — with only ${data.samples} training samples and ${data.totalParams.toLocaleString()} parameters, this model is trying to learn language from almost nothing. GPT-4 has 36 <em>billion</em> times more parameters and trained on trillions of words.`;
+          let data;
+          if (canTrainInBrowser && browserTrainBox && browserTrainBox.checked) {
+            trainBtn.textContent = '🧠 Starting training in your browser...';
+            data = await trainInBrowser(customText);
+          } else {
+            trainBtn.textContent = '🔒 Verifying...';
+            const tsToken = await getTurnstileToken();
+            if (!tsToken) { alert('Please complete the verification above first.'); resetModel(); return; }
+            trainBtn.textContent = '🧠 Queuing training job...';
+            const resp = await fetch('/api/train-jobs', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ text: customText, turnstileToken: tsToken })
+            });
+            const job = await resp.json();
+            if (!resp.ok) { alert(errorMessage(job, 'Training failed.')); resetModel(); return; }
+            data = await watchTrainingJob(job.jobId);
           }
-
-          // Show generate step
-          isCustomTrained = true;
-          modelReady = true;
-          customModelToken = data.modelToken;
-          const step4 = document.getElementById('train-step-4');
-          if (step4) step4.style.display = 'block';
-          trainBtn.textContent = '✅ Trained! Try generating below';
-          trainBtn.disabled = true;
+          if (!data) return; // cancelled
+          await showCustomModel(data, customText);
         } catch(e) {
           alert('Training failed: ' + e.message);
           resetModel();
@@ -205,10 +517,11 @@
         if (!tsToken) { alert('Please complete the verification above first.'); resetModel(); return; }
         trainBtn.textContent = '🧠 Loading neural network...';
 
-        const infoResp = await fetch('/api/model-info');
-        const info = await infoResp.json();
+        const infoResp = await fetch('/api/models');
+        registry = await infoResp.json();
+        const info = lstmInfo(activePreset);
 
-        if (!info.models.includes(activePreset)) {
+        if (!info || !info.loaded) {
           trainBtn.textContent = '❌ Model not available';
           setTimeout(resetModel, 2000);
           return;
@@ -219,7 +532,7 @@
         const testResp = await fetch('/api/generate', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ prompt: activePreset === 'python' ? 'def ' : 'The ', preset: activePreset, temperature: 0.7, length: 60 })
+          body: JSON.stringify({ prompt: defaultPrompt(), preset: activePreset, temperature: 0.7, length: 60 })
         });
         const testData = await testResp.json();
         const elapsed = (performance.now() - t0).toFixed(0);
@@ -235,11 +548,11 @@
                 <div class="stat-label">Architecture</div>
               </div>
               <div class="stat-item">
-                <div class="stat-value">35,900</div>
+                <div class="stat-value">${info.params.toLocaleString()}</div>
                 <div class="stat-label">Parameters</div>
               </div>
               <div class="stat-item">
-                <div class="stat-value">64</div>
+                <div class="stat-value">${info.units}</div>
                 <div class="stat-label">Hidden units</div>
               </div>
               <div class="stat-item">
@@ -248,12 +561,12 @@
               </div>
             </div>
             <div class="train-explanation">
-              <p>This is a <strong>real neural network</strong> — an LSTM (Long Short-Term Memory) with 35,900 trained parameters. 
+              <p>This is a <strong>real neural network</strong> — an LSTM (Long Short-Term Memory) with ${info.params.toLocaleString()} trained parameters. 
               It learned to predict the next character by reading through training text thousands of times, adjusting its weights each pass. 
               ChatGPT works on the exact same principle: <em>given some text, predict what comes next.</em> 
-              The difference is scale — GPT-4 has <strong>1.8 trillion</strong> parameters (50 million times more than this model).</p>
+              The difference is scale — GPT-4 has <strong>1.8 trillion</strong> parameters (${Math.round(1.8e12 / info.params / 1e6)} million times more than this model).</p>
               <p style="margin-top:0.7rem; font-size:0.85rem;">
-              <strong>Compute comparison:</strong> This tiny LSTM trained in about 2 minutes on a single CPU core and uses ~140KB of memory. 
+              <strong>Compute comparison:</strong> This tiny LSTM trained in about 2 minutes on a single CPU core and uses ~${Math.round(info.params * 4 / 1024)}KB of memory. 
               GPT-4 reportedly took <strong>$100+ million</strong> of compute to train across thousands of GPUs running for months.
               The same fundamental math — just at a completely different scale.</p>
             </div>
@@ -263,7 +576,7 @@
         // Show sample with commentary
         const sampleEl = document.getElementById('sample-text');
         if (sampleEl && testData.text) {
-          const seedText = activePreset === 'python' ? 'def ' : 'The ';
+          const seedText = defaultPrompt();
           sampleEl.style.display = 'block';
           sampleEl.innerHTML = `<strong>Sample output:</strong><br><span class="seed-text">${escapeHtml(seedText)}</span><span class="gen-text">${escapeHtml(testData.text)}</span>`;
         }
@@ -275,10 +588,10 @@
           const presetCommentary = {
             shakespeare: `Notice how the output <em>almost</em> sounds like Shakespeare — it picked up patterns like rhyming couplets, 
               "thee" and "thy," and iambic-ish rhythm. But look closer: many "words" are gibberish ("thith," "fant," "shoml"). 
-              The network learned that certain letter combinations are common in Shakespeare, but with only 35,900 parameters and 15KB of training text, 
+              The network learned that certain letter combinations are common in Shakespeare, but with only ${info.params.toLocaleString()} parameters and 15KB of training text, 
               it can't learn actual English vocabulary or grammar. <strong>GPT-4 doesn't have this problem</strong> — trained on 13 trillion tokens 
               (roughly 50 million books), it has enough capacity to learn every word, every grammatical rule, and even subtle things like sarcasm and humor.
-              That's the magic of scale: the same "predict the next character" algorithm, but with 50 million times more parameters and billions of times more data.`,
+              That's the magic of scale: the same "predict the next character" algorithm, but with ${Math.round(1.8e12 / info.params / 1e6)} million times more parameters and billions of times more data.`,
             recipes: `The output looks recipe-ish — you might spot fragments like "Cook for," "minutes," "the tomato." 
               But the instructions don't make sense: quantities are wrong, steps are garbled, ingredients appear randomly. 
               Our network has just enough capacity to learn that recipe text contains words like "cup," "heat," and "minutes" — 
@@ -287,7 +600,7 @@
               the structure: ingredients list → prep steps → cooking steps → serving suggestion. Same algorithm, vastly different capability.`,
             python: `You might see fragments that look code-like: "def," parentheses, indentation patterns. 
               But the "code" is nonsensical — variable names are random characters, function bodies don't compute anything meaningful. 
-              With only 2,600 characters of training data and 35,900 parameters, the model learned Python's <em>syntax patterns</em> 
+              With only 2,600 characters of training data and ${info.params.toLocaleString()} parameters, the model learned Python's <em>syntax patterns</em> 
               (indentation, colons, parentheses) but has zero understanding of what code <em>does</em>. 
               <strong>GPT-4 can write working programs</strong> because it trained on billions of lines of real code and learned 
               not just syntax, but logic, algorithms, and debugging strategies. The gap between our toy model and GPT is like 
@@ -315,6 +628,128 @@
   const genInput = document.getElementById('gen-prompt');
   const genOutput = document.getElementById('gen-output');
 
+  // Each generated character gets its own span carrying the distribution it
+  // was sampled from, so hovering it can show why it was chosen
+  function appendGenerated(genSpan, ch, step) {
+    const span = document.createElement('span');
+    span.textContent = ch;
+    if (step) {
+      span.className = 'gen-char';
+      span._step = step;
+    }
+    genSpan.appendChild(span);
+  }
+
+  function renderDistribution(step) {
+    const panel = document.getElementById('gen-dist');
+    if (!panel) return;
+    const pct = p => (p * 100).toFixed(p < 0.1 ? 1 : 0) + '%';
+    panel.style.display = 'block';
+    panel.innerHTML = `
+      <div class="dist-title">Picked <code>${escapeHtml(visibleChar(step.token))}</code>: the model gave it ${pct(step.rawProb)}, after temperature and filtering it had ${pct(step.prob)}</div>
+      ${step.top.map(t => `
+        <div class="dist-row${t.token === step.token ? ' chosen' : ''}">
+          <code class="dist-char">${escapeHtml(visibleChar(t.token))}</code>
+          <div class="dist-bars">
+            <div class="dist-bar raw" style="width:${t.rawProb * 100}%"></div>
+            <div class="dist-bar adjusted" style="width:${t.prob * 100}%"></div>
+          </div>
+          <span class="dist-pct">${pct(t.rawProb)} → ${pct(t.prob)}</span>
+        </div>`).join('')}
+      <div class="dist-legend"><span class="dist-swatch raw"></span>model output <span class="dist-swatch adjusted"></span>after temperature, top-k/top-p and penalties</div>`;
+  }
+
+  if (genOutput) {
+    genOutput.addEventListener('mouseover', (e) => {
+      const el = e.target.closest('.gen-char');
+      if (el && el._step) renderDistribution(el._step);
+    });
+  }
+
+  function generationRequest(fields) {
+    const params = { ...samplingParams(), logprobs: 5 };
+    if (activePreset === 'custom' && isCustomTrained) {
+      return { endpoint: '/api/generate-custom', body: { ...fields, ...params, length: 60, modelToken: customModelToken } };
+    }
+    return { endpoint: '/api/generate', body: { ...fields, ...params, preset: activePreset, length: 60 } };
+  }
+
+  // POSTs with stream: true and reads the Server-Sent Events response,
+  // calling onToken for each character. Resolves with the `done` payload.
+  async function streamGenerate({ endpoint, body }, onToken, signal) {
+    const resp = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, stream: true }),
+      signal
+    });
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      const err = new Error(errorMessage(data, 'Generation failed.'));
+      err.status = resp.status;
+      throw err;
+    }
+
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let sep;
+      while ((sep = buffer.indexOf('\n\n')) !== -1) {
+        const raw = buffer.slice(0, sep);
+        buffer = buffer.slice(sep + 2);
+        let event = 'message', data = '';
+        raw.split('\n').forEach(line => {
+          if (line.startsWith('event: ')) event = line.slice(7);
+          else if (line.startsWith('data: ')) data += line.slice(6);
+        });
+        const payload = JSON.parse(data);
+        if (event === 'token') onToken(payload.text, payload.logprobs);
+        else if (event === 'error') throw new Error(errorMessage(payload, 'Generation failed.'));
+        else if (event === 'done') return payload;
+      }
+    }
+    throw new Error('Generation stream ended early.');
+  }
+
+  function showGenButtons(show) {
+    const again = document.getElementById('gen-again-btn');
+    const cont = document.getElementById('gen-continue-btn');
+    if (again) again.style.display = show ? 'inline-block' : 'none';
+    if (cont) cont.style.display = show ? 'inline-block' : 'none';
+  }
+
+  // Streams into the existing .gen-text span, then re-enables the buttons
+  async function runStream(request, genSpan) {
+    const cursor = document.createElement('span');
+    cursor.className = 'gen-text gen-loading';
+    cursor.textContent = '▊';
+    genOutput.appendChild(cursor);
+
+    const controller = new AbortController();
+    activeStream = controller;
+    try {
+      const done = await streamGenerate(request, (ch, step) => {
+        appendGenerated(genSpan, ch, step);
+        window._lastGenText += ch;
+      }, controller.signal);
+      lastSessionId = done.sessionId;
+      cursor.remove();
+      isGenerating = false;
+      activeStream = null;
+      showGenButtons(true);
+    } catch (e) {
+      if (controller.signal.aborted) return;
+      cursor.remove();
+      isGenerating = false;
+      activeStream = null;
+      throw e;
+    }
+  }
+
   if (genInput) {
     genInput.addEventListener('keydown', async (e) => {
       if (e.key !== 'Enter' || isGenerating || !modelReady) return;
@@ -324,98 +759,48 @@
       if (!prompt) return;
 
       isGenerating = true;
-      genOutput.innerHTML = `<span class="seed-text">${escapeHtml(prompt)}</span><span class="gen-text gen-loading">▊</span>`;
+      showGenButtons(false);
+      const distPanel = document.getElementById('gen-dist');
+      if (distPanel) distPanel.style.display = 'none';
+      genOutput.innerHTML = `<span class="seed-text">${escapeHtml(prompt)}</span>`;
+      const genSpan = document.createElement('span');
+      genSpan.className = 'gen-text';
+      genOutput.appendChild(genSpan);
+      window._lastGenSeed = prompt;
+      window._lastGenText = '';
 
       try {
-        const temp = tempSlider ? parseFloat(tempSlider.value) : 0.7;
-        const endpoint = (activePreset === 'custom' && isCustomTrained) ? '/api/generate-custom' : '/api/generate';
-        const body = (activePreset === 'custom' && isCustomTrained) 
-          ? { prompt, temperature: temp, length: 60, modelToken: customModelToken }
-          : { prompt, preset: activePreset, temperature: temp, length: 60 };
-        const resp = await fetch(endpoint, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(body)
-        });
-        const data = await resp.json();
-
-        if (data.error) {
-          genOutput.innerHTML = `<span style="color:#e57373;">${escapeHtml(data.error)}</span>`;
-          isGenerating = false;
-          return;
-        }
-
-        // Typewriter effect
-        genOutput.innerHTML = `<span class="seed-text">${escapeHtml(prompt)}</span>`;
-        const genSpan = document.createElement('span');
-        genSpan.className = 'gen-text';
-        genOutput.appendChild(genSpan);
-        window._lastGenSeed = prompt;
-        window._lastGenText = '';
-
-        let i = 0;
-        function type() {
-          if (i < data.text.length) {
-            genSpan.textContent += data.text[i];
-            window._lastGenText += data.text[i];
-            i++;
-            setTimeout(type, 25);
-          } else {
-            isGenerating = false;
-            const again = document.getElementById('gen-again-btn');
-            const cont = document.getElementById('gen-continue-btn');
-            if (again) again.style.display = 'inline-block';
-            if (cont) cont.style.display = 'inline-block';
-          }
-        }
-        type();
+        await runStream(generationRequest({ prompt }), genSpan);
       } catch (e) {
-        genOutput.innerHTML = '<span style="color:#e57373;">Connection error. Try again.</span>';
-        isGenerating = false;
+        const msg = e.status ? e.message : 'Connection error. Try again.';
+        genOutput.innerHTML = `<span style="color:#e57373;">${escapeHtml(msg)}</span>`;
       }
     });
   }
 
-  // Keep generating button — appends more text
+  // Keep generating button — resumes the last stream's session on the server
   const contBtn = document.getElementById('gen-continue-btn');
   if (contBtn) {
     contBtn.addEventListener('click', async () => {
       if (isGenerating || !modelReady || !window._lastGenText) return;
+      const genSpan = genOutput.querySelector('.gen-text');
+      if (!genSpan) return;
       isGenerating = true;
-      contBtn.style.display = 'none';
-      const again2 = document.getElementById('gen-again-btn');
-      if (again2) again2.style.display = 'none';
-
-      const continuePrompt = (window._lastGenSeed + window._lastGenText).slice(-20);
-      const temp = tempSlider ? parseFloat(tempSlider.value) : 0.7;
-      const endpoint = (activePreset === 'custom' && isCustomTrained) ? '/api/generate-custom' : '/api/generate';
-      const body = (activePreset === 'custom' && isCustomTrained)
-        ? { prompt: continuePrompt, temperature: temp, length: 60, modelToken: customModelToken }
-        : { prompt: continuePrompt, preset: activePreset, temperature: temp, length: 60 };
+      showGenButtons(false);
 
       try {
-        const resp = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
-        const data = await resp.json();
-        if (data.text) {
-          const genSpan = genOutput.querySelector('.gen-text');
-          if (genSpan) {
-            let i = 0;
-            function typeMore() {
-              if (i < data.text.length) {
-                genSpan.textContent += data.text[i];
-                window._lastGenText += data.text[i];
-                i++;
-                setTimeout(typeMore, 25);
-              } else {
-                isGenerating = false;
-                contBtn.style.display = 'inline-block';
-                if (again2) again2.style.display = 'inline-block';
-              }
-            }
-            typeMore();
-          }
+        try {
+          await runStream(generationRequest({ resume: lastSessionId }), genSpan);
+        } catch (e) {
+          // Session expired: fall back to sending the whole text as the prompt
+          if (e.status !== 404) throw e;
+          isGenerating = true;
+          await runStream(generationRequest({ prompt: window._lastGenSeed + window._lastGenText }), genSpan);
         }
-      } catch(e) { isGenerating = false; contBtn.style.display = 'inline-block'; }
+      } catch (e) {
+        isGenerating = false;
+        contBtn.style.display = 'inline-block';
+      }
     });
   }
 
@@ -424,63 +809,134 @@
   if (againBtn) {
     againBtn.addEventListener('click', () => {
       if (genInput && genInput.value) {
-        const cont2 = document.getElementById('gen-continue-btn');
-        if (cont2) cont2.style.display = 'none';
+        if (activeStream) { activeStream.abort(); activeStream = null; }
+        isGenerating = false;
         genInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
       }
     });
   }
 
   // ===== Share =====
+  // "Share Model" copies the model's weights under a link that runs it in the
+  // visitor's browser (model.html); "Share Output" saves a generated sample
+  // for shared.html.
+  async function saveShare(btn, label, buildBody) {
+    if (!modelReady) return;
+    btn.disabled = true;
+    btn.textContent = '⏳ Saving...';
+
+    try {
+      const saveResp = await fetch('/api/models/save', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(await buildBody())
+      });
+      const saveData = await saveResp.json().catch(() => ({}));
+      if (!saveResp.ok) throw new Error(errorMessage(saveData, 'Save failed.'));
+
+      const shareLink = document.getElementById('share-link');
+      if (shareLink && saveData.url) {
+        const url = `${window.location.origin}${saveData.url}`;
+        shareLink.innerHTML = `<strong>Share link:</strong> <a href="${url}" target="_blank">${url}</a>`;
+        shareLink.style.display = 'block';
+      }
+      btn.textContent = '✅ Shared!';
+      setTimeout(() => { btn.textContent = label; btn.disabled = false; }, 3000);
+    } catch (e) {
+      console.error('Share error:', e);
+      btn.textContent = '❌ ' + (e.message || 'Failed');
+      setTimeout(() => { btn.textContent = label; btn.disabled = false; }, 2000);
+    }
+  }
+
   const shareBtn = document.getElementById('share-btn');
   if (shareBtn) {
-    shareBtn.addEventListener('click', async () => {
+    shareBtn.addEventListener('click', () => saveShare(shareBtn, '📤 Share Model', () => ({
+      type: 'model',
+      ...(activePreset === 'custom' ? { modelToken: customModelToken } : { preset: activePreset, architecture: 'lstm' }),
+      prompt: (genInput && genInput.value) || defaultPrompt(),
+      sampling: samplingParams()
+    })));
+  }
+
+  const shareOutputBtn = document.getElementById('share-output-btn');
+  if (shareOutputBtn) {
+    shareOutputBtn.addEventListener('click', () => saveShare(shareOutputBtn, '📝 Share Output', async () => {
+      const params = samplingParams();
+      const prompt = (genInput && genInput.value) || defaultPrompt();
+      const info = (activePreset === 'custom' ? null : lstmInfo(activePreset)) || {};
+      // Generate fresh output for sharing
+      const { endpoint, body } = activePreset === 'custom'
+        ? { endpoint: '/api/generate-custom', body: { modelToken: customModelToken } }
+        : { endpoint: '/api/generate', body: { preset: activePreset } };
+      const resp = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, prompt, ...params, length: 300 })
+      });
+      const data = await resp.json();
+      if (data.error) throw new Error(errorMessage(data, 'Generation failed.'));
+      return {
+        type: 'output',
+        preset: activePreset,
+        prompt,
+        output: data.text,
+        sampling: params,
+        model: { architecture: 'LSTM', params: data.params || info.params, units: info.units }
+      };
+    }));
+  }
+
+  // ===== Model bundles =====
+  // "Download" saves the current model as a bundle (/api/export); a bundle
+  // uploaded under "Your Own Text" (/api/import) becomes the custom model,
+  // or the custom Markov chain if that is what it holds.
+  const downloadBtn = document.getElementById('download-btn');
+  if (downloadBtn) {
+    downloadBtn.addEventListener('click', () => {
       if (!modelReady) return;
-      shareBtn.disabled = true;
-      shareBtn.textContent = '⏳ Saving...';
+      const query = activePreset === 'custom' && isCustomTrained
+        ? { modelToken: customModelToken }
+        : { preset: activePreset, architecture: 'lstm' };
+      window.location.href = '/api/export?' + new URLSearchParams(query);
+    });
+  }
 
+  const bundleFile = document.getElementById('bundle-file');
+  if (bundleFile) {
+    bundleFile.addEventListener('change', async () => {
+      const file = bundleFile.files[0];
+      const status = document.getElementById('bundle-status');
+      if (!file) return;
+      bundleFile.value = '';
+      status.textContent = `Uploading ${file.name}...`;
       try {
-        const temp = tempSlider ? parseFloat(tempSlider.value) : 0.7;
-        // Generate fresh output for sharing
-        const resp = await fetch('/api/generate', {
+        const resp = await fetch('/api/import', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ prompt: genInput ? genInput.value || 'The ' : 'The ', preset: activePreset, temperature: temp, length: 300 })
+          headers: { 'Content-Type': 'application/gzip' },
+          body: file
         });
-        const data = await resp.json();
-        if (data.error) throw new Error(data.error);
+        const data = await resp.json().catch(() => ({}));
+        if (!resp.ok) throw new Error(errorMessage(data, 'Upload failed.'));
 
-        const saveResp = await fetch('/api/models/save', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            type: 'lstm-output',
-            preset: activePreset,
-            prompt: genInput ? genInput.value || 'The ' : 'The ',
-            output: data.text,
-            temperature: temp,
-            model: { architecture: 'LSTM', params: 35900, units: 64 }
-          })
-        });
-
-        if (!saveResp.ok) {
-          const err = await saveResp.json().catch(() => ({}));
-          throw new Error(err.error || 'Save failed');
-        }
-        const saveData = await saveResp.json();
-
-        const shareLink = document.getElementById('share-link');
-        if (shareLink && saveData.id) {
-          const url = `${window.location.origin}/shared.html?id=${saveData.id}`;
-          shareLink.innerHTML = `<strong>Share link:</strong> <a href="${url}" target="_blank">${url}</a>`;
-          shareLink.style.display = 'block';
+        if (data.chainToken) {
+          chainToken = data.chainToken;
+          if (markovPreset) markovPreset.value = 'custom';
+          if (markovCustom) markovCustom.style.display = 'block';
+          status.textContent = `That is a Markov chain (${data.characters.toLocaleString()} characters): try it in the Markov section below.`;
+          return;
         }
-        shareBtn.textContent = '✅ Shared!';
-        setTimeout(() => { shareBtn.textContent = '📤 Share'; shareBtn.disabled = false; }, 3000);
+        resetModel();
+        isCustomTrained = true;
+        modelReady = true;
+        customModelToken = data.modelToken;
+        status.textContent = `✅ ${data.name || file.name}: ${data.architecture === 'transformer' ? 'Transformer' : 'LSTM'}, ${data.params.toLocaleString()} parameters`;
+        const trainBtn = document.getElementById('train-btn');
+        if (trainBtn) { trainBtn.textContent = '✅ Uploaded! Try generating below'; trainBtn.disabled = true; }
+        const step4 = document.getElementById('train-step-4');
+        if (step4) step4.style.display = 'block';
       } catch (e) {
-        console.error('Share error:', e);
-        shareBtn.textContent = '❌ ' + (e.message || 'Failed');
-        setTimeout(() => { shareBtn.textContent = '📤 Share'; shareBtn.disabled = false; }, 2000);
+        status.textContent = '❌ ' + e.message;
       }
     });
   }
@@ -489,10 +945,16 @@
   const markovInput = document.getElementById('markov-input');
   const markovOutput = document.getElementById('markov-output');
   const markovPreset = document.getElementById('markov-preset');
+  const markovOrder = document.getElementById('ngram-order');
+  const markovCustom = document.getElementById('markov-custom');
+  const markovCustomText = document.getElementById('markov-custom-text');
+  const markovBuildBtn = document.getElementById('markov-build-btn');
+  const markovBuildStatus = document.getElementById('markov-build-status');
+  let chainToken = null; // chain built from the user's own text
   const chainViz = document.getElementById('markov-chain-viz');
   let markovTimer = null;
 
-  function renderChainViz(seed, generated) {
+  function renderChainViz(seed, generated, logprobs) {
     if (!chainViz) return;
     chainViz.innerHTML = '';
     // Show the chain: each character as a small block, seed in dim, generated colored by confidence
@@ -506,17 +968,24 @@
     for (let i = 0; i < visible.length; i++) {
       const ch = visible[i];
       const isSeed = i < seedVisible;
+      const step = !isSeed && logprobs ? logprobs[start + i - seedLen] : null;
       const span = document.createElement('span');
-      span.textContent = ch === ' ' ? '·' : ch === '\n' ? '↵' : ch === '\r' ? '' : ch;
+      span.textContent = visibleChar(ch);
       if (!span.textContent) continue;
+      // Darker = the chain was more sure about this character
+      const confidence = step ? step.prob : 0.5;
       span.style.cssText = `
         display:inline-block; padding:2px 3px; font-family:monospace; font-size:0.75rem; 
         border-radius:3px; line-height:1.4;
         ${isSeed 
           ? 'background:rgba(0,0,0,0.05); color:#94a3b8;' 
-          : `background:rgba(139,92,246,${0.08 + Math.random()*0.15}); color:var(--accent); font-weight:500;`
+          : `background:rgba(139,92,246,${(0.06 + confidence * 0.35).toFixed(2)}); color:var(--accent); font-weight:500;`
         }
       `;
+      if (step) {
+        span.title = `${(step.prob * 100).toFixed(0)}% likely. Options: ` +
+          step.top.map(t => `${visibleChar(t.token) || '␍'} ${(t.prob * 100).toFixed(0)}%`).join(', ');
+      }
       chainViz.appendChild(span);
 
       // Add arrow every 5 generated chars
@@ -529,25 +998,77 @@
     }
   }
 
-  if (markovInput) {
-    markovInput.addEventListener('input', () => {
-      clearTimeout(markovTimer);
-      markovTimer = setTimeout(async () => {
-        const text = markovInput.value;
-        if (text.length < 3) { 
-          if (markovOutput) markovOutput.textContent = ''; 
-          if (chainViz) chainViz.innerHTML = '';
-          return; 
+  function scheduleMarkov() {
+    clearTimeout(markovTimer);
+    markovTimer = setTimeout(async () => {
+      const text = markovInput.value;
+      if (text.length < 3) { 
+        if (markovOutput) markovOutput.textContent = ''; 
+        if (chainViz) chainViz.innerHTML = '';
+        return; 
+      }
+      const preset = markovPreset ? markovPreset.value : 'custom';
+      const order = markovOrder ? markovOrder.value : 4;
+      let source = `preset=${preset}`;
+      if (preset === 'custom') {
+        if (!chainToken) return;
+        source = `chain=${chainToken}`;
+      }
+      try {
+        const resp = await fetch(`/api/complete?text=${encodeURIComponent(text)}&${source}&order=${order}&length=150&logprobs=3`);
+        if (resp.status === 404 && preset === 'custom') {
+          chainToken = null;
+          if (markovBuildStatus) markovBuildStatus.textContent = 'That chain has expired. Build it again.';
+          return;
         }
-        const preset = markovPreset ? markovPreset.value : 'shakespeare';
-        try {
-          const resp = await fetch(`/api/complete?text=${encodeURIComponent(text)}&preset=${preset}&length=150`);
-          if (!resp.ok) return;
-          const data = await resp.json();
-          if (markovOutput) markovOutput.innerHTML = `<span class="seed-text">${escapeHtml(text)}</span><span class="gen-text">${escapeHtml(data.text)}</span>`;
-          renderChainViz(text, data.text);
-        } catch (e) { /* ignore */ }
-      }, 400);
+        if (!resp.ok) return;
+        const data = await resp.json();
+        if (markovOutput) markovOutput.innerHTML = `<span class="seed-text">${escapeHtml(text)}</span><span class="gen-text">${escapeHtml(data.text)}</span>`;
+        renderChainViz(text, data.text, data.logprobs);
+      } catch (e) { /* ignore */ }
+    }, 400);
+  }
+
+  async function buildChain() {
+    const text = markovCustomText.value;
+    markovBuildBtn.disabled = true;
+    markovBuildStatus.textContent = 'Counting...';
+    try {
+      const resp = await fetch('/api/chains', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text })
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(errorMessage(data, 'Failed to build chain.'));
+      chainToken = data.chainToken;
+      const order = markovOrder ? parseInt(markovOrder.value) : 4;
+      markovBuildStatus.textContent = `Built in ${data.buildMs} ms: ${data.characters.toLocaleString()} characters, ` +
+        `${data.vocabSize} distinct, ${data.states[order - 1].toLocaleString()} contexts of length ${order}.`;
+      scheduleMarkov();
+    } catch (e) {
+      markovBuildStatus.textContent = e.message;
+    } finally {
+      markovBuildBtn.disabled = false;
+    }
+  }
+
+  if (markovPreset && markovCustom) {
+    markovPreset.addEventListener('change', () => {
+      const custom = markovPreset.value === 'custom';
+      markovCustom.style.display = custom ? 'block' : 'none';
+      // Offer the text from step 1 if the user already pasted some there
+      const stepOneText = document.getElementById('custom-text');
+      if (custom && !markovCustomText.value && stepOneText) markovCustomText.value = stepOneText.value.slice(0, 20000);
     });
   }
+  if (markovBuildBtn) markovBuildBtn.addEventListener('click', buildChain);
+
+  if (markovInput) {
+    markovInput.addEventListener('input', scheduleMarkov);
+    if (markovPreset) markovPreset.addEventListener('change', scheduleMarkov);
+    if (markovOrder) markovOrder.addEventListener('change', scheduleMarkov);
+  }
+
+  loadRegistry();
 })();
@@ -0,0 +1,391 @@
+/**
+ * MiniLLM Word2Vec
+ * Skip-gram word embeddings with negative sampling, trained from plain text
+ * in a second or two, plus the tools to look at them: nearest neighbours,
+ * analogy arithmetic and 2D projection (PCA or t-SNE).
+ * Pure JavaScript — runs in the browser and in Node.
+ * @module Word2Vec
+ */
+
+'use strict';
+
+(function() {
+
+const Sampling = typeof module !== 'undefined' && module.exports ? require('./sampling') : window.Sampling;
+
+/**
+ * Lower-case words, ignoring numbers and punctuation
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeWords(text) {
+  return text.toLowerCase().match(/[a-z]+(?:'[a-z]+)?/g) || [];
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-Math.max(-30, Math.min(30, x))));
+}
+
+class Word2Vec {
+  /**
+   * @param {string[]} vocab - Words, most frequent first
+   * @param {Float32Array} vectors - vocab.length × dim, row per word
+   * @param {number} dim
+   * @param {number[]} [counts] - Training frequency per word
+   */
+  constructor(vocab, vectors, dim, counts = []) {
+    this.vocab = vocab;
+    this.vectors = vectors;
+    this.dim = dim;
+    this.counts = counts;
+    this.index = new Map(vocab.map((w, i) => [w, i]));
+    this.normalize();
+  }
+
+  // Unit-length copies, so cosine similarity is a dot product. The mean
+  // vector is subtracted first: on a small corpus every word drifts in one
+  // shared direction, which would otherwise make everything look similar.
+  normalize() {
+    const { dim } = this;
+    const mean = new Float32Array(dim);
+    for (let i = 0; i < this.vectors.length; i++) mean[i % dim] += this.vectors[i] / this.vocab.length;
+    this.unit = new Float32Array(this.vectors.length);
+    for (let w = 0; w < this.vocab.length; w++) {
+      let norm = 0;
+      for (let d = 0; d < dim; d++) norm += (this.vectors[w * dim + d] - mean[d]) ** 2;
+      norm = Math.sqrt(norm) || 1;
+      for (let d = 0; d < dim; d++) this.unit[w * dim + d] = (this.vectors[w * dim + d] - mean[d]) / norm;
+    }
+  }
+
+  /**
+   * Train step by step: yields after every epoch so a page can redraw
+   * between them. The final value is the finished model.
+   * @param {string} text
+   * @param {Object} [opts]
+   * @param {number} [opts.dim=32] - Embedding size
+   * @param {number} [opts.window=3] - Context words on each side
+   * @param {number} [opts.negatives=10] - Random "wrong" words per real pair
+   * @param {number} [opts.epochs=40]
+   * @param {number} [opts.learningRate=0.025] - Decays linearly to 0
+   * @param {number} [opts.minCount=2] - Rarer words are dropped
+   * @param {number} [opts.maxVocab=3000]
+   * @param {number|string} [opts.seed='word2vec']
+   * @yields {{epoch: number, epochs: number, loss: number, model: Word2Vec}}
+   */
+  static *trainSteps(text, opts = {}) {
+    const { dim = 32, window = 3, negatives = 10, epochs = 40, learningRate = 0.025,
+      minCount = 2, maxVocab = 3000, seed = 'word2vec' } = opts;
+    const rng = Sampling.createRng(seed);
+    const words = tokenizeWords(text);
+
+    const freq = new Map();
+    for (const w of words) freq.set(w, (freq.get(w) || 0) + 1);
+    const vocab = [...freq].filter(([, c]) => c >= minCount)
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, maxVocab)
+      .map(([w]) => w);
+    if (vocab.length < 2) throw new Error('Not enough repeated words to learn from.');
+    const counts = vocab.map(w => freq.get(w));
+    const index = new Map(vocab.map((w, i) => [w, i]));
+    const ids = words.filter(w => index.has(w)).map(w => index.get(w));
+    const total = ids.length;
+
+    // Negatives are drawn in proportion to count^0.75, as in the original paper
+    const noise = new Float64Array(vocab.length);
+    let acc = 0;
+    for (let i = 0; i < vocab.length; i++) { acc += Math.pow(counts[i], 0.75); noise[i] = acc; }
+    const drawNegative = () => {
+      const r = rng() * acc;
+      let lo = 0, hi = noise.length - 1;
+      while (lo < hi) { const mid = (lo + hi) >> 1; if (noise[mid] < r) lo = mid + 1; else hi = mid; }
+      return lo;
+    };
+    // Very frequent words ("the", "and") are randomly skipped so they don't drown out the rest
+    const keepProb = counts.map(c => Math.min(1, Math.sqrt(1e-3 * total / c) + 1e-3 * total / c));
+
+    const input = new Float32Array(vocab.length * dim).map(() => (rng() - 0.5) / dim);
+    const output = new Float32Array(vocab.length * dim);
+    const grad = new Float32Array(dim);
+    const model = new Word2Vec(vocab, input, dim, counts);
+
+    const steps = epochs * total;
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      let loss = 0, pairs = 0;
+      for (let i = 0; i < total; i++) {
+        const center = ids[i];
+        if (rng() > keepProb[center]) continue;
+        const lr = Math.max(learningRate * 1e-4, learningRate * (1 - (epoch * total + i) / steps));
+        const span = 1 + Math.floor(rng() * window);
+        for (let j = Math.max(0, i - span); j <= Math.min(total - 1, i + span); j++) {
+          if (j === i) continue;
+          // One real (center, context) pair plus `negatives` random ones
+          grad.fill(0);
+          const ci = center * dim;
+          for (let n = 0; n <= negatives; n++) {
+            const target = n === 0 ? ids[j] : drawNegative();
+            if (n > 0 && target === ids[j]) continue;
+            const label = n === 0 ? 1 : 0;
+            const ti = target * dim;
+            let dot = 0;
+            for (let d = 0; d < dim; d++) dot += input[ci + d] * output[ti + d];
+            const p = sigmoid(dot);
+            loss -= Math.log(Math.max(label ? p : 1 - p, 1e-7));
+            const g = (label - p) * lr;
+            for (let d = 0; d < dim; d++) {
+              grad[d] += g * output[ti + d];
+              output[ti + d] += g * input[ci + d];
+            }
+          }
+          for (let d = 0; d < dim; d++) input[ci + d] += grad[d];
+          pairs++;
+        }
+      }
+      model.normalize();
+      yield { epoch: epoch + 1, epochs, loss: pairs ? loss / pairs : 0, model };
+    }
+    return model;
+  }
+
+  /**
+   * Train to completion
+   * @param {string} text
+   * @param {Object} [opts] - See trainSteps()
+   * @param {function(Object)} [onEpoch] - Called with each step's progress
+   * @returns {Word2Vec}
+   */
+  static train(text, opts, onEpoch) {
+    const steps = Word2Vec.trainSteps(text, opts);
+    for (;;) {
+      const { value, done } = steps.next();
+      if (done) return value;
+      if (onEpoch) onEpoch(value);
+    }
+  }
+
+  has(word) {
+    return this.index.has(word);
+  }
+
+  /**
+   * Unit-length vector for a word (a view into the model, do not modify)
+   * @param {string} word
+   * @returns {Float32Array|null}
+   */
+  vector(word) {
+    const i = this.index.get(word);
+    return i === undefined ? null : this.unit.subarray(i * this.dim, (i + 1) * this.dim);
+  }
+
+  /**
+   * Most similar words by cosine similarity
+   * @param {string|ArrayLike<number>} query - A word or a vector
+   * @param {number} [k=5]
+   * @param {string[]} [exclude] - Words to leave out (the query word is always left out)
+   * @returns {Array<{word: string, similarity: number}>}
+   */
+  nearest(query, k = 5, exclude = []) {
+    const skip = new Set(exclude);
+    let v = query;
+    if (typeof query === 'string') {
+      v = this.vector(query);
+      if (!v) return [];
+      skip.add(query);
+    }
+    let norm = 0;
+    for (let d = 0; d < this.dim; d++) norm += v[d] * v[d];
+    norm = Math.sqrt(norm) || 1;
+
+    const scored = [];
+    for (let w = 0; w < this.vocab.length; w++) {
+      if (skip.has(this.vocab[w])) continue;
+      let dot = 0;
+      for (let d = 0; d < this.dim; d++) dot += this.unit[w * this.dim + d] * v[d];
+      scored.push({ word: this.vocab[w], similarity: dot / norm });
+    }
+    return scored.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+  }
+
+  /**
+   * Vector arithmetic: sum of `positive` minus sum of `negative`, then the
+   * nearest words to the result. king − man + woman is
+   * analogy(['king', 'woman'], ['man']).
+   * @param {string[]} positive
+   * @param {string[]} negative
+   * @param {number} [k=5]
+   * @returns {Array<{word: string, similarity: number}>|null} null if a word is unknown
+   */
+  analogy(positive, negative = [], k = 5) {
+    const v = new Float32Array(this.dim);
+    for (const [list, sign] of [[positive, 1], [negative, -1]]) {
+      for (const word of list) {
+        const u = this.vector(word);
+        if (!u) return null;
+        for (let d = 0; d < this.dim; d++) v[d] += sign * u[d];
+      }
+    }
+    return this.nearest(v, k, [...positive, ...negative]);
+  }
+
+  /**
+   * 2D coordinates for some words, scaled to [0, 1]
+   * @param {string[]} words - Known words to place
+   * @param {Object} [opts]
+   * @param {string} [opts.method='pca'] - 'pca' or 'tsne'
+   * @returns {Array<[number, number]>}
+   * @throws {Error} If a word is not in the vocabulary
+   */
+  project(words, { method = 'pca', ...tsneOpts } = {}) {
+    const unknown = words.filter(w => !this.has(w));
+    if (unknown.length) throw new Error(`Not in the vocabulary: ${unknown.join(', ')}`);
+    const rows = words.map(w => Array.from(this.vector(w)));
+    const points = method === 'tsne' ? tsne(rows, tsneOpts) : pca(rows);
+    return rescale(points);
+  }
+}
+
+// ===== Projections =====
+
+/**
+ * Project rows onto their top two principal components (power iteration on
+ * the covariance matrix, deflating after the first component)
+ * @param {number[][]} rows
+ * @returns {Array<[number, number]>}
+ */
+function pca(rows) {
+  const n = rows.length, dim = rows[0].length;
+  const mean = new Array(dim).fill(0);
+  for (const r of rows) for (let d = 0; d < dim; d++) mean[d] += r[d] / n;
+  const centered = rows.map(r => r.map((v, d) => v - mean[d]));
+  const cov = Array.from({ length: dim }, () => new Array(dim).fill(0));
+  for (const r of centered) {
+    for (let a = 0; a < dim; a++) for (let b = 0; b < dim; b++) cov[a][b] += r[a] * r[b] / n;
+  }
+
+  const components = [];
+  for (let c = 0; c < 2; c++) {
+    let v = Array.from({ length: dim }, (_, d) => Math.sin(d + 1 + c)); // fixed start, stable layouts
+    let lambda = 0;
+    for (let iter = 0; iter < 100; iter++) {
+      const next = cov.map(row => row.reduce((s, x, d) => s + x * v[d], 0));
+      lambda = Math.sqrt(next.reduce((s, x) => s + x * x, 0)) || 1;
+      v = next.map(x => x / lambda);
+    }
+    components.push(v);
+    for (let a = 0; a < dim; a++) for (let b = 0; b < dim; b++) cov[a][b] -= lambda * v[a] * v[b];
+  }
+  return centered.map(r => components.map(v => r.reduce((s, x, d) => s + x * v[d], 0)));
+}
+
+const TSNE_EXAGGERATION = 4;
+
+/**
+ * Exact t-SNE (fine for the few hundred points a canvas can show)
+ * @param {number[][]} rows
+ * @param {Object} [opts]
+ * @param {number} [opts.perplexity=10]
+ * @param {number} [opts.iterations=400]
+ * @param {number|string} [opts.seed='tsne']
+ * @returns {Array<[number, number]>}
+ */
+function tsne(rows, { perplexity = 10, iterations = 400, seed = 'tsne' } = {}) {
+  const n = rows.length;
+  if (n < 3) return rows.map((_, i) => [i, 0]);
+  const rng = Sampling.createRng(seed);
+  const dist = rows.map(a => rows.map(b => a.reduce((s, x, d) => s + (x - b[d]) ** 2, 0)));
+
+  // Per-point Gaussian widths found by binary search to match the perplexity
+  const P = Array.from({ length: n }, () => new Float64Array(n));
+  const target = Math.log(Math.min(perplexity, (n - 1) / 3));
+  for (let i = 0; i < n; i++) {
+    let lo = 0, hi = Infinity, beta = 1;
+    for (let tries = 0; tries < 50; tries++) {
+      let sum = 0, weighted = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const p = Math.exp(-dist[i][j] * beta);
+        P[i][j] = p; sum += p; weighted += dist[i][j] * p;
+      }
+      sum = sum || 1e-12;
+      const entropy = Math.log(sum) + beta * weighted / sum;
+      for (let j = 0; j < n; j++) P[i][j] /= sum;
+      if (Math.abs(entropy - target) < 1e-5) break;
+      if (entropy > target) { lo = beta; beta = hi === Infinity ? beta * 2 : (beta + hi) / 2; }
+      else { hi = beta; beta = (beta + lo) / 2; }
+    }
+  }
+  // Symmetrise; early exaggeration for the first 100 iterations
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const p = Math.max((P[i][j] + P[j][i]) / (2 * n), 1e-12);
+      P[i][j] = P[j][i] = p;
+    }
+  }
+
+  const Y = rows.map(() => [(rng() - 0.5) * 1e-2, (rng() - 0.5) * 1e-2]);
+  const velocity = rows.map(() => [0, 0]);
+  const gains = rows.map(() => [1, 1]);
+  // A step scaled to n (n / (4 × exaggeration), as scikit-learn picks it)
+  // with gains capped at 2: the usual fixed rate of 100–200 is meant for
+  // thousands of points, and on a few hundred the exaggerated attraction
+  // overshoots, every step flips sign, the gains keep growing and the map
+  // blows up
+  const learningRate = Math.max(1, n / (4 * TSNE_EXAGGERATION));
+  for (let iter = 0; iter < iterations; iter++) {
+    const exaggeration = iter < 100 ? TSNE_EXAGGERATION : 1;
+    const momentum = iter < 100 ? 0.5 : 0.8;
+    const num = Array.from({ length: n }, () => new Float64Array(n));
+    let Z = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const q = 1 / (1 + (Y[i][0] - Y[j][0]) ** 2 + (Y[i][1] - Y[j][1]) ** 2);
+        num[i][j] = num[j][i] = q;
+        Z += 2 * q;
+      }
+    }
+    for (let i = 0; i < n; i++) {
+      const g = [0, 0];
+      for (let j = 0; j < n; j++) {
+        if (i === j) continue;
+        const m = (exaggeration * P[i][j] - num[i][j] / Z) * num[i][j];
+        g[0] += 4 * m * (Y[i][0] - Y[j][0]);
+        g[1] += 4 * m * (Y[i][1] - Y[j][1]);
+      }
+      for (let d = 0; d < 2; d++) {
+        gains[i][d] = Math.sign(g[d]) === Math.sign(velocity[i][d]) ? gains[i][d] * 0.8 : gains[i][d] + 0.2;
+        gains[i][d] = Math.min(2, Math.max(0.01, gains[i][d]));
+        velocity[i][d] = momentum * velocity[i][d] - learningRate * gains[i][d] * g[d];
+        Y[i][d] += velocity[i][d];
+      }
+    }
+    // Only distances matter: keep the map centred so it cannot drift
+    for (let d = 0; d < 2; d++) {
+      const mean = Y.reduce((sum, y) => sum + y[d], 0) / n;
+      for (const y of Y) y[d] -= mean;
+    }
+  }
+  return Y;
+}
+
+// Scale points into [0, 1] on both axes
+function rescale(points) {
+  const xs = points.map(p => p[0]), ys = points.map(p => p[1]);
+  const minX = Math.min(...xs), maxX = Math.max(...xs);
+  const minY = Math.min(...ys), maxY = Math.max(...ys);
+  return points.map(([x, y]) => [
+    maxX > minX ? (x - minX) / (maxX - minX) : 0.5,
+    maxY > minY ? (y - minY) / (maxY - minY) : 0.5
+  ]);
+}
+
+const Word2VecModule = { Word2Vec, tokenizeWords, pca, tsne };
+
+// Export for both module and browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Word2VecModule;
+}
+if (typeof window !== 'undefined') {
+  window.Word2Vec = Word2VecModule;
+}
+
+})();
@@ -3,6 +3,17 @@ const path = require('path');
 const crypto = require('crypto');
 const fs = require('fs');
 const Database = require('better-sqlite3');
+const Sampling = require('./public/js/sampling');
+const { MarkovModel } = require('./lib/markov');
+const { BPETokenizer } = require('./public/js/bpe');
+const Registry = require('./lib/registry');
+const Bundle = require('./lib/bundle');
+const { WorkerPool } = require('./lib/worker-pool');
+const RateLimit = require('./lib/rate-limit');
+const { ApiKeyStore } = require('./lib/api-keys');
+const OpenAICompat = require('./lib/openai-compat');
+const OpenAPI = require('./lib/openapi');
+const { buildSpec } = require('./lib/api-spec');
 
 // Load .env
 try {
@@ -33,9 +44,11 @@ async function verifyTurnstile(token) {
 }
 const app = express();
 const PORT = process.env.PORT || 3862;
+const API_VERSION = '3.0.0';
 
 // Database
-const db = new Database(path.join(__dirname, 'minillm.db'));
+const DB_PATH = path.join(__dirname, 'minillm.db');
+const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.exec(`
   CREATE TABLE IF NOT EXISTS models (
@@ -44,446 +57,1375 @@ db.exec(`
     preset TEXT,
     created_at TEXT DEFAULT (datetime('now')),
     ip TEXT,
-    size_bytes INTEGER
+    size_bytes INTEGER,
+    type TEXT DEFAULT 'output',
+    weights BLOB
+  );
+  CREATE TABLE IF NOT EXISTS custom_models (
+    token TEXT PRIMARY KEY,
+    topology TEXT NOT NULL,
+    weight_specs TEXT NOT NULL,
+    weight_data BLOB NOT NULL,
+    vocab TEXT NOT NULL,
+    stats TEXT,
+    ip TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_used_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS custom_chains (
+    token TEXT PRIMARY KEY,
+    text TEXT NOT NULL,
+    ip TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_used_at TEXT DEFAULT (datetime('now'))
   )
 `);
+// Share links could only hold generated output before models could be shared
+const modelColumns = db.prepare('PRAGMA table_info(models)').all().map(c => c.name);
+if (!modelColumns.includes('type')) db.exec("ALTER TABLE models ADD COLUMN type TEXT DEFAULT 'output'");
+if (!modelColumns.includes('weights')) db.exec('ALTER TABLE models ADD COLUMN weights BLOB');
 
-// Rate limiting
-const rateLimits = new Map();
-function checkRateLimit(ip, maxReqs, windowMs) {
-  const now = Date.now();
-  const entry = rateLimits.get(ip) || { count: 0, resetAt: now + windowMs };
-  if (now > entry.resetAt) { entry.count = 0; entry.resetAt = now + windowMs; }
-  entry.count++;
-  rateLimits.set(ip, entry);
-  return entry.count <= maxReqs;
-}
-
-// ===== Markov Chain (order-4 character level) =====
-const MARKOV_ORDER = 4;
-const markovChains = {};
-
-function buildMarkovChain(text, order) {
-  const chain = {};
-  for (let i = 0; i <= text.length - order - 1; i++) {
-    const key = text.substring(i, i + order);
-    const next = text[i + order];
-    if (!chain[key]) chain[key] = {};
-    chain[key][next] = (chain[key][next] || 0) + 1;
-  }
-  return chain;
-}
-
-function generateFromChain(chain, seed, length, order) {
-  let current = seed.slice(-order);
-  if (!chain[current]) {
-    for (let len = order - 1; len >= 1; len--) {
-      const partial = seed.slice(-len);
-      const match = Object.keys(chain).find(k => k.startsWith(partial));
-      if (match) { current = match; break; }
-    }
-    if (!chain[current]) {
-      const keys = Object.keys(chain);
-      current = keys[Math.floor(Math.random() * keys.length)];
-    }
+// ===== Rate limiting =====
+// Every limited route names a policy here; each client IP gets its own
+// allowance per policy (lib/rate-limit.js). Counters live in SQLite so they
+// survive restarts, unless RATE_LIMIT_STORE=memory.
+const RATE_LIMITS = {
+  complete: { limit: 10, windowMs: 60 * 1000 },
+  tokenize: { limit: 30, windowMs: 60 * 1000 },
+  chains: { limit: 10, windowMs: 60 * 1000 },
+  saveModel: { limit: 5, windowMs: 60 * 60 * 1000, message: 'Rate limit exceeded. Max 5 saves per hour.' },
+  // Generation allows short bursts (a few quick retries) at a steady average rate
+  generate: { limit: 60, windowMs: 60 * 1000, algorithm: 'token-bucket' },
+  generateCustom: { limit: 15, windowMs: 60 * 1000, algorithm: 'token-bucket' },
+  train: { limit: 3, windowMs: 5 * 60 * 1000, message: 'Rate limited. Max 3 training requests per 5 minutes.' },
+  evaluate: { limit: 10, windowMs: 60 * 1000 },
+  exportModel: { limit: 20, windowMs: 60 * 1000 },
+  importModel: { limit: 5, windowMs: 60 * 60 * 1000, message: 'Rate limit exceeded. Max 5 imports per hour.' },
+  // Models trained in the browser (POST /api/import?source=browser): one per
+  // training run, so a classroom behind one address needs more than 5 an hour
+  importBrowserModel: { limit: 30, windowMs: 60 * 60 * 1000, message: 'Rate limit exceeded. Max 30 browser-trained models per hour.' },
+  // GET /api/keys/me, per key rather than per IP
+  keyInfo: { limit: 30, windowMs: 60 * 1000 }
+};
+
+// Client IPs come from the socket unless TRUST_PROXY names the proxies in
+// front of us (e.g. "loopback" or "1"); only then is X-Forwarded-For read,
+// and only the hops those proxies added.
+app.set('trust proxy', RateLimit.parseTrustProxy(process.env.TRUST_PROXY));
+
+const rateLimiter = RateLimit.createRateLimiter({
+  policies: RATE_LIMITS,
+  store: process.env.RATE_LIMIT_STORE === 'memory' ? new RateLimit.MemoryStore() : new RateLimit.SQLiteStore(db)
+});
+// Requests made with an API key are held to the key's own quota instead
+// (see authenticateApiKey)
+const rateLimit = name => {
+  const byIp = rateLimiter.middleware(name);
+  return (req, res, next) => (req.apiKey ? next() : byIp(req, res, next));
+};
+
+// ===== API keys =====
+// Scripts and notebooks send `Authorization: Bearer <key>` (keys are issued
+// with `node api-keys.js`, see lib/api-keys.js). A keyed request is limited
+// by the key's requests per minute instead of the per-IP policies, may ask
+// for up to the key's maxLength characters, skips the Turnstile check on
+// training and counts towards the key's usage. Requests without a key stay
+// anonymous; a key that is unknown or revoked is refused.
+const apiKeys = new ApiKeyStore(db);
+
+function authenticateApiKey(req, res, next) {
+  const header = req.get('authorization');
+  if (!header) return next();
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  const key = match && apiKeys.verify(match[1]);
+  if (!key) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: 'Invalid or revoked API key.' });
   }
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    const options = chain[current];
-    if (!options) break;
-    const entries = Object.entries(options);
-    const total = entries.reduce((s, [, c]) => s + c, 0);
-    let r = Math.random() * total;
-    let next = entries[0][0];
-    for (const [char, count] of entries) {
-      r -= count;
-      if (r <= 0) { next = char; break; }
-    }
-    result += next;
-    current = current.slice(1) + next;
+  const policy = {
+    limit: key.requestsPerMinute,
+    windowMs: 60 * 1000,
+    message: `Rate limited. This API key allows ${key.requestsPerMinute} requests per minute.`
+  };
+  // Checking the key's own quota neither uses it up nor counts as usage
+  if (req.method === 'GET' && req.baseUrl === '/api' && req.path === '/keys/me') {
+    req.apiKey = key;
+    return next();
   }
-  return result;
+  if (!rateLimiter.consume(res, policy, `key:${key.id}`)) return;
+  req.apiKey = key;
+  apiKeys.record(key.id, { requests: 1 });
+  next();
+}
+
+// Longest generation a request may ask for: the key's quota, or the route's
+// anonymous limit
+function lengthCap(req, anonymousCap) {
+  return req.apiKey ? req.apiKey.maxLength : anonymousCap;
+}
+
+function recordCharacters(req, characters) {
+  if (req.apiKey && characters) apiKeys.record(req.apiKey.id, { characters });
+}
+
+// ===== Markov Chains (variable order, Kneser-Ney smoothed) =====
+// One model per preset holds counts for every order up to MAX_MARKOV_ORDER;
+// requests pick the order. See lib/markov.js.
+const MARKOV_ORDER = 4; // default when a request doesn't say
+const MAX_MARKOV_ORDER = 8;
+const markovModels = {};
+
+function parseMarkovOrder(value) {
+  return Math.max(1, Math.min(MAX_MARKOV_ORDER, parseInt(value) || MARKOV_ORDER));
+}
+
+// Returns { text, logprobs }; logprobs lists the top `topLogprobs` successors
+// for each generated character (null when topLogprobs is 0).
+function generateFromChain(markov, prompt, length, order, options, topLogprobs = 0) {
+  // Markov chains sample from the model's own probabilities unless asked otherwise
+  const sampler = new Sampling.Sampler(options, { temperature: 1 });
+  return markov.generate(prompt, length, order, sampler, topLogprobs);
+}
+
+// `logprobs` request option: true or a count of alternatives to return per
+// generated character (max 10), 0/absent for none
+function parseLogprobs(value) {
+  if (value === true || value === 'true') return 5;
+  return Math.max(0, Math.min(10, parseInt(value) || 0));
+}
+
+function markovProbs(markov, order, text) {
+  const probs = [];
+  for (let i = 0; i < text.length; i++) {
+    probs.push(markov.prob(text.slice(Math.max(0, i - order), i), text[i], order));
+  }
+  return probs;
 }
 
-// Build chains at startup
 const dataDir = path.join(__dirname, 'public', 'data');
-['shakespeare', 'recipes', 'python'].forEach(name => {
+
+// Presets and neural models come from models/*/manifest.json (lib/registry.js)
+const registry = Registry.loadRegistry();
+
+// Build a chain for every preset's corpus at startup
+registry.presets.forEach(({ name, corpus }) => {
   try {
-    const text = fs.readFileSync(path.join(dataDir, `${name}.txt`), 'utf-8');
-    markovChains[name] = buildMarkovChain(text, MARKOV_ORDER);
-    console.log(`Markov chain: ${name} (${Object.keys(markovChains[name]).length} states)`);
+    const text = fs.readFileSync(Registry.corpusPath(corpus), 'utf-8');
+    markovModels[name] = new MarkovModel(text, MAX_MARKOV_ORDER);
+    console.log(`Markov chain: ${name} (${markovModels[name].states(MARKOV_ORDER)} order-${MARKOV_ORDER} states)`);
   } catch (e) {
     console.error(`Failed to build chain for ${name}:`, e.message);
   }
 });
 
+// ===== BPE tokenizer =====
+// Trained by train-tokenizer.js; the browser loads the same file for chapter 5
+const MAX_TOKENIZE_LENGTH = 10000;
+let bpeTokenizer = null;
+try {
+  bpeTokenizer = BPETokenizer.fromJSON(JSON.parse(fs.readFileSync(path.join(dataDir, 'bpe-tokenizer.json'), 'utf-8')));
+  console.log(`BPE tokenizer: ${bpeTokenizer.vocabSize} tokens, ${bpeTokenizer.merges.length} merges`);
+} catch (e) {
+  console.error('Failed to load BPE tokenizer:', e.message);
+}
+
+// ===== Custom Markov chains =====
+// Built from pasted text in well under a second, as a quick comparison to
+// LSTM training. Only the source text is stored: rebuilding a chain is cheap,
+// while its count tables take far more memory than the text, so few are kept
+// built at once.
+const MIN_CHAIN_TEXT = 20;
+const MAX_CHAIN_TEXT = 20000;
+const MAX_HOT_CUSTOM_CHAINS = 5;
+const CUSTOM_CHAIN_RETENTION_DAYS = 7;
+const customChains = new Map(); // token -> MarkovModel, oldest use first
+
+function cacheCustomChain(token, markov) {
+  customChains.delete(token);
+  customChains.set(token, markov);
+  while (customChains.size > MAX_HOT_CUSTOM_CHAINS) {
+    customChains.delete(customChains.keys().next().value);
+  }
+}
+
+// Returns the chain for a token, rebuilding it from SQLite if needed
+function getCustomChain(token) {
+  let markov = customChains.get(token);
+  if (!markov) {
+    const row = db.prepare('SELECT text FROM custom_chains WHERE token = ?').get(token);
+    if (!row) return null;
+    markov = new MarkovModel(row.text, MAX_MARKOV_ORDER);
+  }
+  cacheCustomChain(token, markov);
+  db.prepare("UPDATE custom_chains SET last_used_at = datetime('now') WHERE token = ?").run(token);
+  return markov;
+}
+
+function pruneCustomChains() {
+  const { changes } = db.prepare("DELETE FROM custom_chains WHERE last_used_at < datetime('now', ?)")
+    .run(`-${CUSTOM_CHAIN_RETENTION_DAYS} days`);
+  if (changes) console.log(`Pruned ${changes} unused custom chains`);
+}
+pruneCustomChains();
+setInterval(pruneCustomChains, 24 * 60 * 60 * 1000);
+
 // Middleware
+// Error envelopes go first so that even a malformed JSON body, or anything
+// the middleware after them throws, gets one. On /api, responses are checked
+// against the OpenAPI document (outside production) and requests are
+// validated after the API key check; the validator is built from the
+// document at the end of this file.
+app.use('/v1', OpenAICompat.errorEnvelope);
+app.use('/api', OpenAPI.errorEnvelope);
+app.use('/api', (req, res, next) => apiValidator.validateResponse(req, res, next));
 app.use(express.json({ limit: '6mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
+// model.html needs the transformer's custom layers to load a shared transformer,
+// and the training worker (public/js/train-worker.js) the custom LSTM recipe
+app.get('/js/transformer.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'transformer.js')));
+app.get('/js/char-dataset.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'char-dataset.js')));
+app.use(['/api', '/v1'], authenticateApiKey);
+app.use('/api', (req, res, next) => apiValidator.validateRequest(req, res, next));
 
 // Health
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', name: 'MiniLLM', version: '3.0.0' });
+  res.json({ status: 'ok', name: 'MiniLLM', version: API_VERSION });
+});
+
+// The calling API key's quotas and recent usage
+app.get('/api/keys/me', (req, res) => {
+  if (!req.apiKey) return res.status(401).json({ error: 'No API key given. Send Authorization: Bearer <key>.' });
+  if (!rateLimiter.consume(res, RATE_LIMITS.keyInfo, `keyInfo:${req.apiKey.id}`)) return;
+  const { id, name, requestsPerMinute, trainingsPerDay, maxLength, createdAt } = req.apiKey;
+  res.json({
+    id,
+    name,
+    quotas: { requestsPerMinute, trainingsPerDay, maxLength },
+    createdAt,
+    usage: apiKeys.usage(id)
+  });
 });
 
 // Markov completion
-app.get('/api/complete', (req, res) => {
-  const ip = req.headers['x-forwarded-for'] || req.ip;
-  if (!checkRateLimit(ip, 10, 60000)) {
-    return res.status(429).json({ error: 'Rate limited. Max 10 requests per minute.' });
-  }
-  const { text, preset, length } = req.query;
-  if (!text || !preset) return res.status(400).json({ error: 'Missing text or preset.' });
-  const chain = markovChains[preset];
-  if (!chain) return res.status(404).json({ error: `Unknown preset: ${preset}` });
-  const maxLen = Math.min(parseInt(length) || 100, 200);
-  res.json({ text: generateFromChain(chain, text, maxLen, MARKOV_ORDER) });
+const MAX_COMPLETE_LENGTH = 200;
+app.get('/api/complete', rateLimit('complete'), (req, res) => {
+  const { text, preset, chain, length, order } = req.query;
+  if (!(preset || chain)) return res.status(400).json({ error: 'Missing preset or chain.' });
+  const markov = chain ? getCustomChain(chain) : markovModels[preset];
+  if (!markov) {
+    return res.status(404).json({ error: chain ? 'Chain not found. Build a new one.' : `Unknown preset: ${preset}` });
+  }
+  const maxLen = Math.min(length, lengthCap(req, MAX_COMPLETE_LENGTH));
+  const sampling = Sampling.normalizeOptions(req.query, { temperature: 1 });
+  const result = generateFromChain(markov, text, maxLen, order, sampling, parseLogprobs(req.query.logprobs));
+  recordCharacters(req, result.text.length);
+  res.json(result.logprobs ? { ...result, order } : { text: result.text, order });
 });
 
-// Save model
-app.post('/api/models/save', (req, res) => {
-  const ip = req.headers['x-forwarded-for'] || req.ip;
-  if (!checkRateLimit(ip, 5, 3600000)) {
-    return res.status(429).json({ error: 'Rate limit exceeded. Max 5 saves per hour.' });
+// Tokenize text with the BPE tokenizer, alongside character and word counts
+app.post('/api/tokenize', rateLimit('tokenize'), (req, res) => {
+  if (!bpeTokenizer) return res.status(503).json({ error: 'Tokenizer not loaded.' });
+  const { text, merges: maxMerges } = req.body;
+  const tokens = bpeTokenizer.tokenize(text, { maxMerges });
+  res.json({
+    tokens,
+    ids: tokens.map(t => t.id),
+    vocabSize: bpeTokenizer.vocabSize,
+    merges: Math.min(maxMerges === undefined ? Infinity : maxMerges, bpeTokenizer.merges.length),
+    counts: {
+      characters: Array.from(text).length,
+      words: text.split(/\s+/).filter(Boolean).length,
+      tokens: tokens.length
+    }
+  });
+});
+
+// Build a Markov chain from pasted text
+app.post('/api/chains', rateLimit('chains'), (req, res) => {
+  const { text } = req.body;
+  const start = Date.now();
+  const markov = new MarkovModel(text, MAX_MARKOV_ORDER);
+  const chainToken = crypto.randomBytes(16).toString('hex');
+  try {
+    db.prepare('INSERT INTO custom_chains (token, text, ip) VALUES (?, ?, ?)').run(chainToken, text, req.ip);
+  } catch (e) {
+    console.error('Chain save error:', e);
+    return res.status(500).json({ error: 'Failed to save chain.' });
+  }
+  cacheCustomChain(chainToken, markov);
+  res.json({
+    chainToken,
+    characters: text.length,
+    vocabSize: markov.vocab.length,
+    states: Array.from({ length: MAX_MARKOV_ORDER }, (_, i) => markov.states(i + 1)), // per order 1..8
+    buildMs: Date.now() - start,
+    expiresAfterDays: CUSTOM_CHAIN_RETENTION_DAYS
+  });
+});
+
+// ===== Sharing =====
+// A share link is a row in the models table, of one of three types:
+//   model       a preset or custom-trained model's tfjs artifacts and
+//               vocabulary, copied under the share id (so the link outlives
+//               the custom model), which model.html loads and runs in the
+//               browser
+//   classifier  a text classifier trained in the browser (public/js/classifier.js):
+//               its categories, examples, vocabulary and weights, which
+//               classifier.html rebuilds
+//   output      a snapshot of generated text, shown by shared.html
+const MAX_SHARE_BYTES = 5 * 1024 * 1024;
+const SHARE_PAGES = { model: 'model.html', classifier: 'classifier.html', output: 'shared.html' };
+// Matches public/js/classifier.js
+const CLASSIFIER_LIMITS = { maxCategories: 6, maxExamples: 50, maxExampleLength: 300, maxVocabulary: 1000, maxHiddenUnits: 64 };
+
+// A stored custom model's tfjs artifacts, vocabulary and training stats,
+// or null (marks it as used)
+function readCustomModel(token) {
+  const row = db.prepare('SELECT topology, weight_specs, weight_data, vocab, stats FROM custom_models WHERE token = ?').get(token);
+  if (!row) return null;
+  touchCustomModel(token);
+  return {
+    modelTopology: JSON.parse(row.topology),
+    weightSpecs: JSON.parse(row.weight_specs),
+    weightData: row.weight_data,
+    vocab: JSON.parse(row.vocab),
+    stats: JSON.parse(row.stats || '{}')
+  };
+}
+
+// The artifacts and description of the model a share request names, or null
+function shareableModel({ preset, architecture, modelToken }) {
+  if (modelToken) {
+    const custom = readCustomModel(modelToken);
+    if (!custom) return null;
+    const { vocab, stats } = custom;
+    return {
+      meta: {
+        name: stats.name || 'Custom model',
+        preset: 'custom',
+        architecture: vocab.architecture === 'transformer' ? 'transformer' : 'lstm',
+        params: stats.totalParams,
+        seqLen: vocab.seqLen,
+        corpus: stats.corpus || null,
+        training: Bundle.customTraining(stats)
+      },
+      ...custom
+    };
   }
-  const data = JSON.stringify(req.body);
-  const sizeBytes = Buffer.byteLength(data);
-  if (sizeBytes > 5 * 1024 * 1024) {
+  const entry = registry.models.find(m => m.name === preset && m.architecture === architecture && m.hasWeights);
+  if (!entry) return null;
+  return {
+    meta: {
+      name: entry.displayName,
+      preset,
+      architecture,
+      params: entry.params,
+      units: entry.units,
+      seqLen: entry.seqLen,
+      trainedAt: entry.trainedAt,
+      defaultPrompt: entry.defaultPrompt,
+      ...Bundle.provenance(entry)
+    },
+    ...Registry.readArtifacts(entry)
+  };
+}
+
+// A classifier share's data and weights, or { error }. The request's shape
+// is checked against the spec; this checks what the spec cannot: that the
+// weights fit Input(vocabulary) → Dense(hiddenUnits) → Dense(categories).
+function shareableClassifier({ name, preset, categories, vocabulary, hiddenUnits, weights }) {
+  const names = categories.map(c => c.name.trim());
+  if (names.some(n => !n) || new Set(names).size !== names.length) {
+    return { error: 'Every category needs a different name.' };
+  }
+  if (categories.some(c => !c.examples.length)) return { error: 'Every category needs at least one example.' };
+  const weightData = Buffer.from(weights, 'base64');
+  const params = vocabulary.length * hiddenUnits + hiddenUnits + hiddenUnits * categories.length + categories.length;
+  if (weightData.length !== params * 4) {
+    return { error: `weights must be ${params} float32 values for this vocabulary, hidden layer and categories.` };
+  }
+  return {
+    data: {
+      name: name || names.join(' vs '),
+      preset: preset || 'custom',
+      categories: categories.map((c, i) => ({ name: names[i], examples: c.examples })),
+      vocabulary,
+      hiddenUnits,
+      params
+    },
+    weights: weightData
+  };
+}
+
+// Share a model (type: 'model'), a classifier (type: 'classifier') or
+// generated text (type: 'output')
+app.post('/api/models/save', rateLimit('saveModel'), (req, res) => {
+  const { prompt } = req.body;
+  // Older clients sent `type: 'lstm-output'` and a bare `temperature`
+  const type = req.body.type === 'lstm-output' ? 'output' : req.body.type;
+  const sampling = req.body.sampling || (typeof req.body.temperature === 'number' ? { temperature: req.body.temperature } : undefined);
+  let data, weights = null;
+  if (type === 'model') {
+    const model = shareableModel(req.body);
+    if (!model) {
+      return res.status(404).json({ error: req.body.modelToken ? 'Model not found. Train a new one.' : `Model "${req.body.preset}" (${req.body.architecture}) not found.` });
+    }
+    data = { ...model.meta, prompt, sampling, vocab: model.vocab, topology: model.modelTopology, weightSpecs: model.weightSpecs };
+    weights = Buffer.from(model.weightData);
+  } else if (type === 'classifier') {
+    const classifier = shareableClassifier(req.body);
+    if (classifier.error) return res.status(400).json({ error: classifier.error });
+    ({ data, weights } = classifier);
+  } else {
+    const { preset, output, model } = req.body;
+    data = { preset, prompt, output, sampling, model };
+  }
+
+  const json = JSON.stringify(data);
+  const sizeBytes = Buffer.byteLength(json) + (weights ? weights.length : 0);
+  if (sizeBytes > MAX_SHARE_BYTES) {
     return res.status(413).json({ error: 'Model too large. Max 5MB.' });
   }
   const id = crypto.randomBytes(8).toString('hex');
   try {
-    db.prepare('INSERT INTO models (id, data, preset, ip, size_bytes) VALUES (?, ?, ?, ?, ?)')
-      .run(id, data, req.body.preset || 'unknown', ip, sizeBytes);
-    res.json({ id, url: `/model.html?id=${id}` });
+    db.prepare('INSERT INTO models (id, type, data, weights, preset, ip, size_bytes) VALUES (?, ?, ?, ?, ?, ?, ?)')
+      .run(id, type, json, weights, data.preset || 'unknown', req.ip, sizeBytes);
+    res.json({ id, type, url: `/${SHARE_PAGES[type]}?id=${id}` });
   } catch (e) {
     console.error('Save error:', e);
     res.status(500).json({ error: 'Failed to save model.' });
   }
 });
 
-// Load model
+// Load a share: a model's description, topology and vocabulary or a
+// classifier's categories and vocabulary (their weights are fetched from
+// weightsUrl), or an output snapshot
 app.get('/api/models/:id', (req, res) => {
-  const row = db.prepare('SELECT data, preset, created_at FROM models WHERE id = ?').get(req.params.id);
+  const row = db.prepare('SELECT data, type, created_at FROM models WHERE id = ?').get(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Model not found.' });
+  // Older output snapshots were saved with `type: 'lstm-output'` in their data
+  const share = { ...JSON.parse(row.data), id: req.params.id, type: row.type || 'output', createdAt: row.created_at };
+  if (share.type === 'model' || share.type === 'classifier') share.weightsUrl = `/api/models/${share.id}/weights.bin`;
+  res.json(share);
+});
+
+// A shared model's weights, as raw little-endian float32s in weightSpecs
+// order (a classifier's: each layer's kernel, then its bias)
+app.get('/api/models/:id/weights.bin', (req, res) => {
+  const row = db.prepare("SELECT weights FROM models WHERE id = ? AND type IN ('model', 'classifier')").get(req.params.id);
   if (!row) return res.status(404).json({ error: 'Model not found.' });
-  res.json({ ...JSON.parse(row.data), createdAt: row.created_at });
+  // A share never changes once saved
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.type('application/octet-stream').send(row.weights);
 });
 
 // Model info
 app.get('/api/models/:id/info', (req, res) => {
-  const row = db.prepare('SELECT preset, created_at, size_bytes FROM models WHERE id = ?').get(req.params.id);
+  const row = db.prepare("SELECT type, preset, json_extract(data, '$.architecture') AS architecture, created_at, size_bytes FROM models WHERE id = ?")
+    .get(req.params.id);
   if (!row) return res.status(404).json({ error: 'Model not found.' });
-  res.json({ id: req.params.id, preset: row.preset, createdAt: row.created_at, sizeBytes: row.size_bytes });
+  res.json({
+    id: req.params.id,
+    type: row.type || 'output',
+    preset: row.preset,
+    architecture: row.architecture,
+    createdAt: row.created_at,
+    sizeBytes: row.size_bytes
+  });
 });
 
-// ===== LSTM Neural Network Language Models =====
-let tf;
+// ===== Neural Network Language Models =====
+// tfjs lives in a pool of worker threads (lib/model-worker.js), so training
+// and inference never block this event loop. Every worker loads each registry
+// entry with weights under its preset name: LSTMs (models/<preset>/) and
+// optionally small transformers (models/<preset>-transformer/, from
+// `node train-models.js --arch transformer`). Here we only keep the manifests
+// of the models that loaded.
+const MODEL_WORKERS = Math.max(1, parseInt(process.env.MODEL_WORKERS) || 3);
+// Training jobs may take all workers but one, so generation never waits on them
+const MAX_CONCURRENT_TRAININGS = Math.max(1, Math.min(2, MODEL_WORKERS - 1));
+const GENERATE_TIMEOUT_MS = 30 * 1000;
+const STREAM_TIMEOUT_MS = 5 * 60 * 1000;
+const EVALUATE_TIMEOUT_MS = 30 * 1000;
+const TRAIN_TIMEOUT_MS = 10 * 60 * 1000;
+
+const pool = new WorkerPool(path.join(__dirname, 'lib', 'model-worker.js'), {
+  size: MODEL_WORKERS,
+  limits: { train: MAX_CONCURRENT_TRAININGS },
+  workerData: { models: registry.models, dbPath: DB_PATH }
+});
+let neuralAvailable = false;
 const lstmModels = {};
+const transformerModels = {};
+const ARCHITECTURES = { lstm: lstmModels, transformer: transformerModels };
 
-async function loadLSTMModels() {
-  try {
-    tf = require('@tensorflow/tfjs-node');
-  } catch (e) {
-    console.error('TF.js not available, LSTM generation disabled');
-    return;
-  }
-  const modelsDir = path.join(__dirname, 'models');
-  for (const preset of ['shakespeare', 'recipes', 'python']) {
-    const modelPath = path.join(modelsDir, preset, 'model.json');
-    const vocabPath = path.join(modelsDir, preset, 'vocab.json');
-    if (!fs.existsSync(modelPath) || !fs.existsSync(vocabPath)) {
-      console.log(`LSTM model not found for ${preset}, skipping`);
-      continue;
-    }
-    try {
-      const model = await tf.loadLayersModel(`file://${modelPath}`);
-      const vocab = JSON.parse(fs.readFileSync(vocabPath, 'utf-8'));
-      lstmModels[preset] = { model, vocab };
-      console.log(`LSTM model loaded: ${preset} (vocab=${vocab.vocabSize})`);
-    } catch (e) {
-      console.error(`Failed to load ${preset}:`, e.message);
-    }
+// Error response for a failed pool job: client errors and timeouts keep their
+// message, anything else is logged and reported as `fallback`
+function sendJobError(res, e, fallback) {
+  const internal = !e.status || e.status === 500;
+  if (internal) console.error(fallback, e);
+  res.status(e.status || 500).json({ error: internal ? fallback : e.message });
+}
+
+// ===== Streaming generation (Server-Sent Events) =====
+// Streams are capped higher than one-shot responses because each character is
+// flushed as it is sampled and the worker yields between characters.
+// LSTMs step their state one character at a time and can go much further than
+// transformers, which still rerun a whole window per character.
+const GENERATE_LIMITS = {
+  lstm: { length: 1000, stream: 3000 },
+  transformer: { length: 300, stream: 1000 }
+};
+const MAX_SAMPLES = 5; // `n` on /api/generate
+const SESSION_EXPIRED = 'Generation session expired. Start a new one.';
+const SESSION_TTL_MS = 10 * 60 * 1000; // 10 min
+const generationSessions = new Map(); // id -> { preset + architecture | modelToken, context, sampling, updatedAt }
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, s] of generationSessions) {
+    if (now - s.updatedAt > SESSION_TTL_MS) generationSessions.delete(id);
   }
+}, 60 * 1000);
+
+// Starts a text/event-stream response and returns a send(event, data)
+// function (a null event sends a plain `data:` message)
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  return (event, data) => res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
 }
 
-function lstmGenerate(preset, seed, length, temperature) {
-  const { model, vocab } = lstmModels[preset];
-  const { charToIdx, idxToChar, vocabSize, seqLen } = vocab;
-  temperature = temperature || 0.7;
+// Runs a streaming generate job on the pool, sending `token` events as the
+// worker samples characters, then a `done` event with the full text and a
+// session id that a later request can pass as `resume` to keep generating
+// from where this stream stopped. Cancels the job if the client goes away.
+async function streamGeneration(req, res, payload, session) {
+  const send = openEventStream(res);
+  const job = pool.run('generate', { ...payload, stream: true }, {
+    timeoutMs: STREAM_TIMEOUT_MS,
+    onProgress: token => send('token', token)
+  });
 
-  // Pad or truncate seed to seqLen
-  let ctx = seed.slice(-seqLen);
-  while (ctx.length < seqLen) ctx = ' ' + ctx;
+  let aborted = false;
+  res.on('close', () => {
+    if (res.writableEnded) return;
+    aborted = true;
+    job.cancel();
+  });
 
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    // One-hot encode context
-    const x = [];
-    for (let j = 0; j < seqLen; j++) {
-      const oh = new Float32Array(vocabSize);
-      const idx = charToIdx[ctx[j]];
-      if (idx !== undefined) oh[idx] = 1;
-      else oh[0] = 1; // fallback
-      x.push(oh);
-    }
+  let text;
+  try {
+    const result = await job.promise; // null if cancelled before it started
+    text = result ? result.text : '';
+  } catch (e) {
+    if (e.status !== 404) console.error('Streaming generation error:', e);
+    const status = e.status && e.status !== 500 ? e.status : 500;
+    if (!aborted) send('error', OpenAPI.errorBody(status, status === 500 ? 'Generation failed.' : e.message));
+    return res.end();
+  }
+  recordCharacters(req, text.length);
+  if (aborted) return;
 
-    const input = tf.tensor3d([x]);
-    const pred = model.predict(input);
-    const probs = pred.dataSync();
-    input.dispose();
-    pred.dispose();
-
-    // Temperature sampling
-    const scaled = Array.from(probs).map(p => Math.exp(Math.log(Math.max(p, 1e-8)) / temperature));
-    const sum = scaled.reduce((a, b) => a + b, 0);
-    const norm = scaled.map(s => s / sum);
-
-    let r = Math.random();
-    let idx = 0;
-    for (let j = 0; j < norm.length; j++) {
-      r -= norm[j];
-      if (r <= 0) { idx = j; break; }
-    }
+  const { id, ...state } = session;
+  const sessionId = id || crypto.randomBytes(8).toString('hex');
+  generationSessions.set(sessionId, { ...state, context: (state.context + text).slice(-200), updatedAt: Date.now() });
+  send('done', { text, sessionId });
+  res.end();
+}
 
-    const ch = idxToChar[String(idx)] || ' ';
-    result += ch;
-    ctx = ctx.slice(1) + ch;
+// Resolves `resume` into the stored session, filling in prompt, model and
+// sampling fields the client no longer needs to send.
+function resolveSession(body) {
+  if (!body.resume) return body;
+  const s = generationSessions.get(body.resume);
+  if (!s) return null;
+  const resolved = { ...body, prompt: s.context, preset: s.preset, architecture: s.architecture, modelToken: s.modelToken };
+  for (const key of Object.keys(Sampling.DEFAULTS)) {
+    if (resolved[key] === undefined) resolved[key] = s.sampling[key];
   }
-  return result;
+  return resolved;
 }
 
 // LSTM generation endpoint
-app.post('/api/generate', (req, res) => {
-  const ip = req.headers['x-forwarded-for'] || req.ip;
-  if (!checkRateLimit(ip, 15, 60000)) {
-    return res.status(429).json({ error: 'Rate limited. Max 15 requests per minute.' });
-  }
+app.post('/api/generate', rateLimit('generate'), async (req, res) => {
+
+  const body = resolveSession(req.body);
+  if (!body) return res.status(404).json({ error: SESSION_EXPIRED, code: 'session_expired' });
+  const { prompt, preset, length, stream, architecture, n } = body;
+  const topLogprobs = parseLogprobs(body.logprobs);
+  if (stream && n > 1) return res.status(400).json({ error: 'Only one sample can be streamed.' });
+  const loaded = ARCHITECTURES[architecture][preset];
+  if (!loaded) return res.status(404).json({ error: `Model "${preset}" (${architecture}) not loaded.` });
 
-  const { prompt, preset, temperature, length } = req.body;
-  if (!prompt || !preset) return res.status(400).json({ error: 'Missing prompt or preset.' });
-  if (!lstmModels[preset]) return res.status(404).json({ error: `Model "${preset}" not loaded.` });
+  const limits = GENERATE_LIMITS[architecture];
+  const maxLen = Math.min(length, lengthCap(req, stream ? limits.stream : limits.length));
+  const sampling = Sampling.normalizeOptions(body);
+  const payload = { architecture, preset, prompt, length: maxLen, n, sampling, topLogprobs };
 
-  const maxLen = Math.min(parseInt(length) || 150, 300);
-  const temp = Math.max(0.1, Math.min(2.0, parseFloat(temperature) || 0.7));
+  if (stream) {
+    const session = { id: req.body.resume, preset, architecture, context: prompt, sampling };
+    return streamGeneration(req, res, payload, session);
+  }
 
   try {
-    const text = lstmGenerate(preset, prompt, maxLen, temp);
-    res.json({ text, model: 'lstm-64', params: 35900, preset });
+    const { samples } = await pool.run('generate', payload, { timeoutMs: GENERATE_TIMEOUT_MS }).promise;
+    recordCharacters(req, samples.reduce((sum, s) => sum + s.text.length, 0));
+    const { text, logprobs } = samples[0];
+    const { units, params } = loaded.manifest;
+    res.json({
+      text,
+      model: `${architecture}-${units}`,
+      params,
+      architecture,
+      preset,
+      ...(logprobs && { logprobs }),
+      ...(n > 1 && { samples: samples.map(s => (s.logprobs ? s : { text: s.text })) })
+    });
   } catch (e) {
-    console.error('Generation error:', e);
-    res.status(500).json({ error: 'Generation failed.' });
+    sendJobError(res, e, 'Generation failed.');
   }
 });
 
 // Custom text LSTM training (small model, CPU, ~15-30s)
-const customModels = new Map(); // token -> { model, vocab, charToIdx, idxToChar, createdAt }
-let activeTrainings = 0;
-const MAX_CONCURRENT_TRAININGS = 2;
-const MAX_CUSTOM_MODELS = 20;
-const MODEL_TTL_MS = 30 * 60 * 1000; // 30 min
+// Trained models are written to the custom_models table; workers load them
+// into tfjs on first use (keeping the most recently used ones in memory), so
+// a model token survives restarts.
+const CUSTOM_MODEL_RETENTION_DAYS = 30;
+
+function saveCustomModel(token, { artifacts, vocab, stats }, ip) {
+  db.prepare(`INSERT INTO custom_models (token, topology, weight_specs, weight_data, vocab, stats, ip)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`).run(
+    token,
+    JSON.stringify(artifacts.modelTopology),
+    JSON.stringify(artifacts.weightSpecs),
+    Buffer.from(artifacts.weightData),
+    JSON.stringify(vocab),
+    JSON.stringify(stats),
+    ip
+  );
+}
+
+// Marks a stored model as used; false if there is no such model
+function touchCustomModel(token) {
+  return db.prepare("UPDATE custom_models SET last_used_at = datetime('now') WHERE token = ?").run(token).changes > 0;
+}
+
+// Drop models nobody has used in a month, once a day
+function pruneCustomModels() {
+  const { changes } = db.prepare("DELETE FROM custom_models WHERE last_used_at < datetime('now', ?)")
+    .run(`-${CUSTOM_MODEL_RETENTION_DAYS} days`);
+  if (changes) console.log(`Pruned ${changes} unused custom models`);
+}
+pruneCustomModels();
+setInterval(pruneCustomModels, 24 * 60 * 60 * 1000);
+
+// ===== Training jobs =====
+// POST /api/train-jobs queues a run on the worker pool and returns a job id
+// straight away. Progress (loss, elapsed time and a short sample after each
+// epoch) can be polled or followed as an event stream. The pool runs
+// MAX_CONCURRENT_TRAININGS jobs at once; the rest wait in FIFO order instead
+// of being turned away.
+const trainingJobs = new Map(); // id -> job
+const MAX_QUEUED_TRAININGS = 10;
+const MIN_TRAIN_TEXT = 100;
+const MAX_TRAIN_TEXT = 50000;
+const JOB_TTL_MS = 30 * 60 * 1000; // finished jobs are forgotten after 30 min
+const FINISHED_JOB_STATES = ['completed', 'failed', 'cancelled'];
 
-// Cleanup expired models every 5 min
 setInterval(() => {
   const now = Date.now();
-  for (const [token, cm] of customModels) {
-    if (now - cm.createdAt > MODEL_TTL_MS) {
-      try { cm.model.dispose(); } catch(e) {}
-      customModels.delete(token);
-    }
+  for (const [id, job] of trainingJobs) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) trainingJobs.delete(id);
   }
 }, 5 * 60 * 1000);
 
-app.post('/api/train-custom', async (req, res) => {
-  const ip = req.headers['x-forwarded-for'] || req.ip;
-  
-  const turnstileOk = await verifyTurnstile(req.body.turnstileToken);
-  if (!turnstileOk) return res.status(403).json({ error: 'Verification failed. Please complete the captcha and try again.' });
+function jobSnapshot(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    position: job.status === 'queued' && job.task ? pool.position(job.task) : null,
+    totalEpochs: job.totalEpochs,
+    epochs: job.epochs,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+function emitJobEvent(job, event, data) {
+  for (const listener of job.listeners) listener(event, data);
+}
 
-  if (!checkRateLimit(ip, 3, 300000)) {
-    return res.status(429).json({ error: 'Rate limited. Max 3 training requests per 5 minutes.' });
-  }
+function setJobStatus(job, status, fields) {
+  Object.assign(job, { status }, fields);
+  if (FINISHED_JOB_STATES.includes(status)) job.finishedAt = Date.now();
+  emitJobEvent(job, 'status', jobSnapshot(job));
+}
 
-  if (activeTrainings >= MAX_CONCURRENT_TRAININGS) {
-    return res.status(503).json({ error: 'Server busy — too many models training right now. Try again in 30 seconds.' });
+// Everyone still waiting has moved up the queue
+pool.on('start', task => {
+  if (task.kind !== 'train') return;
+  for (const job of trainingJobs.values()) {
+    if (job.status === 'queued') emitJobEvent(job, 'status', jobSnapshot(job));
   }
+});
+
+function createTrainingJob(text, ip) {
+  const job = {
+    id: crypto.randomBytes(16).toString('hex'),
+    status: 'queued',
+    ip,
+    task: null,
+    totalEpochs: null,
+    epochs: [],
+    result: null,
+    error: null,
+    errorStatus: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    listeners: new Set()
+  };
+  trainingJobs.set(job.id, job);
 
-  if (customModels.size >= MAX_CUSTOM_MODELS) {
-    // Evict oldest
-    let oldest = null, oldestTime = Infinity;
-    for (const [token, cm] of customModels) {
-      if (cm.createdAt < oldestTime) { oldest = token; oldestTime = cm.createdAt; }
+  const modelToken = crypto.randomBytes(16).toString('hex');
+  job.task = pool.run('train', { text, modelToken }, {
+    timeoutMs: TRAIN_TIMEOUT_MS,
+    onStart: () => setJobStatus(job, 'running', { startedAt: Date.now() }),
+    onProgress: progress => {
+      if (progress.totalEpochs) return void (job.totalEpochs = progress.totalEpochs);
+      job.epochs.push(progress);
+      emitJobEvent(job, 'epoch', progress);
     }
-    if (oldest) { try { customModels.get(oldest).model.dispose(); } catch(e) {} customModels.delete(oldest); }
+  });
+  job.task.promise.then(result => {
+    if (job.status === 'cancelled') return;
+    if (!result) return setJobStatus(job, 'cancelled');
+    // Persist the model under its token; the worker that trained it keeps it hot.
+    // The corpus fingerprint goes into exported bundles.
+    saveCustomModel(modelToken, { ...result, stats: { ...result.stats, corpus: Bundle.corpusInfo(text) } }, ip);
+    setJobStatus(job, 'completed', { result: { success: true, modelToken, ...result.stats } });
+  }).catch(e => {
+    if (!e.status || e.status === 500) console.error('Custom training error:', e);
+    setJobStatus(job, 'failed', {
+      error: e.message,
+      errorStatus: e.status || 500
+    });
+  });
+  return job;
+}
+
+// Queued jobs are dropped; running ones stop at the next batch boundary
+function cancelTrainingJob(job) {
+  if (FINISHED_JOB_STATES.includes(job.status)) return;
+  job.task.cancel();
+  if (job.status === 'queued') setJobStatus(job, 'cancelled');
+}
+
+// Shared gatekeeping for both training routes. Sends the error response and
+// returns null if the request may not queue a job.
+async function admitTrainingRequest(req, res) {
+  const { ip, apiKey } = req;
+  const reject = (status, error, code) => { res.status(status).json({ error, code }); return null; };
+
+  if (apiKey) {
+    if (!apiKey.trainingsPerDay) return reject(403, 'This API key may not train models.');
+    if (apiKeys.trainingsToday(apiKey.id) >= apiKey.trainingsPerDay) {
+      return reject(429, `This API key has used its ${apiKey.trainingsPerDay} training jobs for today.`, 'quota_exceeded');
+    }
+  } else {
+    const turnstileOk = await verifyTurnstile(req.body.turnstileToken);
+    if (!turnstileOk) return reject(403, 'Verification failed. Please complete the captcha and try again.', 'captcha_failed');
   }
 
   const { text } = req.body;
-  if (!text || text.length < 100) return res.status(400).json({ error: 'Need at least 100 characters of text.' });
-  if (text.length > 50000) return res.status(400).json({ error: 'Max 50,000 characters.' });
+  if (!neuralAvailable) return reject(503, 'Training is unavailable on this server.');
+  if (pool.queued('train') >= MAX_QUEUED_TRAININGS) {
+    return reject(503, 'Server busy — too many models waiting to train. Try again in a minute.', 'queue_full');
+  }
+  if (apiKey) apiKeys.record(apiKey.id, { trainings: 1 });
+  return { text, ip };
+}
 
-  activeTrainings++;
-  try {
-    const tf = require('@tensorflow/tfjs-node');
-    const SEQ_LEN = 20;
-    const UNITS = 32;
-    const EPOCHS = 10;
-    const BATCH_SIZE = 32;
-
-    // Build vocabulary
-    const chars = [...new Set(text.split(''))].sort();
-    const charToIdx = {};
-    const idxToChar = {};
-    chars.forEach((c, i) => { charToIdx[c] = i; idxToChar[i] = c; });
-    const vocabSize = chars.length;
-
-    // Prepare training data
-    const maxSamples = 500;
-    const step = Math.max(1, Math.floor((text.length - SEQ_LEN - 1) / maxSamples));
-    const xData = [], yData = [];
-
-    for (let i = 0; i < text.length - SEQ_LEN - 1; i += step) {
-      if (xData.length >= maxSamples) break;
-      const seq = text.slice(i, i + SEQ_LEN);
-      const target = text[i + SEQ_LEN];
-      if (charToIdx[target] === undefined) continue;
-      const x = [];
-      let valid = true;
-      for (let j = 0; j < SEQ_LEN; j++) {
-        if (charToIdx[seq[j]] === undefined) { valid = false; break; }
-        const oh = new Float32Array(vocabSize);
-        oh[charToIdx[seq[j]]] = 1;
-        x.push(oh);
-      }
-      if (!valid) continue;
-      const y = new Float32Array(vocabSize);
-      y[charToIdx[target]] = 1;
-      xData.push(x);
-      yData.push(y);
-    }
+app.post('/api/train-jobs', rateLimit('train'), async (req, res) => {
+  const admitted = await admitTrainingRequest(req, res);
+  if (!admitted) return;
+  const job = createTrainingJob(admitted.text, admitted.ip);
+  res.status(202).json(jobSnapshot(job));
+});
 
-    if (xData.length < 20) return res.status(400).json({ error: 'Not enough usable training data.' });
+app.get('/api/train-jobs/:id', (req, res) => {
+  const job = trainingJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Training job not found.' });
+  res.json(jobSnapshot(job));
+});
 
-    const xTensor = tf.tensor3d(xData);
-    const yTensor = tf.tensor2d(yData);
+// Event stream: a `status` snapshot now and on every state change, plus an
+// `epoch` event after each epoch. Closes once the job has finished.
+app.get('/api/train-jobs/:id/events', (req, res) => {
+  const job = trainingJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Training job not found.' });
 
-    const model = tf.sequential();
-    model.add(tf.layers.lstm({ units: UNITS, inputShape: [SEQ_LEN, vocabSize], returnSequences: false }));
-    model.add(tf.layers.dense({ units: vocabSize, activation: 'softmax' }));
-    model.compile({ optimizer: tf.train.adam(0.005), loss: 'categoricalCrossentropy' });
+  const send = openEventStream(res);
+  send('status', jobSnapshot(job));
+  if (FINISHED_JOB_STATES.includes(job.status)) return res.end();
 
-    const losses = [];
-    const t0 = Date.now();
-    await model.fit(xTensor, yTensor, {
-      epochs: EPOCHS,
-      batchSize: BATCH_SIZE,
-      shuffle: true,
-      callbacks: { onEpochEnd: (epoch, logs) => losses.push(logs.loss) }
-    });
-    const trainTime = Date.now() - t0;
+  const listener = (event, data) => {
+    send(event, data);
+    if (event === 'status' && FINISHED_JOB_STATES.includes(data.status)) res.end();
+  };
+  job.listeners.add(listener);
+  res.on('close', () => job.listeners.delete(listener));
+});
 
-    xTensor.dispose();
-    yTensor.dispose();
+app.delete('/api/train-jobs/:id', (req, res) => {
+  const job = trainingJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Training job not found.' });
+  cancelTrainingJob(job);
+  res.json(jobSnapshot(job));
+});
 
-    // Store the model with a unique token
-    const modelToken = crypto.randomBytes(16).toString('hex');
-    customModels.set(modelToken, { model, charToIdx, idxToChar, vocabSize, seqLen: SEQ_LEN, createdAt: Date.now() });
+// Blocking variant kept for older clients: queues a job and answers when it is done.
+app.post('/api/train-custom', rateLimit('train'), async (req, res) => {
+  const admitted = await admitTrainingRequest(req, res);
+  if (!admitted) return;
+  const job = createTrainingJob(admitted.text, admitted.ip);
 
-    const totalParams = model.countParams();
-    activeTrainings--;
-    res.json({
-      success: true,
-      modelToken,
-      samples: xData.length,
-      vocabSize,
-      totalParams,
-      epochs: EPOCHS,
-      finalLoss: losses[losses.length - 1],
-      losses,
-      trainTimeMs: trainTime,
-      architecture: `LSTM (${UNITS} units)`
-    });
+  // Nobody is waiting for the result any more
+  res.on('close', () => { if (!res.writableEnded) cancelTrainingJob(job); });
+
+  job.listeners.add((event, data) => {
+    if (event !== 'status' || !FINISHED_JOB_STATES.includes(data.status) || res.writableEnded) return;
+    if (data.status === 'completed') res.json(data.result);
+    else if (data.status === 'failed') {
+      res.status(job.errorStatus).json({ error: job.errorStatus === 500 ? 'Training failed: ' + job.error : job.error });
+    } else {
+      // Cancelled through DELETE /api/train-jobs/:id
+      res.status(409).json({ error: 'Training was cancelled.', code: 'cancelled' });
+    }
+  });
+});
+
+// Generate from custom model
+app.post('/api/generate-custom', rateLimit('generateCustom'), async (req, res) => {
+
+  const body = resolveSession(req.body);
+  if (!body) return res.status(404).json({ error: SESSION_EXPIRED, code: 'session_expired' });
+  const { prompt, length, modelToken, stream } = body;
+  const topLogprobs = parseLogprobs(body.logprobs);
+  if (!touchCustomModel(modelToken)) return res.status(404).json({ error: 'Model not found. Train a new one.' });
+
+  const maxLen = Math.min(length, lengthCap(req, stream ? GENERATE_LIMITS.lstm.stream : GENERATE_LIMITS.lstm.length));
+  const sampling = Sampling.normalizeOptions(body);
+  const payload = { modelToken, prompt, length: maxLen, sampling, topLogprobs };
+
+  if (stream) {
+    const session = { id: req.body.resume, modelToken, context: prompt, sampling };
+    return streamGeneration(req, res, payload, session);
+  }
+
+  try {
+    const { samples: [{ text, logprobs }], params } = await pool.run('generate', payload, { timeoutMs: GENERATE_TIMEOUT_MS }).promise;
+    recordCharacters(req, text.length);
+    // Imported custom models may be transformers
+    const { architecture } = db.prepare("SELECT json_extract(vocab, '$.architecture') AS architecture FROM custom_models WHERE token = ?").get(modelToken) || {};
+    res.json({ text, model: architecture === 'transformer' ? 'custom-transformer' : 'custom-lstm-32', params, ...(logprobs && { logprobs }) });
   } catch (e) {
-    console.error('Custom training error:', e);
-    activeTrainings--;
-    res.status(500).json({ error: 'Training failed: ' + e.message });
+    sendJobError(res, e, 'Generation failed.');
   }
 });
 
-// Generate from custom model
-app.post('/api/generate-custom', (req, res) => {
-  const ip = req.headers['x-forwarded-for'] || req.ip;
-  if (!checkRateLimit(ip, 15, 60000)) return res.status(429).json({ error: 'Rate limited.' });
+// ===== Model bundles =====
+// Any model can be downloaded as a bundle (lib/bundle.js): a preset's LSTM,
+// transformer or Markov chain, a custom model or chain, or a shared model.
+// Uploaded bundles become custom models (or chains), subject to the same
+// retention, after their files, limits and a test run all check out.
+const MAX_BUNDLE_BYTES = 10 * 1024 * 1024;
+const MAX_UNPACKED_BUNDLE_BYTES = 20 * 1024 * 1024;
+const IMPORT_LIMITS = { maxParams: 2000000, maxSeqLen: 256, maxVocab: 512 };
+
+// The bundle an export request names, as { filename, bundle }, null if there
+// is no such model, or { error } if it cannot be bundled
+function exportBundle({ preset, architecture, modelToken, chainToken, shareId }) {
+  if (modelToken) {
+    const custom = readCustomModel(modelToken);
+    if (!custom) return null;
+    const { stats } = custom;
+    return {
+      filename: `custom-${modelToken.slice(0, 8)}`,
+      bundle: Bundle.neuralBundle(custom, {
+        name: stats.name || 'Custom model', source: 'custom', corpus: stats.corpus || null, training: Bundle.customTraining(stats)
+      })
+    };
+  }
+  if (chainToken) {
+    const row = db.prepare('SELECT text FROM custom_chains WHERE token = ?').get(chainToken);
+    if (!row) return null;
+    db.prepare("UPDATE custom_chains SET last_used_at = datetime('now') WHERE token = ?").run(chainToken);
+    return {
+      filename: `chain-${chainToken.slice(0, 8)}`,
+      bundle: Bundle.markovBundle(row.text, { name: 'Custom chain', source: 'chain', maxOrder: MAX_MARKOV_ORDER })
+    };
+  }
+  if (shareId) {
+    const row = db.prepare('SELECT type, data, weights FROM models WHERE id = ?').get(shareId);
+    if (!row) return null;
+    if (row.type === 'classifier') return { error: 'That share is a classifier; classifiers cannot be exported as bundles.' };
+    if (row.type !== 'model') return { error: 'That share is generated text, not a model.' };
+    const data = JSON.parse(row.data);
+    return {
+      filename: `shared-${shareId}`,
+      bundle: Bundle.neuralBundle(
+        { modelTopology: data.topology, weightSpecs: data.weightSpecs, weightData: row.weights, vocab: data.vocab },
+        { name: data.name, source: 'share', corpus: data.corpus || null, training: data.training || null }
+      )
+    };
+  }
+  if (architecture === 'markov') {
+    const entry = registry.presets.find(p => p.name === preset);
+    if (!entry || !markovModels[preset]) return null;
+    const text = fs.readFileSync(Registry.corpusPath(entry.corpus), 'utf-8');
+    return {
+      filename: `${preset}-markov`,
+      bundle: Bundle.markovBundle(text, { name: entry.displayName, source: 'preset', maxOrder: MAX_MARKOV_ORDER })
+    };
+  }
+  const entry = registry.models.find(m => m.name === preset && m.architecture === architecture && m.hasWeights);
+  if (!entry) return null;
+  return { filename: `${preset}-${architecture}`, bundle: Bundle.entryBundle(entry) };
+}
 
-  const { prompt, temperature, length, modelToken } = req.body;
-  if (!modelToken) return res.status(400).json({ error: 'Missing modelToken.' });
-  const cm = customModels.get(modelToken);
-  if (!cm) return res.status(404).json({ error: 'Model expired or not found. Train a new one.' });
-  if (!prompt) return res.status(400).json({ error: 'Missing prompt.' });
+app.get('/api/export', rateLimit('exportModel'), (req, res) => {
+  const { preset, modelToken, chainToken, shareId } = req.query;
+  if (!preset && !modelToken && !chainToken && !shareId) {
+    return res.status(400).json({ error: 'Name a preset, modelToken, chainToken or shareId to export.' });
+  }
+  const found = exportBundle(req.query);
+  if (!found) return res.status(404).json({ error: 'Model not found.' });
+  if (found.error) return res.status(400).json({ error: found.error });
+  res.attachment(`minillm-${found.filename}.tar.gz`);
+  res.type('application/gzip').send(found.bundle);
+});
 
-  const tf = require('@tensorflow/tfjs-node');
-  const maxLen = Math.min(parseInt(length) || 100, 200);
-  const temp = Math.max(0.1, Math.min(2.0, parseFloat(temperature) || 0.7));
+// Register an uploaded bundle as a custom model or chain
+// Bundles from the browser trainer (public/js/train-worker.js) say so with
+// ?source=browser, before the body is read, and their manifest must agree.
+// They have their own rate limit and skip the test run below: the browser
+// already ran the model, and the server's tfjs is only needed to generate
+// from it here (sharing and downloading work without).
+const importLimits = { browser: rateLimit('importBrowserModel'), other: rateLimit('importModel') };
 
+app.post('/api/import', (req, res, next) => importLimits[req.query.source === 'browser' ? 'browser' : 'other'](req, res, next), express.raw({ type: () => true, limit: MAX_BUNDLE_BYTES }), async (req, res) => {
+  // Too-large bundles keep the usual payload_too_large code
+  const reject = (status, error) => res.status(status).json({ error, ...(status === 400 && { code: 'invalid_bundle' }) });
+  if (!Buffer.isBuffer(req.body) || !req.body.length) return reject(400, 'Send a bundle (.tar.gz) as the request body.');
+  const fromBrowser = req.query.source === 'browser';
+
+  let bundle, architecture;
   try {
-    let result = '';
-    let current = prompt.slice(-cm.seqLen);
-
-    for (let i = 0; i < maxLen; i++) {
-      const padded = current.padStart(cm.seqLen, ' ').slice(-cm.seqLen);
-      const input = [];
-      let valid = true;
-      for (let j = 0; j < cm.seqLen; j++) {
-        const oh = new Float32Array(cm.vocabSize);
-        const idx = cm.charToIdx[padded[j]];
-        if (idx !== undefined) oh[idx] = 1;
-        else { oh[0] = 1; } // fallback
-        input.push(oh);
-      }
-      const tensor = tf.tensor3d([input]);
-      const pred = cm.model.predict(tensor);
-      const probs = pred.dataSync();
-      tensor.dispose();
-      pred.dispose();
-
-      // Temperature sampling
-      const logits = Array.from(probs).map(p => Math.log(Math.max(p, 1e-10)) / temp);
-      const maxL = Math.max(...logits);
-      const exps = logits.map(l => Math.exp(l - maxL));
-      const sum = exps.reduce((a, b) => a + b, 0);
-      const dist = exps.map(e => e / sum);
-
-      let r = Math.random(), cumul = 0, chosen = 0;
-      for (let j = 0; j < dist.length; j++) {
-        cumul += dist[j];
-        if (r <= cumul) { chosen = j; break; }
-      }
+    bundle = Bundle.unpack(req.body, { maxBytes: MAX_UNPACKED_BUNDLE_BYTES });
+    architecture = bundle.manifest.architecture;
+    if (fromBrowser && (bundle.manifest.source !== 'browser' || architecture !== 'lstm')) {
+      return reject(400, 'Only models trained by the browser trainer can be uploaded with source=browser.');
+    }
+    if (architecture === 'markov') {
+      const text = Bundle.readMarkov(bundle, { minText: MIN_CHAIN_TEXT, maxText: MAX_CHAIN_TEXT });
+      const markov = new MarkovModel(text, MAX_MARKOV_ORDER);
+      const chainToken = crypto.randomBytes(16).toString('hex');
+      db.prepare('INSERT INTO custom_chains (token, text, ip) VALUES (?, ?, ?)').run(chainToken, text, req.ip);
+      cacheCustomChain(chainToken, markov);
+      return res.status(201).json({
+        architecture,
+        chainToken,
+        name: bundle.manifest.name || null,
+        characters: text.length,
+        vocabSize: markov.vocab.length,
+        expiresAfterDays: CUSTOM_CHAIN_RETENTION_DAYS
+      });
+    }
+    if (!Bundle.NEURAL_ARCHITECTURES.includes(architecture)) return reject(400, `Unknown architecture "${architecture}".`);
+  } catch (e) {
+    if (e.status) return reject(e.status, e.message);
+    throw e;
+  }
 
-      const ch = cm.idxToChar[chosen] || '?';
-      result += ch;
-      current = (current + ch).slice(-cm.seqLen);
+  if (!neuralAvailable && !fromBrowser) return res.status(503).json({ error: 'Neural models are unavailable on this server.' });
+  let artifacts;
+  try {
+    artifacts = Bundle.readNeural(bundle, IMPORT_LIMITS);
+  } catch (e) {
+    if (e.status) return reject(e.status, e.message);
+    throw e;
+  }
+
+  const { manifest } = bundle;
+  const params = artifacts.weightSpecs.reduce((sum, w) => sum + w.shape.reduce((a, b) => a * b, 1), 0);
+  const modelToken = crypto.randomBytes(16).toString('hex');
+  saveCustomModel(modelToken, {
+    artifacts,
+    vocab: artifacts.vocab,
+    stats: {
+      name: typeof manifest.name === 'string' ? manifest.name.slice(0, 100) : null,
+      imported: true,
+      totalParams: params,
+      vocabSize: artifacts.vocab.vocabSize,
+      corpus: manifest.corpus || null,
+      training: manifest.training || null
+    }
+  }, req.ip);
+
+  // Only hand out the token once a worker has actually run the model
+  if (!fromBrowser) {
+    try {
+      await pool.run('generate', {
+        modelToken, prompt: '', length: 1, sampling: Sampling.normalizeOptions({})
+      }, { timeoutMs: GENERATE_TIMEOUT_MS }).promise;
+    } catch (e) {
+      db.prepare('DELETE FROM custom_models WHERE token = ?').run(modelToken);
+      return reject(400, `The model in the bundle could not be run: ${e.message}`);
     }
+  }
+  res.status(201).json({
+    architecture,
+    modelToken,
+    name: manifest.name || null,
+    params,
+    seqLen: artifacts.vocab.seqLen,
+    vocabSize: artifacts.vocab.vocabSize,
+    expiresAfterDays: CUSTOM_MODEL_RETENTION_DAYS
+  });
+});
+
+// ===== Evaluation =====
+const MAX_EVAL_LENGTH = 10000;
+
+// Per-character probabilities from a neural model, computed on the pool
+async function neuralProbs(source, text) {
+  const { probs } = await pool.run('evaluate', { ...source, text }, { timeoutMs: EVALUATE_TIMEOUT_MS }).promise;
+  return probs;
+}
+
+function summarizeEvaluation(text, probs) {
+  let totalBits = 0;
+  let unknownChars = 0;
+  const surprisal = probs.map((p, i) => {
+    if (p <= 0) unknownChars++;
+    const bits = -Math.log2(Math.max(p, 1e-10));
+    totalBits += bits;
+    return { char: text[i], prob: p, bits };
+  });
+  const bitsPerChar = totalBits / text.length;
+  return {
+    characters: text.length,
+    crossEntropy: totalBits,
+    bitsPerChar,
+    perplexity: Math.pow(2, bitsPerChar),
+    unknownChars,
+    surprisal
+  };
+}
+
+// Score how well a model predicts a piece of text (lower is better)
+app.post('/api/evaluate', rateLimit('evaluate'), async (req, res) => {
 
-    res.json({ text: result, model: 'custom-lstm-32', params: cm.model.countParams() });
+  const { text, type, preset, order, modelToken, chainToken } = req.body;
+
+  try {
+    if (modelToken) {
+      if (!touchCustomModel(modelToken)) return res.status(404).json({ error: 'Model not found. Train a new one.' });
+      return res.json({ type: 'custom', ...summarizeEvaluation(text, await neuralProbs({ modelToken }, text)) });
+    }
+    if (type === 'lstm' || type === 'transformer') {
+      if (!ARCHITECTURES[type][preset]) return res.status(404).json({ error: `Model "${preset}" (${type}) not loaded.` });
+      return res.json({ type, preset, ...summarizeEvaluation(text, await neuralProbs({ architecture: type, preset }, text)) });
+    }
+    const markov = chainToken ? getCustomChain(chainToken) : markovModels[preset];
+    if (!markov) {
+      return res.status(404).json({ error: chainToken ? 'Chain not found. Build a new one.' : `Unknown preset: ${preset}` });
+    }
+    res.json({ type: 'markov', ...(chainToken ? { chainToken } : { preset }), order, ...summarizeEvaluation(text, markovProbs(markov, order, text)) });
   } catch (e) {
-    console.error('Custom generation error:', e);
-    res.status(500).json({ error: 'Generation failed.' });
+    sendJobError(res, e, 'Evaluation failed.');
   }
 });
 
-// Model info endpoint
+// Registry listing: every model with a manifest, whether it loaded, and the
+// presets (corpora) they are grouped under
+app.get('/api/models', (req, res) => {
+  const publicEntry = m => ({
+    id: m.id,
+    name: m.name,
+    displayName: m.displayName,
+    architecture: m.architecture,
+    units: m.units,
+    seqLen: m.seqLen,
+    params: m.params,
+    trainedAt: m.trainedAt,
+    defaultPrompt: m.defaultPrompt,
+    loaded: Boolean(ARCHITECTURES[m.architecture][m.name])
+  });
+  res.json({
+    presets: registry.presets.map(({ name, displayName, icon, corpus, defaultPrompt, models }) => ({
+      name, displayName, icon, defaultPrompt, corpusUrl: Registry.corpusUrl(corpus), models, markov: Boolean(markovModels[name])
+    })),
+    models: registry.models.map(publicEntry)
+  });
+});
+
+// Model info endpoint (summary of /api/models)
 app.get('/api/model-info', (req, res) => {
-  const loaded = Object.keys(lstmModels);
+  const describe = loaded => Object.fromEntries(Object.entries(loaded).map(([preset, { manifest }]) =>
+    [preset, { id: manifest.id, units: manifest.units, params: manifest.params }]));
   res.json({
-    models: loaded,
-    architecture: 'LSTM (64 units)',
-    totalParams: 35900,
+    models: Object.keys(lstmModels),
+    transformers: Object.keys(transformerModels),
+    details: { lstm: describe(lstmModels), transformer: describe(transformerModels) },
     type: 'Character-level neural language model'
   });
 });
 
-// Load models then start server
-loadLSTMModels().then(() => {
+// ===== OpenAI-compatible API =====
+// /v1/completions and /v1/models accept the request shapes OpenAI client
+// libraries send and map them onto the same models as /api (model ids and
+// the field mapping are in lib/openai-compat.js). Each model kind shares the
+// rate limit and length cap of its /api route.
+const SERVER_STARTED = Math.floor(Date.now() / 1000);
+const V1_RATE_LIMITS = {
+  markov: rateLimit('complete'),
+  chain: rateLimit('complete'),
+  lstm: rateLimit('generate'),
+  transformer: rateLimit('generate'),
+  custom: rateLimit('generateCustom')
+};
+
+// The model behind a /v1 id: a chain to sample in process, or a pool job
+// source. Throws a 404 error if there is no such model.
+function resolveV1Model(id) {
+  const { kind, name } = OpenAICompat.parseModelId(id);
+  let model = null;
+  if (kind === 'markov' || kind === 'chain') {
+    const markov = kind === 'chain' ? getCustomChain(name) : markovModels[name];
+    if (markov) model = { markov, limits: { length: MAX_COMPLETE_LENGTH, stream: MAX_COMPLETE_LENGTH } };
+  } else if (kind === 'custom') {
+    if (touchCustomModel(name)) model = { source: { modelToken: name }, limits: GENERATE_LIMITS.lstm };
+  } else if (ARCHITECTURES[kind][name]) {
+    model = { source: { architecture: kind, preset: name }, limits: GENERATE_LIMITS[kind] };
+  }
+  if (!model) throw OpenAICompat.modelNotFound(id);
+  return { kind, name, ...model };
+}
+
+// Unix time for a model's `created` field
+function v1ModelCreated(kind, name) {
+  const toUnix = date => Math.floor(Date.parse(date) / 1000) || SERVER_STARTED;
+  if (kind === 'lstm' || kind === 'transformer') return toUnix(ARCHITECTURES[kind][name].manifest.trainedAt);
+  if (kind === 'markov') return SERVER_STARTED;
+  const table = kind === 'custom' ? 'custom_models' : 'custom_chains';
+  const row = db.prepare(`SELECT created_at FROM ${table} WHERE token = ?`).get(name);
+  return toUnix(`${row.created_at.replace(' ', 'T')}Z`);
+}
+
+// `n` samples of up to `length` characters, as { text, logprobs } like the
+// pool's generate jobs return
+async function v1Samples(model, prompt, length, n, sampling, topLogprobs) {
+  if (!length) return Array.from({ length: n }, () => ({ text: '', logprobs: [] }));
+  if (model.markov) {
+    // Sample i of a seeded batch uses "<seed>:i", so the first matches n = 1
+    return Array.from({ length: n }, (_, i) => generateFromChain(model.markov, prompt, length, model.order,
+      i && sampling.seed !== null ? { ...sampling, seed: `${sampling.seed}:${i}` } : sampling, topLogprobs));
+  }
+  const payload = { ...model.source, prompt, length, n, sampling, topLogprobs };
+  return (await pool.run('generate', payload, { timeoutMs: GENERATE_TIMEOUT_MS }).promise).samples;
+}
+
+// Probability of each prompt character, for `echo` with `logprobs`
+function v1PromptProbs(model, prompt) {
+  return model.markov ? markovProbs(model.markov, model.order, prompt) : neuralProbs(model.source, prompt);
+}
+
+// Streams one completion as unnamed `data:` events, each a text_completion
+// chunk, then `data: [DONE]`. Text that could be the start of a stop
+// sequence is held back until it can't be.
+async function streamCompletion(req, res, model, request, meta) {
+  const [prompt] = request.prompts;
+  const send = openEventStream(res);
+  const chunk = (text, logprobs, finishReason = null) =>
+    send(null, OpenAICompat.completionObject(meta, [{ text, index: 0, logprobs, finish_reason: finishReason }]));
+  const stops = new OpenAICompat.StopMatcher(request.stop);
+  const entries = []; // logprob entry per generated character
+  const base = request.echo ? prompt.length : 0;
+  let sent = 0;
+  const emit = text => {
+    if (!text) return;
+    const logprobs = request.logprobs === null ? null
+      : OpenAICompat.formatLogprobs(entries.slice(sent, sent + text.length), request.logprobs, base + sent);
+    sent += text.length;
+    chunk(text, logprobs);
+  };
+
+  let job = null;
+  let aborted = false;
+  res.on('close', () => {
+    if (res.writableEnded) return;
+    aborted = true;
+    if (job) job.cancel();
+  });
+
+  try {
+    if (request.echo) {
+      const promptEntries = request.logprobs === null ? null
+        : OpenAICompat.promptLogprobs(prompt, await v1PromptProbs(model, prompt));
+      chunk(prompt, promptEntries && OpenAICompat.formatLogprobs(promptEntries, request.logprobs));
+    }
+    if (model.markov) {
+      const [sample] = await v1Samples(model, prompt, request.maxTokens, 1, request.sampling, request.topLogprobs);
+      entries.push(...(sample.logprobs || []));
+      emit(stops.push(sample.text));
+    } else if (request.maxTokens && !aborted) {
+      const payload = { ...model.source, prompt, length: request.maxTokens, sampling: request.sampling, topLogprobs: request.topLogprobs, stream: true };
+      job = pool.run('generate', payload, {
+        timeoutMs: STREAM_TIMEOUT_MS,
+        onProgress: token => {
+          if (stops.stopped) return;
+          entries.push(token.logprobs);
+          emit(stops.push(token.text));
+          if (stops.stopped) job.cancel();
+        }
+      });
+      await job.promise;
+    }
+  } catch (e) {
+    if (e.status !== 404) console.error('Streaming completion error:', e);
+    const status = e.status && e.status !== 500 ? e.status : 500;
+    if (!aborted) send(null, OpenAICompat.errorObject(status, status === 500 ? 'Generation failed.' : e.message));
+    return res.end();
+  }
+  recordCharacters(req, stops.text.length);
+  if (aborted) return;
+  emit(stops.flush());
+  chunk('', null, stops.stopped || sent < request.maxTokens ? 'stop' : 'length');
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+app.get('/v1/models', (req, res) => {
+  const ids = [
+    ...Object.keys(markovModels).map(name => ['markov', name]),
+    ...Object.entries(ARCHITECTURES).flatMap(([kind, loaded]) => Object.keys(loaded).map(name => [kind, name]))
+  ];
+  res.json({
+    object: 'list',
+    data: ids.map(([kind, name]) => OpenAICompat.modelObject(`${kind}-${name}`, v1ModelCreated(kind, name)))
+  });
+});
+
+// Also resolves custom-<token> and chain-<token>, which the list leaves out
+app.get('/v1/models/:model', (req, res) => {
+  try {
+    const { kind, name } = resolveV1Model(req.params.model);
+    res.json(OpenAICompat.modelObject(req.params.model, v1ModelCreated(kind, name)));
+  } catch (e) {
+    res.status(e.status).json({ error: e.message, param: e.param });
+  }
+});
+
+app.post('/v1/completions', (req, res, next) => {
+  try {
+    req.v1Model = resolveV1Model(req.body.model);
+  } catch (e) {
+    return res.status(e.status).json({ error: e.message, param: e.param });
+  }
+  V1_RATE_LIMITS[req.v1Model.kind](req, res, next);
+}, async (req, res) => {
+  let request;
+  try {
+    request = OpenAICompat.parseCompletionRequest(req.body, { maxSamples: MAX_SAMPLES });
+  } catch (e) {
+    return res.status(e.status).json({ error: e.message, param: e.param });
+  }
+  const model = { ...req.v1Model, order: parseMarkovOrder(req.body.order) };
+  if (request.echo && request.logprobs !== null && request.prompts.some(p => p.length > MAX_EVAL_LENGTH)) {
+    return res.status(400).json({ error: `Prompts scored with echo and logprobs are limited to ${MAX_EVAL_LENGTH.toLocaleString()} characters.`, param: 'prompt' });
+  }
+  request.maxTokens = Math.min(request.maxTokens, lengthCap(req, request.stream ? model.limits.stream : model.limits.length));
+  // logprobs: 0 still reports the chosen character's logprob
+  request.topLogprobs = request.logprobs === null ? 0 : Math.max(1, request.logprobs);
+  const meta = { id: `cmpl-${crypto.randomBytes(12).toString('hex')}`, created: Math.floor(Date.now() / 1000), model: req.body.model };
+  if (request.stream) return streamCompletion(req, res, model, request, meta);
+
+  try {
+    const choices = [];
+    let completionTokens = 0;
+    for (const prompt of request.prompts) {
+      const samples = await v1Samples(model, prompt, request.maxTokens, request.n, request.sampling, request.topLogprobs);
+      const promptEntries = request.echo && request.logprobs !== null
+        ? OpenAICompat.promptLogprobs(prompt, await v1PromptProbs(model, prompt)) : [];
+      for (const sample of samples) {
+        const choice = OpenAICompat.completionChoice({ index: choices.length, prompt, sample, request, promptEntries });
+        completionTokens += choice.text.length - (request.echo ? prompt.length : 0);
+        choices.push(choice);
+      }
+    }
+    recordCharacters(req, completionTokens);
+    const promptTokens = request.prompts.reduce((sum, p) => sum + p.length, 0);
+    res.json(OpenAICompat.completionObject(meta, choices, { prompt_tokens: promptTokens, completion_tokens: completionTokens }));
+  } catch (e) {
+    sendJobError(res, e, 'Generation failed.');
+  }
+});
+
+// ===== OpenAPI document =====
+// Every /api route is described in lib/api-spec.js; requests are validated
+// (and, outside production, responses checked) against it by the middleware
+// mounted at the top of this file.
+const apiSpec = buildSpec({
+  version: API_VERSION,
+  maxTokenizeLength: MAX_TOKENIZE_LENGTH,
+  minChainText: MIN_CHAIN_TEXT,
+  maxChainText: MAX_CHAIN_TEXT,
+  markovOrder: MARKOV_ORDER,
+  maxMarkovOrder: MAX_MARKOV_ORDER,
+  maxCompleteLength: MAX_COMPLETE_LENGTH,
+  generateLimits: GENERATE_LIMITS,
+  maxSamples: MAX_SAMPLES,
+  minTrainText: MIN_TRAIN_TEXT,
+  maxTrainText: MAX_TRAIN_TEXT,
+  maxEvalLength: MAX_EVAL_LENGTH,
+  maxBundleBytes: MAX_BUNDLE_BYTES,
+  importLimits: IMPORT_LIMITS,
+  classifierLimits: CLASSIFIER_LIMITS
+});
+const apiValidator = OpenAPI.createValidator(apiSpec, { responses: process.env.NODE_ENV !== 'production' });
+
+app.get('/api/openapi.json', (req, res) => res.json(apiSpec));
+
+app.use(['/api', '/v1'], (req, res) => {
+  res.status(404).json({ error: `No such endpoint: ${req.method} ${req.baseUrl}${req.path}` });
+});
+app.use(['/api', '/v1'], OpenAPI.errorHandler);
+
+// Start serving once the first worker has loaded the models, or without
+// neural models if none will start
+pool.on('unavailable', () => { neuralAvailable = false; });
+pool.ready.then(({ tf: available, models }) => {
+  neuralAvailable = available;
+  if (!available) console.error('TF.js not available, LSTM generation disabled');
+  const entries = new Map(registry.models.map(m => [m.id, m]));
+  for (const { id, name, architecture, vocabSize } of models) {
+    const entry = entries.get(id);
+    ARCHITECTURES[architecture][name] = { manifest: entry };
+    console.log(`${architecture} model loaded: ${name} (${id}, vocab=${vocabSize}, params=${entry.params})`);
+  }
+  console.log(`Model workers: ${MODEL_WORKERS} (up to ${MAX_CONCURRENT_TRAININGS} training at once)`);
+}, () => {
+  console.error('No model worker started, neural models disabled');
+}).then(() => {
   app.listen(PORT, () => console.log(`MiniLLM running on port ${PORT}`));
-}).catch(e => {
-  console.error('Failed to load models:', e);
-  app.listen(PORT, () => console.log(`MiniLLM running on port ${PORT} (no LSTM models)`));
 });
@@ -0,0 +1,49 @@
+'use strict';
+
+// /v1's error handling, mounted the way server.js mounts it: OpenAI's
+// envelope ahead of the routes and the shared error handler behind them
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const OpenAPI = require('../lib/openapi');
+const OpenAICompat = require('../lib/openai-compat');
+
+function listen() {
+  const app = express();
+  app.use('/v1', OpenAICompat.errorEnvelope);
+  app.get('/v1/models/:model', (req, res) => res.json({ id: req.params.model }));
+  app.use('/v1', OpenAPI.errorHandler);
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+test('a malformed %-escape in a path parameter is a 400 invalid_request_error', async () => {
+  const server = await listen();
+  const origError = console.error;
+  const logged = [];
+  console.error = (...args) => logged.push(args);
+  try {
+    const resp = await fetch(`http://localhost:${server.address().port}/v1/models/%E0%A4%A`);
+    assert.strictEqual(resp.status, 400);
+    assert.deepStrictEqual(await resp.json(), {
+      error: { message: 'The URL path has a malformed %-escape.', type: 'invalid_request_error', param: null, code: null }
+    });
+    assert.strictEqual(logged.length, 0);
+  } finally {
+    console.error = origError;
+    server.close();
+  }
+});
+
+test('a well-formed escape still reaches the route', async () => {
+  const server = await listen();
+  try {
+    const resp = await fetch(`http://localhost:${server.address().port}/v1/models/markov-%C3%A9`);
+    assert.strictEqual(resp.status, 200);
+    assert.deepStrictEqual(await resp.json(), { id: 'markov-é' });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+// Train the tiny word-level transformer behind the chapter 6 attention heatmap
+// and the chapter 7 step-through, then export its weights as plain JSON for
+// public/js/mini-transformer.js.
+// Run: node train-demo-transformer.js
+// Saves public/data/mini-transformer.json
+
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
+const Sampling = require('./public/js/sampling');
+const Transformer = require('./lib/transformer');
+const { MiniTransformer } = require('./public/js/mini-transformer');
+
+const CONFIG = { seqLen: 12, dModel: 32, numHeads: 4, numLayers: 1, ffUnits: 64, dropout: 0 };
+const SENTENCES = 600;
+const EPOCHS = 8;
+const BATCH_SIZE = 32;
+const UNK_RATE = 0.03; // inputs randomly replaced by <unk> so unknown words still get sensible output
+const OUT = path.join(__dirname, 'public', 'data', 'mini-transformer.json');
+
+// ===== Training corpus =====
+// Simple made-up English, so the sentences the chapters use ("The cat sat on
+// the ...", "The dog chased the cat because it was fast") have something to
+// latch on to. Seeded, so reruns produce the same text.
+const rng = Sampling.createRng('minillm-attention');
+const pick = list => list[Math.floor(rng() * list.length)];
+const weighted = table => {
+  const total = table.reduce((s, [, w]) => s + w, 0);
+  let r = rng() * total;
+  for (const [item, w] of table) if ((r -= w) <= 0) return item;
+  return table[table.length - 1][0];
+};
+
+const ANIMALS = ['cat', 'dog', 'bird', 'fox', 'mouse', 'horse'];
+const PEOPLE = ['king', 'queen', 'man', 'woman', 'boy', 'girl', 'cook', 'teacher'];
+const FOODS = ['bread', 'apple', 'cake', 'soup', 'cheese', 'fish'];
+const PLACES = ['market', 'castle', 'park', 'river', 'kitchen', 'school', 'garden'];
+const ADJECTIVES = ['fast', 'hungry', 'scared', 'tired', 'happy', 'small', 'lazy', 'brown'];
+const SURFACES = {
+  cat: [['mat', 5], ['rug', 2], ['bed', 2], ['chair', 1], ['floor', 1]],
+  dog: [['floor', 4], ['rug', 3], ['grass', 2], ['mat', 1]],
+  bird: [['branch', 5], ['roof', 3], ['fence', 2]],
+  default: [['floor', 3], ['grass', 2], ['chair', 2], ['table', 1], ['mat', 1]]
+};
+
+const TEMPLATES = [
+  () => { const a = pick(ANIMALS); return `the ${a} sat on the ${weighted(SURFACES[a] || SURFACES.default)} .`; },
+  () => { const a = pick(ANIMALS); return `the ${a} slept on the ${weighted(SURFACES[a] || SURFACES.default)} .`; },
+  () => { const a = pick(ANIMALS), b = pick(ANIMALS.filter(x => x !== a)); return `the ${a} chased the ${b} because it was ${pick(ADJECTIVES)} .`; },
+  () => `the ${pick(PEOPLE)} ate the ${pick(FOODS)} .`,
+  () => `the ${pick(PEOPLE)} went to the ${pick(PLACES)} .`,
+  () => `the ${pick(PEOPLE)} gave the ${pick(ANIMALS)} some ${pick(FOODS)} .`,
+  () => { const p = pick(PEOPLE); return `the ${p} was ${pick(ADJECTIVES)} , so the ${p} went to the ${pick(PLACES)} .`; },
+  () => `the ${pick(ANIMALS)} was ${pick(ADJECTIVES)} .`,
+  () => `a ${pick(ADJECTIVES)} ${pick(ANIMALS)} ran to the ${pick(PLACES)} .`,
+  () => 'the quick brown fox jumps over the lazy dog .'
+];
+
+function buildCorpus() {
+  const words = [];
+  for (let i = 0; i < SENTENCES; i++) words.push(...TEMPLATES[Math.floor(rng() * TEMPLATES.length)]().split(' '));
+  return words;
+}
+
+// ===== Weight export =====
+const round = v => Math.round(v * 1e4) / 1e4;
+const toRows = t => t.arraySync().map(r => (Array.isArray(r) ? r.map(round) : round(r)));
+
+function exportWeights(model, vocab) {
+  const byClass = name => model.layers.filter(l => l.getClassName() === name);
+  const norms = byClass('LayerNormalization').map(l => {
+    const [gamma, beta] = l.getWeights();
+    return { gamma: toRows(gamma), beta: toRows(beta), epsilon: l.epsilon };
+  });
+  const denses = byClass('Dense').map(l => {
+    const [kernel, bias] = l.getWeights();
+    return { kernel: toRows(kernel), bias: toRows(bias) };
+  });
+  const attentions = byClass('CausalSelfAttention').map(l => {
+    const w = l.getWeights(); // query, key, value, output: kernel then bias each
+    const pair = i => ({ kernel: toRows(w[i * 2]), bias: toRows(w[i * 2 + 1]) });
+    return { query: pair(0), key: pair(1), value: pair(2), output: pair(3) };
+  });
+
+  const layers = attentions.map((attention, i) => ({
+    norm1: norms[i * 2],
+    attention,
+    norm2: norms[i * 2 + 1],
+    ff1: denses[i * 2],
+    ff2: denses[i * 2 + 1]
+  }));
+  const { seqLen, dModel, numHeads, numLayers, ffUnits } = CONFIG;
+  return {
+    config: { vocab, seqLen, dModel, numHeads, numLayers, ffUnits, epsilon: norms[0].epsilon },
+    embedding: toRows(byClass('Embedding')[0].getWeights()[0]),
+    layers,
+    finalNorm: norms[norms.length - 1],
+    output: denses[denses.length - 1]
+  };
+}
+
+(async () => {
+  const words = buildCorpus();
+  const vocab = ['<unk>', ...[...new Set(words)].sort()];
+  const wordToId = new Map(vocab.map((w, i) => [w, i]));
+  console.log(`Corpus: ${words.length} words, vocabulary ${vocab.length}`);
+
+  // Every window start, so each word is seen at every position
+  const { seqLen } = CONFIG;
+  const xData = [], yData = [];
+  for (let i = 0; i + seqLen < words.length; i++) {
+    xData.push(words.slice(i, i + seqLen).map(w => (rng() < UNK_RATE ? 0 : wordToId.get(w))));
+    yData.push(words.slice(i + 1, i + seqLen + 1).map(w => wordToId.get(w)));
+  }
+  console.log(`Training windows: ${xData.length}`);
+
+  const xTensor = tf.tensor2d(xData, [xData.length, seqLen], 'int32');
+  const yTensor = tf.oneHot(tf.tensor2d(yData, [yData.length, seqLen], 'int32'), vocab.length);
+
+  Transformer.registerLayers(tf);
+  const model = Transformer.buildTransformer(tf, { ...CONFIG, vocabSize: vocab.length });
+  model.compile({ optimizer: tf.train.adam(0.01), loss: 'categoricalCrossentropy' });
+  console.log(`Parameters: ${model.countParams()}`);
+
+  await model.fit(xTensor, yTensor, {
+    epochs: EPOCHS,
+    batchSize: BATCH_SIZE,
+    shuffle: true,
+    verbose: 0,
+    callbacks: {
+      onEpochEnd: (epoch, logs) => console.log(`  Epoch ${epoch + 1}/${EPOCHS} — loss: ${logs.loss.toFixed(4)}`)
+    }
+  });
+
+  const data = exportWeights(model, vocab);
+  fs.writeFileSync(OUT, JSON.stringify(data));
+  console.log(`Saved: ${OUT} (${(fs.statSync(OUT).size / 1024).toFixed(0)} KB)`);
+
+  // The exported weights must reproduce tfjs's own prediction
+  const mini = MiniTransformer.fromJSON(data);
+  for (const sentence of ['The cat sat on the', 'The dog chased the cat because it was']) {
+    const { ids } = mini.tokenize(sentence);
+    const { probs } = mini.forward(ids);
+    const input = tf.tensor2d([[...ids, ...Array(seqLen - ids.length).fill(0)]], [1, seqLen], 'int32');
+    const pred = model.predict(input);
+    const expected = pred.slice([0, ids.length - 1, 0], [1, 1, vocab.length]).dataSync();
+    const maxDiff = Math.max(...probs.map((p, i) => Math.abs(p - expected[i])));
+    const top = mini.topK(probs, 4).map(t => `${t.token} ${(t.prob * 100).toFixed(0)}%`).join(', ');
+    console.log(`"${sentence} ___" → ${top} (max diff vs tfjs ${maxDiff.toExponential(1)})`);
+    tf.dispose([input, pred]);
+  }
+
+  xTensor.dispose();
+  yTensor.dispose();
+  model.dispose();
+})();
@@ -1,151 +1,324 @@
 #!/usr/bin/env node
-// Pre-train small LSTM language models for each preset
-// Run once: node train-models.js
-// Saves models to /opt/minillm/models/<preset>/
+// Train the character-level language models behind /api/generate.
+// Run: node train-models.js [preset...] [options]   (--help lists the options)
+// Saves LSTMs to models/<preset>/ and transformers to models/<preset>-transformer/,
+// each with vocab.json, a manifest.json for the model registry (lib/registry.js)
+// and metrics.jsonl (loss, validation loss and wall time per epoch).
+// Presets default to every preset in the registry; a new preset trains on
+// public/data/<preset>.txt unless --corpus or an existing manifest says otherwise.
+//
+// Every window of the corpus is used: batches are streamed from it (lib/char-dataset.js)
+// in a new random order each epoch, as character indices the models embed.
+// The tail of the corpus is held out for validation. Whenever validation loss
+// improves the model is saved, so the saved model is the best one seen;
+// training stops once it hasn't improved for --patience epochs. Every
+// --checkpoint-every epochs the current model and training state go to
+// <model dir>/checkpoint/, and --resume continues from there (the optimizer
+// restarts from scratch, so expect a small bump in loss).
 
 const tf = require('@tensorflow/tfjs-node');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const Sampling = require('./public/js/sampling');
+const Transformer = require('./lib/transformer');
+const Registry = require('./lib/registry');
+const CharDataset = require('./lib/char-dataset');
 
-const PRESETS = ['shakespeare', 'recipes', 'python'];
-const SEQ_LEN = 30;
-const UNITS = 64;
-const EPOCHS = 30;
-const BATCH_SIZE = 64;
-
-async function trainModel(preset) {
-  console.log(`\n=== Training: ${preset} ===`);
-  const text = fs.readFileSync(path.join(__dirname, 'public', 'data', `${preset}.txt`), 'utf-8');
-  console.log(`Text length: ${text.length} chars`);
-
-  // Build vocabulary
-  const chars = [...new Set(text.split(''))].sort();
-  const charToIdx = {};
-  const idxToChar = {};
-  chars.forEach((c, i) => { charToIdx[c] = i; idxToChar[i] = c; });
-  const vocabSize = chars.length;
-  console.log(`Vocabulary: ${vocabSize} characters`);
-
-  // Prepare training data (sample to keep memory low)
-  const maxSamples = 2000;
-  const step = Math.max(1, Math.floor((text.length - SEQ_LEN - 1) / maxSamples));
-  const xData = [];
-  const yData = [];
-
-  for (let i = 0; i < text.length - SEQ_LEN - 1; i += step) {
-    if (xData.length >= maxSamples) break;
-    const seq = text.slice(i, i + SEQ_LEN);
-    const target = text[i + SEQ_LEN];
-    if (charToIdx[target] === undefined) continue;
-
-    // One-hot encode
-    const x = [];
-    let valid = true;
-    for (let j = 0; j < SEQ_LEN; j++) {
-      if (charToIdx[seq[j]] === undefined) { valid = false; break; }
-      const oh = new Float32Array(vocabSize);
-      oh[charToIdx[seq[j]]] = 1;
-      x.push(oh);
+const registry = Registry.loadRegistry();
+
+// Per-architecture defaults; every one can be overridden on the command line
+const DEFAULTS = {
+  lstm: { seqLen: 30, embedDim: 32, units: 64, dropout: 0.2, epochs: 30, batchSize: 64, learningRate: 0.005, stride: 1 },
+  transformer: { ...Transformer.DEFAULT_CONFIG, epochs: 30, batchSize: 32, learningRate: 0.002, stride: 1 }
+};
+
+// [flag, config key, kind, description]; kind is 'int', 'float' or 'string'
+const OPTIONS = [
+  ['arch', 'arch', 'string', 'lstm (default) or transformer'],
+  ['corpus', 'corpus', 'string', 'training text file (single preset only)'],
+  ['out', 'out', 'string', 'output directory (single preset only)'],
+  ['epochs', 'epochs', 'int', 'maximum epochs (default 30)'],
+  ['batch-size', 'batchSize', 'int', 'default 64 (LSTM) / 32 (transformer)'],
+  ['learning-rate', 'learningRate', 'float', 'Adam learning rate'],
+  ['seq-len', 'seqLen', 'int', 'characters of context (default 30 / 64)'],
+  ['stride', 'stride', 'int', 'characters between window starts (default 1: every window)'],
+  ['embed-dim', 'embedDim', 'int', 'LSTM character embedding size (default 32)'],
+  ['units', 'units', 'int', 'LSTM hidden units (default 64)'],
+  ['d-model', 'dModel', 'int', 'transformer width (default 64)'],
+  ['heads', 'numHeads', 'int', 'transformer attention heads (default 4)'],
+  ['layers', 'numLayers', 'int', 'transformer blocks (default 2)'],
+  ['ff-units', 'ffUnits', 'int', 'transformer feed-forward width (default 256)'],
+  ['dropout', 'dropout', 'float', 'dropout rate'],
+  ['val-split', 'valSplit', 'float', 'fraction of windows held out for validation (default 0.1, 0 disables)'],
+  ['checkpoint-every', 'checkpointEvery', 'int', 'epochs between checkpoints (default 5, 0 disables)'],
+  ['patience', 'patience', 'int', 'epochs without validation improvement before stopping (default 5, 0 disables)'],
+  ['min-delta', 'minDelta', 'float', 'smallest validation loss drop that counts as improvement (default 0.001)']
+];
+const RUN_DEFAULTS = { valSplit: 0.1, checkpointEvery: 5, patience: 5, minDelta: 0.001 };
+
+function usage() {
+  console.log('Usage: node train-models.js [preset...] [options]\n');
+  for (const [flag, , kind, desc] of OPTIONS) {
+    console.log(`  --${flag}${kind === 'string' ? ' <value>' : ' <n>'}`.padEnd(28) + desc);
+  }
+  console.log('  --resume'.padEnd(28) + 'continue from <model dir>/checkpoint/');
+  console.log('  --help'.padEnd(28) + 'show this help');
+}
+
+function parseCommandLine(argv) {
+  const options = { resume: { type: 'boolean' }, help: { type: 'boolean' } };
+  for (const [flag] of OPTIONS) options[flag] = { type: 'string' };
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+  if (values.help) { usage(); process.exit(0); }
+
+  const arch = values.arch || 'lstm';
+  if (!DEFAULTS[arch]) throw new Error(`Unknown architecture: ${arch} (expected lstm or transformer)`);
+  const config = { arch, ...DEFAULTS[arch], ...RUN_DEFAULTS, resume: Boolean(values.resume) };
+  for (const [flag, key, kind] of OPTIONS) {
+    const raw = values[flag];
+    if (raw === undefined || flag === 'arch') continue;
+    if (kind === 'string') { config[key] = raw; continue; }
+    const n = kind === 'int' ? Number.parseInt(raw, 10) : Number.parseFloat(raw);
+    if (!Number.isFinite(n) || n < 0 || (kind === 'int' && String(n) !== raw.trim())) {
+      throw new Error(`--${flag} expects a non-negative ${kind === 'int' ? 'integer' : 'number'}, got "${raw}"`);
     }
-    if (!valid) continue;
+    config[key] = n;
+  }
+  if (config.valSplit >= 1) throw new Error('--val-split must be below 1');
+  if (config.epochs < 1 || config.batchSize < 1 || config.seqLen < 1 || config.stride < 1) {
+    throw new Error('--epochs, --batch-size, --seq-len and --stride must be at least 1');
+  }
+
+  const presets = positionals.length ? positionals : registry.presets.map(p => p.name);
+  if (!presets.length) throw new Error('No presets given and none found in models/*/manifest.json');
+  if (presets.length > 1 && (config.corpus || config.out)) throw new Error('--corpus and --out need a single preset');
+  return { config, presets };
+}
+
+// Manifest fields shared by every model of a preset
+function presetFields(preset, corpus) {
+  const known = registry.presets.find(p => p.name === preset);
+  const entry = known && registry.models.find(m => m.name === preset);
+  return {
+    name: preset,
+    displayName: known ? known.displayName : preset[0].toUpperCase() + preset.slice(1),
+    ...(entry && entry.icon && { icon: entry.icon }),
+    ...(entry && entry.order !== undefined && { order: entry.order }),
+    corpus: corpus ? path.relative(__dirname, path.resolve(corpus)) : known ? known.corpus : `public/data/${preset}.txt`,
+    defaultPrompt: known ? known.defaultPrompt : 'The '
+  };
+}
+
+// ===== Models =====
+
+function buildModel(config, vocabSize) {
+  if (config.arch === 'transformer') return Transformer.buildTransformer(tf, { ...config, vocabSize });
+  return CharDataset.buildLSTM(tf, { ...config, vocabSize });
+}
+
+// Hyperparameters that define the network (fixed once training has started)
+function architectureFields(config) {
+  const { arch, seqLen } = config;
+  if (arch === 'transformer') {
+    const { dModel, numHeads, numLayers, ffUnits, dropout } = config;
+    return { arch, seqLen, dModel, numHeads, numLayers, ffUnits, dropout };
+  }
+  return { arch, seqLen, embedDim: config.embedDim, units: config.units, dropout: config.dropout };
+}
+
+async function saveModel(model, dir, vocab, config) {
+  fs.mkdirSync(dir, { recursive: true });
+  await model.save(`file://${dir}`);
+  const extras = config.arch === 'transformer'
+    ? { architecture: 'transformer', dModel: config.dModel, numHeads: config.numHeads, numLayers: config.numLayers, ffUnits: config.ffUnits }
+    : { embedDim: config.embedDim };
+  // input: 'index' tells inference to feed character indices, not one-hot vectors
+  fs.writeFileSync(path.join(dir, 'vocab.json'), JSON.stringify({ ...vocab, seqLen: config.seqLen, input: 'index', ...extras }));
+}
+
+function readCheckpoint(dir) {
+  const statePath = path.join(dir, 'state.json');
+  if (!fs.existsSync(statePath) || !fs.existsSync(path.join(dir, 'model.json'))) return null;
+  return JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+}
 
-    const y = new Float32Array(vocabSize);
-    y[charToIdx[target]] = 1;
+// Continue a seed with the trained model, as a quick sanity check
+function sample(model, vocab, config, seed) {
+  const { charToIdx, idxToChar, vocabSize } = vocab;
+  const { seqLen } = config;
+  const sampler = new Sampling.Sampler({ temperature: 0.7 });
+  let ctx = seed.padStart(seqLen).slice(-seqLen);
+  let gen = '';
+  for (let i = 0; i < 100; i++) {
+    const probs = tf.tidy(() => {
+      const input = tf.tensor2d([Array.from(ctx, c => charToIdx[c] || 0)], [1, seqLen], 'int32');
+      const pred = model.predict(input);
+      return (config.arch === 'transformer' ? pred.slice([0, seqLen - 1, 0], [1, 1, vocabSize]) : pred).dataSync();
+    });
+    const ch = idxToChar[sampler.sample(probs)] || ' ';
+    gen += ch;
+    ctx = ctx.slice(1) + ch;
+  }
+  return seed + gen;
+}
 
-    xData.push(x);
-    yData.push(y);
+// ===== Training =====
+
+async function train(preset, options) {
+  const fields = presetFields(preset, options.corpus);
+  const modelDir = options.out
+    ? path.resolve(options.out)
+    : path.join(Registry.MODELS_DIR, options.arch === 'transformer' ? `${preset}-transformer` : preset);
+  const checkpointDir = path.join(modelDir, 'checkpoint');
+  const metricsPath = path.join(modelDir, 'metrics.jsonl');
+  console.log(`\n=== Training ${options.arch}: ${preset} → ${path.relative(process.cwd(), modelDir) || '.'} ===`);
+
+  const text = fs.readFileSync(Registry.corpusPath(fields.corpus), 'utf-8');
+  console.log(`Corpus: ${fields.corpus} (${text.length} chars)`);
+
+  let config = options;
+  let state = { epoch: 0, bestValLoss: Infinity, bestEpoch: 0, epochsSinceBest: 0, elapsedMs: 0 };
+  let model, vocab;
+  if (options.resume) {
+    const saved = readCheckpoint(checkpointDir);
+    if (!saved) throw new Error(`No checkpoint in ${checkpointDir}`);
+    // The network's shape comes from the checkpoint; run settings from this command line
+    config = { ...options, ...saved.architecture };
+    vocab = saved.vocab;
+    state = { ...saved.state, bestValLoss: saved.state.bestValLoss ?? Infinity }; // JSON has no Infinity
+    model = await tf.loadLayersModel(`file://${path.join(checkpointDir, 'model.json')}`);
+    console.log(`Resuming after epoch ${state.epoch}` +
+      (state.bestEpoch ? ` (best validation loss ${state.bestValLoss.toFixed(4)} at epoch ${state.bestEpoch})` : ''));
+    // Drop metrics from epochs after the checkpoint; they are about to be redone
+    const kept = fs.existsSync(metricsPath)
+      ? fs.readFileSync(metricsPath, 'utf-8').split('\n').filter(l => l && JSON.parse(l).epoch <= state.epoch)
+      : [];
+    fs.writeFileSync(metricsPath, kept.map(l => l + '\n').join(''));
+  } else {
+    vocab = CharDataset.buildVocab(text);
+    model = buildModel(config, vocab.vocabSize);
+    fs.mkdirSync(modelDir, { recursive: true });
+    fs.writeFileSync(metricsPath, '');
   }
+  if (state.epoch >= config.epochs) throw new Error(`Checkpoint is already at epoch ${state.epoch}; raise --epochs to continue`);
+  console.log(`Vocabulary: ${vocab.vocabSize} characters`);
 
-  console.log(`Training samples: ${xData.length}`);
-
-  // Create tensors
-  const xTensor = tf.tensor3d(xData);
-  const yTensor = tf.tensor2d(yData);
-
-  // Build model
-  const model = tf.sequential();
-  model.add(tf.layers.lstm({
-    units: UNITS,
-    inputShape: [SEQ_LEN, vocabSize],
-    returnSequences: false
-  }));
-  model.add(tf.layers.dropout({ rate: 0.2 }));
-  model.add(tf.layers.dense({ units: vocabSize, activation: 'softmax' }));
-
-  model.compile({
-    optimizer: tf.train.adam(0.005),
-    loss: 'categoricalCrossentropy'
+  const { ids, starts } = CharDataset.indexWindows(text, vocab.charToIdx, config.seqLen, config.stride);
+  const split = CharDataset.splitWindows(starts, config.seqLen, config.valSplit);
+  if (!split.train.length) throw new Error(`Corpus too short for seqLen ${config.seqLen}`);
+  console.log(`Windows: ${split.train.length} training, ${split.val.length} validation`);
+  const dataset = (list, shuffle) => CharDataset.windowDataset(tf, ids, list, {
+    seqLen: config.seqLen,
+    vocabSize: vocab.vocabSize,
+    batchSize: config.batchSize,
+    target: config.arch === 'transformer' ? 'sequence' : 'last',
+    shuffle
   });
 
+  model.compile({ optimizer: tf.train.adam(config.learningRate), loss: 'categoricalCrossentropy' });
   model.summary();
 
-  // Train
-  await model.fit(xTensor, yTensor, {
-    epochs: EPOCHS,
-    batchSize: BATCH_SIZE,
-    shuffle: true,
-    verbose: 1,
+  const useValidation = split.val.length > 0;
+  const runStart = Date.now() - state.elapsedMs;
+  let epochStart = Date.now();
+  let last = {};
+
+  await model.fitDataset(dataset(split.train, true), {
+    epochs: config.epochs,
+    initialEpoch: state.epoch,
+    verbose: 0,
+    ...(useValidation && { validationData: dataset(split.val, false) }),
     callbacks: {
-      onEpochEnd: (epoch, logs) => {
-        if ((epoch + 1) % 5 === 0) {
-          console.log(`  Epoch ${epoch + 1}/${EPOCHS} — loss: ${logs.loss.toFixed(4)}`);
+      onEpochBegin: () => { epochStart = Date.now(); },
+      onEpochEnd: async (epoch, logs) => {
+        const row = {
+          epoch: epoch + 1,
+          loss: +logs.loss.toFixed(5),
+          ...(useValidation && { valLoss: +logs.val_loss.toFixed(5) }),
+          wallMs: Date.now() - epochStart,
+          elapsedMs: Date.now() - runStart
+        };
+        fs.appendFileSync(metricsPath, JSON.stringify(row) + '\n');
+        last = row;
+        state.epoch = row.epoch;
+        state.elapsedMs = row.elapsedMs;
+
+        let note = '';
+        if (useValidation) {
+          if (row.valLoss < state.bestValLoss - config.minDelta) {
+            Object.assign(state, { bestValLoss: row.valLoss, bestEpoch: row.epoch, epochsSinceBest: 0 });
+            await saveModel(model, modelDir, vocab, config);
+            note = ' (best, saved)';
+          } else {
+            state.epochsSinceBest++;
+            if (config.patience && state.epochsSinceBest >= config.patience) {
+              model.stopTraining = true;
+              note = ` (no improvement for ${state.epochsSinceBest} epochs, stopping)`;
+            }
+          }
+        }
+        console.log(`  Epoch ${row.epoch}/${config.epochs} — loss: ${logs.loss.toFixed(4)}` +
+          (useValidation ? `, val loss: ${logs.val_loss.toFixed(4)}` : '') + ` — ${(row.wallMs / 1000).toFixed(1)}s${note}`);
+
+        if (config.checkpointEvery && row.epoch % config.checkpointEvery === 0) {
+          await saveModel(model, checkpointDir, vocab, config);
+          fs.writeFileSync(path.join(checkpointDir, 'state.json'), JSON.stringify({
+            architecture: architectureFields(config), vocab, state, corpus: fields.corpus
+          }));
         }
       }
     }
   });
 
-  // Save model + vocab
-  const modelDir = path.join(__dirname, 'models', preset);
-  fs.mkdirSync(modelDir, { recursive: true });
-
-  await model.save(`file://${modelDir}`);
-  fs.writeFileSync(path.join(modelDir, 'vocab.json'), JSON.stringify({
-    charToIdx, idxToChar, vocabSize, seqLen: SEQ_LEN
-  }));
-
-  console.log(`Model saved to ${modelDir}`);
+  // Without validation there is no "best" model yet: keep the last one
+  if (!useValidation) await saveModel(model, modelDir, vocab, config);
+  const best = useValidation ? await tf.loadLayersModel(`file://${path.join(modelDir, 'model.json')}`) : model;
 
-  // Test generation
-  let ctx = text.slice(0, SEQ_LEN);
-  let gen = '';
-  for (let i = 0; i < 100; i++) {
-    const x = [];
-    for (let j = 0; j < SEQ_LEN; j++) {
-      const oh = new Float32Array(vocabSize);
-      const idx = charToIdx[ctx[j]];
-      if (idx !== undefined) oh[idx] = 1;
-      x.push(oh);
-    }
-    const pred = model.predict(tf.tensor3d([x]));
-    const probs = pred.dataSync();
-
-    // Temperature sampling (0.7)
-    const temp = 0.7;
-    const scaled = Array.from(probs).map(p => Math.exp(Math.log(Math.max(p, 1e-8)) / temp));
-    const sum = scaled.reduce((a, b) => a + b, 0);
-    const normalized = scaled.map(s => s / sum);
-    let r = Math.random();
-    let idx = 0;
-    for (let j = 0; j < normalized.length; j++) {
-      r -= normalized[j];
-      if (r <= 0) { idx = j; break; }
+  const { arch, seqLen } = config;
+  Registry.writeManifest(modelDir, {
+    ...fields,
+    architecture: arch,
+    units: arch === 'transformer' ? config.dModel : config.units,
+    seqLen,
+    params: best.countParams(),
+    ...(arch === 'transformer' && { numHeads: config.numHeads, numLayers: config.numLayers, ffUnits: config.ffUnits }),
+    trainedAt: new Date().toISOString().slice(0, 10),
+    training: {
+      epochs: state.epoch,
+      bestEpoch: useValidation ? state.bestEpoch : state.epoch,
+      loss: last.loss,
+      ...(useValidation && { valLoss: state.bestValLoss }),
+      valSplit: config.valSplit,
+      batchSize: config.batchSize,
+      learningRate: config.learningRate,
+      stride: config.stride,
+      windows: split.train.length,
+      wallMs: state.elapsedMs
     }
-    const ch = idxToChar[idx] || ' ';
-    gen += ch;
-    ctx = ctx.slice(1) + ch;
-    pred.dispose();
-  }
-  console.log(`Sample: "${text.slice(0, SEQ_LEN)}${gen}"`);
+  });
+  console.log(`Model saved to ${modelDir}` + (useValidation ? ` (epoch ${state.bestEpoch}, val loss ${state.bestValLoss.toFixed(4)})` : ''));
+  console.log(`Sample: "${sample(best, vocab, config, text.slice(0, seqLen))}"`);
 
-  // Cleanup
-  xTensor.dispose();
-  yTensor.dispose();
+  if (best !== model) best.dispose();
   model.dispose();
 }
 
 (async () => {
-  for (const preset of PRESETS) {
-    await trainModel(preset);
+  let parsed;
+  try {
+    parsed = parseCommandLine(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    usage();
+    process.exit(1);
+  }
+  Transformer.registerLayers(tf);
+  try {
+    for (const preset of parsed.presets) await train(preset, parsed.config);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
   }
   console.log('\nAll models trained!');
 })();
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Train the BPE tokenizer used by chapter 5 and /api/tokenize
+// Run: node train-tokenizer.js [vocabSize]
+// Saves merges + vocab to public/data/bpe-tokenizer.json
+
+const fs = require('fs');
+const path = require('path');
+const { BPETokenizer } = require('./public/js/bpe');
+
+const PRESETS = ['shakespeare', 'recipes', 'python'];
+const VOCAB_SIZE = parseInt(process.argv[2]) || 1000;
+const OUT = path.join(__dirname, 'public', 'data', 'bpe-tokenizer.json');
+
+const text = PRESETS
+  .map(preset => fs.readFileSync(path.join(__dirname, 'public', 'data', `${preset}.txt`), 'utf-8'))
+  .join('\n');
+console.log(`Corpus: ${text.length} chars from ${PRESETS.join(', ')}`);
+
+const t0 = Date.now();
+const tokenizer = BPETokenizer.train(text, { vocabSize: VOCAB_SIZE });
+console.log(`Learned ${tokenizer.merges.length} merges, vocab ${tokenizer.vocabSize} in ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+console.log('First merges:', tokenizer.merges.slice(0, 10).map(([a, b]) => JSON.stringify(a + b)).join(' '));
+
+const sample = 'To be, or not to be: that is the question.';
+const tokens = tokenizer.tokenize(sample);
+console.log(`Sample: ${tokens.length} tokens for ${sample.length} chars`);
+console.log(tokens.map(t => `[${t.token}]`).join(''));
+
+fs.writeFileSync(OUT, JSON.stringify(tokenizer.toJSON()));
+console.log(`Saved: ${OUT}`);